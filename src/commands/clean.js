@@ -172,8 +172,20 @@ async function cleanCommand(dateString) {
       errors: [],
       linksRemoved: 0,
       linksSkipped: 0,
+      linksFailed: 0,
     };
 
+    // Record links in this project made before links were tracked, so they are removed too;
+    // dangling links that cannot be relinked are deleted (maintenance only reports them)
+    try {
+      const reconciled = await linkManager.reconcileLinks([process.cwd()], {
+        removeDangling: true,
+      });
+      results.linksRemoved += reconciled.removed;
+    } catch (error) {
+      console.warn(`Warning: Could not check project links: ${error.message}`);
+    }
+
     // Process each transcript atomically with progress reporting
     let processedCount = 0;
     for (const { videoId, entry } of deletionCandidates) {
@@ -189,6 +201,7 @@ async function cleanCommand(dateString) {
         results.linksSkipped += linkResults.skipped;
 
         if (linkResults.errors && linkResults.errors.length > 0) {
+          results.linksFailed += linkResults.errors.length;
           console.warn(`  Warning: Some links could not be removed for ${videoId}`);
           linkResults.errors.forEach((err) => {
             console.warn(`    ${err.path}: ${err.error}`);
@@ -233,6 +246,9 @@ async function cleanCommand(dateString) {
     console.log(`Failed to delete:            ${results.errors.length}`);
     console.log(`Symbolic links removed:      ${results.linksRemoved}`);
     console.log(`Symbolic links skipped:      ${results.linksSkipped}`);
+    if (results.linksFailed > 0) {
+      console.log(`Symbolic links not removed:  ${results.linksFailed} (listed above)`);
+    }
 
     // Show errors if any
     if (results.errors.length > 0) {
@@ -7,6 +7,7 @@ const StorageService = require('../services/StorageService');
 const pathResolver = require('../utils/pathResolver');
 const { calculateStatisticsFromMetadata, formatSize } = require('../utils/StatisticsCalculator');
 const { logger } = require('../utils/Logger');
+const UnavailableCache = require('../utils/UnavailableCache');
 
 /**
  * Execute data command
@@ -117,6 +118,13 @@ async function displayStatistics(stats) {
     logger.info('Newest:            N/A (date unavailable)');
   }
 
+  // Videos skipped until their negative cache record expires
+  const unavailable = stats.unavailable || { total: 0, reasons: {} };
+  logger.info(`Unavailable:       ${unavailable.total}`);
+  for (const [reason, count] of Object.entries(unavailable.reasons)) {
+    logger.info(`  ${UnavailableCache.describe(reason)}: ${count}`);
+  }
+
   logger.info(''); // Trailing blank line for readability
 
   // Display per-entry metadata if available
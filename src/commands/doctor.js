@@ -0,0 +1,101 @@
+const path = require('path');
+const StorageService = require('../services/StorageService');
+const ProjectDoctor = require('../services/ProjectDoctor');
+const pathResolver = require('../utils/pathResolver');
+
+const PROBLEM_LABELS = {
+  broken: 'broken link',
+  legacy: 'legacy transcript_ name',
+  outside: 'points outside ~/.transcriptor',
+  shadow: 'regular file in place of a link',
+};
+
+/**
+ * Doctor Command Handler
+ * Checks the links of the current project (./transcripts and its transcriptsDir)
+ * for broken symlinks, legacy transcript_ names, links pointing outside
+ * ~/.transcriptor and regular files shadowing links (see ProjectDoctor).
+ * With --fix, each problem whose transcript is cached is relinked using the
+ * video ID parsed from the filename.
+ *
+ * Exit code 1 while problems remain.
+ *
+ * @param {Object} options - Command options
+ * @param {boolean} [options.fix] - Relink fixable problems
+ * @returns {Promise<void>}
+ */
+async function doctorCommand(options = {}) {
+  const projectDir = process.cwd();
+  const fix = Boolean(options.fix);
+
+  try {
+    const storage = new StorageService(pathResolver, { readOnly: !fix });
+    await storage.initialize();
+
+    const doctor = new ProjectDoctor(storage, pathResolver);
+    const report = await doctor.examine(projectDir);
+
+    console.log(`\n=== Doctor: ${projectDir} ===\n`);
+    console.log(`Transcript links checked: ${report.checked}`);
+
+    if (report.findings.length === 0) {
+      console.log('No problems found.\n');
+      return;
+    }
+
+    console.log(`Problems found: ${report.findings.length}\n`);
+    report.findings.forEach((finding) => displayFinding(finding, projectDir));
+
+    const fixable = report.findings.filter((finding) => finding.fixable);
+    if (!fix) {
+      if (fixable.length > 0) {
+        console.log(`${fixable.length} can be relinked: run transcriptor doctor --fix\n`);
+      }
+      process.exitCode = 1;
+      return;
+    }
+
+    const results = await doctor.fix(report.findings, projectDir);
+    const relative = (filePath) => path.relative(projectDir, filePath);
+
+    console.log(`Relinked (${results.fixed.length}):`);
+    results.fixed.forEach((item) =>
+      console.log(`  - ${relative(item.path)} -> ${relative(item.newPath)}`)
+    );
+
+    if (results.errors.length > 0) {
+      console.log(`\nRelinking failed (${results.errors.length}):`);
+      results.errors.forEach((item) => console.log(`  - ${relative(item.path)}: ${item.error}`));
+    }
+    console.log('');
+
+    if (results.fixed.length < report.findings.length) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\nDoctor failed:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Display one finding
+ * @param {Object} finding - Finding from ProjectDoctor.examine()
+ * @param {string} projectDir - Project directory (paths are shown relative to it)
+ */
+function displayFinding(finding, projectDir) {
+  const label = finding.lang ? `${finding.videoId} [${finding.lang}]` : finding.videoId;
+  const problems = finding.problems.map((problem) => PROBLEM_LABELS[problem]);
+
+  console.log(`  ${path.relative(projectDir, finding.path)}`);
+  console.log(`    ${label}: ${problems.join(', ')}`);
+  if (finding.target) {
+    console.log(`    -> ${finding.target}`);
+  }
+  if (!finding.fixable) {
+    console.log(`    Not fixable: ${finding.reason}`);
+  }
+  console.log('');
+}
+
+module.exports = doctorCommand;
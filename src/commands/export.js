@@ -0,0 +1,238 @@
+const fs = require('fs-extra');
+const path = require('path');
+const StorageService = require('../services/StorageService');
+const MetadataService = require('../services/MetadataService');
+const LinkManager = require('../services/LinkManager');
+const pathResolver = require('../utils/pathResolver');
+const URLNormalizer = require('../utils/URLNormalizer');
+const SubtitleFormatter = require('../utils/SubtitleFormatter');
+const validators = require('../utils/validators');
+
+const DEFAULT_OUTPUT_DIR = 'subtitles';
+
+/**
+ * Export Command Handler
+ * Writes .srt and .vtt subtitle files from the timestamped segments sidecar
+ *
+ * Targets, in order of precedence:
+ * 1. Video IDs (or YouTube URLs) given as arguments
+ * 2. Everything linked in the current project (./transcripts or its transcriptsDir)
+ *
+ * Tracks stored without a segments sidecar (text-only) have no timing data and are
+ * reported as failures.
+ * Linked language variants (tr_{id}.{lang}_...) are exported per language.
+ *
+ * @param {string[]} videoIds - Video IDs or URLs (empty = everything linked in the project)
+ * @param {Object} options - Command options
+ * @param {string} [options.format='both'] - 'srt', 'vtt' or 'both'
+ * @param {string} [options.output='subtitles'] - Output directory
+ * @param {string} [options.lang] - Language variant for video ID arguments
+ * @returns {Promise<void>}
+ */
+async function exportCommand(videoIds = [], options = {}) {
+  const formats = parseFormats(options.format);
+  if (!formats) {
+    console.error(`Invalid format: ${options.format}`);
+    console.error('Usage: transcriptor export [videoIds...] --format <srt|vtt|both>');
+    process.exit(2); // Exit code 2: Validation failure
+  }
+
+  if (options.lang !== undefined && !validators.isValidLanguageCode(options.lang)) {
+    console.error(`Invalid language code: ${options.lang}`);
+    process.exit(2);
+  }
+
+  try {
+    const storage = new StorageService(pathResolver);
+    await storage.initialize();
+
+    const targets =
+      videoIds.length > 0
+        ? resolveArguments(videoIds, options.lang || null)
+        : await findLinkedVideoIds(storage);
+
+    if (targets.invalid.length > 0) {
+      targets.invalid.forEach((arg) => console.error(`Not a video ID or YouTube URL: ${arg}`));
+      process.exit(2);
+    }
+
+    if (targets.videos.length === 0) {
+      console.log('No transcripts to export.');
+      console.log('Pass video IDs or run export in a project with linked transcripts');
+      return;
+    }
+
+    const registry = await storage.loadRegistry();
+    const outputDir = path.resolve(options.output || DEFAULT_OUTPUT_DIR);
+    await fs.ensureDir(outputDir);
+
+    console.log(
+      `Exporting ${targets.videos.length} transcript(s) as ${formats.join(', ')} to ${outputDir}\n`
+    );
+
+    const results = { total: targets.videos.length, exported: 0, files: 0, errors: [] };
+
+    for (const { videoId, lang } of targets.videos) {
+      const label = lang ? `${videoId} [${lang}]` : videoId;
+      try {
+        const written = await exportVideo(storage, registry, { videoId, lang }, formats, outputDir);
+        results.exported++;
+        results.files += written.length;
+        written.forEach((file) => console.log(`  ✓ ${file}`));
+      } catch (error) {
+        console.error(`  ✗ ${label}: ${error.message}`);
+        results.errors.push({ videoId, lang, error: error.message });
+      }
+    }
+
+    console.log('\n=== Export Summary ===\n');
+    console.log(`Transcripts requested: ${results.total}`);
+    console.log(`Exported:              ${results.exported}`);
+    console.log(`Files written:         ${results.files}`);
+    console.log(`Failed:                ${results.errors.length}`);
+    console.log('');
+
+    // Exit code 1: Partial success with errors
+    if (results.errors.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('\nUnexpected error during export:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Parse --format option
+ * @param {string|undefined} format - 'srt', 'vtt' or 'both'
+ * @returns {string[]|null} Formats to write or null if invalid
+ */
+function parseFormats(format = 'both') {
+  const normalized = String(format).toLowerCase();
+
+  if (normalized === 'both') {
+    return [...SubtitleFormatter.FORMATS];
+  }
+
+  return SubtitleFormatter.FORMATS.includes(normalized) ? [normalized] : null;
+}
+
+/**
+ * Resolve command arguments into unique video/language targets
+ * @param {string[]} args - Video IDs or YouTube URLs
+ * @param {string|null} lang - Language variant (null = default track)
+ * @returns {{videos: Array<{videoId: string, lang: string|null}>, invalid: string[]}}
+ *   Resolved targets and rejected arguments
+ */
+function resolveArguments(args, lang) {
+  const videos = [];
+  const invalid = [];
+
+  for (const arg of args) {
+    const videoId = URLNormalizer.extractVideoId(arg);
+    if (!videoId) {
+      invalid.push(arg);
+    } else {
+      addTarget(videos, videoId, lang);
+    }
+  }
+
+  return { videos, invalid };
+}
+
+/**
+ * Collect video/language targets linked in the current project
+ * @param {StorageService} storage - Storage service
+ * @returns {Promise<{videos: Array<{videoId: string, lang: string|null}>, invalid: string[]}>}
+ *   Linked targets
+ */
+async function findLinkedVideoIds(storage) {
+  const videos = [];
+
+  const linkManager = new LinkManager(storage, pathResolver);
+  for (const { videoId, lang } of await linkManager.listLinked(process.cwd())) {
+    addTarget(videos, videoId, lang);
+  }
+
+  return { videos, invalid: [] };
+}
+
+/**
+ * Append target unless the same video/language pair is already listed
+ * @param {Array<{videoId: string, lang: string|null}>} videos - Targets
+ * @param {string} videoId - YouTube video ID
+ * @param {string|null} lang - Language code or null
+ */
+function addTarget(videos, videoId, lang) {
+  if (!videos.some((video) => video.videoId === videoId && video.lang === lang)) {
+    videos.push({ videoId, lang });
+  }
+}
+
+/**
+ * Write subtitle files for a single video
+ * File names reuse the registry title: tr_{videoId}[.{lang}]_{title}.{srt|vtt}
+ *
+ * @param {StorageService} storage - Storage service
+ * @param {Object} registry - Loaded registry
+ * @param {{videoId: string, lang: string|null}} target - Video and language variant
+ * @param {string[]} formats - Formats to write
+ * @param {string} outputDir - Absolute output directory
+ * @returns {Promise<string[]>} Written file paths
+ * @throws {Error} If not registered, text-only, or write fails
+ */
+async function exportVideo(storage, registry, { videoId, lang }, formats, outputDir) {
+  const entry = registry[videoId];
+  if (!entry) {
+    throw new Error('Not in registry (run transcriptor first)');
+  }
+
+  // Sidecars are stored per language; the entry-level transcript_format only
+  // describes the track fetched last, so the sidecar decides
+  const segments = await storage.readSegments(videoId, lang);
+  if (!segments) {
+    throw new Error('Text-only transcript has no timing data (no segments stored for this track)');
+  }
+  if (segments.length === 0) {
+    throw new Error('No timing data available for this transcript');
+  }
+
+  const baseName = buildBaseName(videoId, entry, lang);
+  const written = [];
+
+  for (const format of formats) {
+    const filePath = path.join(outputDir, `${baseName}.${format}`);
+    const tempPath = `${filePath}.tmp`;
+
+    try {
+      await fs.writeFile(tempPath, SubtitleFormatter.render(segments, format), 'utf8');
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.remove(tempPath).catch(() => {});
+      throw new Error(`Failed to write ${format}: ${error.message}`);
+    }
+
+    written.push(filePath);
+  }
+
+  return written;
+}
+
+/**
+ * Build subtitle base filename from registry metadata
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} entry - Registry entry {title}
+ * @param {string|null} lang - Language code or null for default track
+ * @returns {string} Base filename without extension
+ */
+function buildBaseName(videoId, entry, lang) {
+  const idPart = lang ? `${videoId}.${lang}` : videoId;
+  if (!entry.title) {
+    return `tr_${idPart}`;
+  }
+
+  const metadataService = new MetadataService();
+  return `tr_${idPart}_${metadataService.formatTitle(entry.title)}`;
+}
+
+module.exports = exportCommand;
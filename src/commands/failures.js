@@ -0,0 +1,68 @@
+const StorageService = require('../services/StorageService');
+const FailureQueue = require('../services/FailureQueue');
+const pathResolver = require('../utils/pathResolver');
+const { formatLocalDateTime } = require('../utils/dateUtils');
+
+/**
+ * Failures Command Handler
+ * Lists the failure queue (~/.transcriptor/failures.json), transient and
+ * permanent failures apart, with error type, attempts and next retry time
+ *
+ * @returns {Promise<void>}
+ */
+async function failuresCommand() {
+  try {
+    const storage = new StorageService(pathResolver);
+    await storage.initialize();
+
+    const entries = await new FailureQueue(pathResolver).list();
+    if (entries.length === 0) {
+      console.log('No failed videos recorded.');
+      return;
+    }
+
+    const transient = entries.filter((entry) => !entry.permanent);
+    const permanent = entries.filter((entry) => entry.permanent);
+    const now = new Date();
+
+    console.log('\n=== Failed Videos ===\n');
+
+    console.log(`Transient (${transient.length}) - retried by \`transcriptor retry\`:`);
+    transient.forEach((entry) => {
+      const nextRetry =
+        new Date(entry.next_retry_at) <= now
+          ? 'due now'
+          : `next ${formatLocalDateTime(entry.next_retry_at)}`;
+      displayEntry(entry, nextRetry);
+    });
+
+    console.log(`\nPermanent (${permanent.length}) - skipped unless --include-permanent:`);
+    permanent.forEach((entry) => displayEntry(entry, null));
+    console.log('');
+  } catch (error) {
+    console.error('\nFailed to read failure queue:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Print one queue entry
+ * @param {Object} entry - Queue entry
+ * @param {string|null} nextRetry - Retry status for transient entries
+ */
+function displayEntry(entry, nextRetry) {
+  const label = entry.lang ? `${entry.video_id} [${entry.lang}]` : entry.video_id;
+  const details = [
+    entry.error_type || 'UNTYPED',
+    `attempts: ${entry.attempts}`,
+    `last: ${formatLocalDateTime(entry.last_failed_at)}`,
+  ];
+  if (nextRetry) {
+    details.push(nextRetry);
+  }
+
+  console.log(`  ${label}  ${details.join(', ')}`);
+  console.log(`     ${(entry.error || '').substring(0, 200)}`);
+}
+
+module.exports = failuresCommand;
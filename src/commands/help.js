@@ -43,15 +43,72 @@ function helpCommand() {
   console.log('COMMANDS:\n');
   console.log('  Main Processing:');
   console.log('    transcriptor              Process youtube.md in current directory');
-  console.log('                              Creates transcripts/ folder with .md files\n');
+  console.log('                              Creates transcripts/ folder with .md files');
+  console.log('      --since YYYY-MM-DD      Only expand channel uploads from this date on');
+  console.log('      --max-videos N          Expand at most N uploads per channel');
+  console.log('      --lang CODE             Transcript language (line hint: lang=CODE)');
+  console.log('      --concurrency N         Process N videos in parallel (max 16)');
+  console.log('      --force                 Re-check videos cached as having no transcript');
+  console.log('      --offline               No network: link cached videos, queue the rest');
+  console.log('      --max-api-calls N       Stop fetching after N billed API calls');
+  console.log('      --annotate              Mark youtube.md lines with ✓ file or ✗ reason');
+  console.log('      --input PATH            Read URLs from PATH instead (- for stdin)');
+  console.log('      --recursive [ROOT]      Process every youtube.md below ROOT at once');
+  console.log(
+    '      --dry-run               Report fetches, links, conflicts and API calls only\n'
+  );
+
+  console.log('    transcriptor add URL...   Process the given URLs (- reads stdin)');
+  console.log('                              Same options as above, except --annotate\n');
+
+  console.log('    transcriptor import FILE  Videos from watch-history.json, playlist CSV,');
+  console.log('                              or bookmarks HTML (processed right away)');
+  console.log('      --since/--until DATE    Only videos watched/added in this range');
+  console.log('      --folder NAME           Only bookmarks in this folder');
+  console.log('      --append                Add them to youtube.md for review instead\n');
+
+  console.log('    transcriptor watch        Process new youtube.md lines on every save');
+  console.log('      --lang CODE             Language for lines without lang=');
+  console.log('      --concurrency N         Process N videos in parallel (max 16)');
+  console.log('      --force                 Fetch videos cached as having no transcript\n');
+
+  console.log('    transcriptor resume [JOB] Continue an interrupted batch');
+  console.log('                              Default: most recent unfinished job');
+  console.log('      --concurrency N         Process N videos in parallel (max 16)\n');
+
+  console.log('  Failed Videos:');
+  console.log('    transcriptor failures     List failed videos and their errors');
+  console.log('    transcriptor retry        Retry failures whose backoff elapsed');
+  console.log('      --now                   Ignore backoff');
+  console.log('      --include-permanent     Also retry no-caption/unavailable videos');
+  console.log('      --concurrency N         Process N videos in parallel (max 16)\n');
 
   console.log('  Repository Inspection:');
   console.log('    transcriptor data         Display repository statistics');
-  console.log('                              Shows count, size, date range\n');
+  console.log('                              Shows count, size, date range');
+  console.log('    transcriptor links ID     Projects the transcript is linked into');
+  console.log('    transcriptor usage        API calls per day (~/.transcriptor/usage.jsonl)');
+  console.log('      --by day|week|month     Summary period (default: day)\n');
+
+  console.log('  Subtitles:');
+  console.log('    transcriptor export [IDS] Write .srt/.vtt to ./subtitles');
+  console.log('                              Default: every video in ./transcripts');
+  console.log('      --format srt|vtt|both   Subtitle format (default: both)');
+  console.log('      --output DIR            Output directory (default: subtitles)');
+  console.log('      --lang CODE             Language variant for the given IDs\n');
 
   console.log('  Maintenance:');
+  console.log('    transcriptor sync         Make ./transcripts match youtube.md (cached only)');
+  console.log('                              Creates missing links, repairs broken ones,');
+  console.log('                              removes symlinks of videos no longer listed');
+  console.log('      --dry-run               Show the changes without writing');
+  console.log('      --lang CODE             Language for lines without lang=');
+  console.log('    transcriptor doctor       Find broken, legacy (transcript_) and foreign links');
+  console.log('                              and files shadowing links in ./transcripts');
+  console.log('      --fix                   Relink them (video ID taken from the filename)');
   console.log('    transcriptor clean DATE   Remove transcripts older than DATE');
-  console.log('                              Format: YYYY-MM-DD (exclusive)\n');
+  console.log('                              Format: YYYY-MM-DD (exclusive)');
+  console.log('                              Project links are removed as well\n');
 
   console.log('  Information:');
   console.log('    transcriptor help         Display this help information');
@@ -74,7 +131,11 @@ function helpCommand() {
   console.log('     $ transcriptor clean 2024-06-01');
   console.log('     → Deletes transcripts added before 2024-06-01 (exclusive)\n');
 
-  console.log('  4. Display help information:');
+  console.log('  4. Export subtitles for one video:');
+  console.log('     $ transcriptor export dQw4w9WgXcQ --format srt');
+  console.log('     → Writes ./subtitles/tr_dQw4w9WgXcQ_<title>.srt\n');
+
+  console.log('  5. Display help information:');
   console.log('     $ transcriptor help\n');
 
   // Configuration section
@@ -83,14 +144,31 @@ function helpCommand() {
   console.log('    SCRAPE_CREATORS_API_KEY   API key for transcript service');
   console.log('    Set in .env file or environment\n');
 
+  console.log('  Optional:');
+  console.log('    TRANSCRIPTOR_UNAVAILABLE_TTL_DAYS');
+  console.log('                              Days to skip videos without transcript (7)');
+  console.log('    TRANSCRIPTOR_LINK_MODE    symlink (default), relative, hardlink or copy');
+  console.log(
+    '                              Per project: {"linkMode": ...} in .transcriptor.json\n'
+  );
+
+  console.log('  Project Settings (.transcriptor.json):');
+  console.log('    linkMode                  Link mode for this project');
+  console.log('    transcriptsDir            Links directory (default: transcripts)');
+  console.log('    filenameTemplate          Link names, e.g. "{channel}/{date}_{title}.md"');
+  console.log('                              Placeholders: {id} {title} {channel} {date} {lang}');
+  console.log('                              Existing links move when the layout changes\n');
+
   console.log('  Input File:');
   console.log('    youtube.md                List of YouTube URLs (one per line)');
-  console.log('                              Both youtube.com and youtu.be formats supported');
+  console.log('                              watch, youtu.be, shorts, embed URLs or bare IDs');
+  console.log('                              Playlist URLs expand to every video they contain');
+  console.log('                              Channel URLs (@handle, /channel/, /c/) expand too');
   console.log('                              Comments (#) and blank lines ignored\n');
 
   console.log('  Storage Location:');
   console.log('    ~/.transcriptor/          Centralized transcript repository');
-  console.log('    ./transcripts/            Project-local symbolic links\n');
+  console.log('    ./transcripts/            Project-local links (transcriptsDir setting)\n');
 
   // Footer section
   console.log('For more information, see project documentation.');
@@ -0,0 +1,262 @@
+const fs = require('fs-extra');
+const path = require('path');
+const ConsoleFormatter = require('../utils/ConsoleFormatter');
+const StorageService = require('../services/StorageService');
+const MetadataService = require('../services/MetadataService');
+const TranscriptService = require('../services/TranscriptService');
+const UsageLedger = require('../services/UsageLedger');
+const ProviderFactory = require('../providers/ProviderFactory');
+const ImportParser = require('../utils/ImportParser');
+const InputParser = require('../utils/InputParser');
+const URLNormalizer = require('../utils/URLNormalizer');
+const pathResolver = require('../utils/pathResolver');
+const validators = require('../utils/validators');
+const WorkerPool = require('../utils/WorkerPool');
+const { logger } = require('../utils/Logger');
+const { formatLocalDateTime } = require('../utils/dateUtils');
+
+const INPUT_FILE = 'youtube.md';
+
+/**
+ * Import Command Handler
+ * Turns a Google Takeout watch history (watch-history.json), a Takeout playlist
+ * (playlists/*.csv) or a browser bookmarks export into transcripts
+ *
+ * Videos are filtered by date (--since/--until, when watched, added or
+ * bookmarked) and, for bookmarks, by folder, then deduplicated. They are
+ * processed right away and linked into ./transcripts, or with --append added to
+ * youtube.md as unchecked items for review (videos already listed are left out).
+ *
+ * @param {string} file - Export file
+ * @param {Object} options - Command options
+ * @param {string} [options.since] - Only videos dated on/after YYYY-MM-DD
+ * @param {string} [options.until] - Only videos dated on/before YYYY-MM-DD
+ * @param {string} [options.folder] - Only bookmarks in this folder (subfolders included)
+ * @param {boolean} [options.append] - Append to youtube.md instead of processing
+ * @param {string} [options.lang] - Transcript language
+ * @param {string} [options.concurrency] - Number of videos processed in parallel
+ * @param {boolean} [options.force] - Fetch videos cached as having no transcript
+ * @param {string} [options.maxApiCalls] - Stop fetching after this many billed API calls
+ * @returns {Promise<void>}
+ */
+async function importCommand(file, options = {}) {
+  const filters = parseFilters(options);
+  if (!filters) {
+    process.exit(2); // Exit code 2: Validation failure
+  }
+
+  if (options.lang !== undefined && !validators.isValidLanguageCode(options.lang)) {
+    console.error(`Invalid --lang: ${options.lang} (expected e.g. en, fr, pt-BR)`);
+    process.exit(2);
+  }
+
+  const concurrency =
+    options.concurrency === undefined
+      ? WorkerPool.DEFAULT_CONCURRENCY
+      : Number(options.concurrency);
+  if (!WorkerPool.isValidConcurrency(concurrency)) {
+    console.error(
+      `Invalid --concurrency: ${options.concurrency} (expected 1-${WorkerPool.MAX_CONCURRENCY})`
+    );
+    process.exit(2);
+  }
+
+  const maxApiCalls = options.maxApiCalls === undefined ? null : Number(options.maxApiCalls);
+  if (maxApiCalls !== null && !UsageLedger.isValidBudget(maxApiCalls)) {
+    console.error(`Invalid --max-api-calls: ${options.maxApiCalls} (expected a positive integer)`);
+    process.exit(2);
+  }
+
+  let entries;
+  try {
+    const { format, all } = await readExport(file);
+    if (filters.folder && format !== ImportParser.FORMATS.BOOKMARKS) {
+      console.error('--folder only applies to bookmark exports');
+      process.exit(2);
+    }
+
+    const matching = ImportParser.filter(all, filters);
+    entries = ImportParser.deduplicate(matching);
+
+    console.log(`\n=== Importing ${path.basename(file)} (${format}) ===\n`);
+    console.log(`${all.length} video entr${all.length !== 1 ? 'ies' : 'y'} found`);
+    if (matching.length !== all.length) {
+      console.log(`${matching.length} match the filters`);
+    }
+    if (entries.length !== matching.length) {
+      console.log(`${matching.length - entries.length} repeated video(s) removed`);
+    }
+  } catch (error) {
+    console.error(`Import failed: ${error.message}`);
+    process.exit(2);
+  }
+
+  if (entries.length === 0) {
+    console.log('Nothing to import.\n');
+    return;
+  }
+
+  try {
+    const storageService = new StorageService(pathResolver);
+    await storageService.initialize();
+
+    if (options.append) {
+      await appendToInput(storageService, file, entries, options.lang || null);
+      return;
+    }
+
+    const metadataService = new MetadataService();
+    const provider = await ProviderFactory.create({ metadataService, maxApiCalls });
+    const transcriptService = new TranscriptService(
+      storageService,
+      provider,
+      metadataService,
+      pathResolver
+    );
+
+    const items = entries.map((entry) => ({
+      url: entry.url,
+      // Takeout history already names the video and channel, saving a metadata lookup
+      metadata:
+        entry.title && entry.channel ? { title: entry.title, channel: entry.channel } : null,
+      lang: options.lang || null,
+    }));
+
+    const results = await transcriptService.processBatch(items, process.cwd(), {
+      concurrency,
+      force: Boolean(options.force),
+    });
+    ConsoleFormatter.displayBatchReport(results, items.length);
+
+    // Exit code 1: Partial success with errors
+    if (results.errors.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('\nUnexpected error during import:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Parse and validate --since, --until and --folder
+ * --until is inclusive: the bound is the start of the following day
+ *
+ * @param {Object} options - Command options
+ * @returns {{since: Date|null, until: Date|null, folder: string|null}|null} Filters, or null
+ *   if invalid
+ */
+function parseFilters(options) {
+  const filters = { since: null, until: null, folder: options.folder || null };
+
+  for (const name of ['since', 'until']) {
+    const value = options[name];
+    if (value === undefined) {
+      continue;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !validators.isValidDate(value)) {
+      console.error(`Invalid --${name}: ${value} (expected YYYY-MM-DD)`);
+      return null;
+    }
+    filters[name] = new Date(`${value}T00:00:00`);
+  }
+
+  if (filters.until) {
+    filters.until.setDate(filters.until.getDate() + 1);
+  }
+
+  if (filters.since && filters.until && filters.since >= filters.until) {
+    console.error(`Invalid range: --since ${options.since} is after --until ${options.until}`);
+    return null;
+  }
+
+  return filters;
+}
+
+/**
+ * Read an export file and parse it in the detected format
+ *
+ * @param {string} file - Export file path
+ * @returns {Promise<{format: string, all: Object[]}>} Format and every video entry
+ * @throws {Error} If the file is missing, too large or not a supported export
+ */
+async function readExport(file) {
+  let stats;
+  try {
+    stats = await fs.stat(file);
+  } catch (error) {
+    throw new Error(
+      error.code === 'ENOENT' ? `file not found: ${file}` : `cannot read ${file}: ${error.message}`
+    );
+  }
+
+  if (!stats.isFile()) {
+    throw new Error(`not a file: ${file}`);
+  }
+  if (stats.size > ImportParser.MAX_FILE_SIZE) {
+    throw new Error(`${file} exceeds ${ImportParser.MAX_FILE_SIZE / 1024 / 1024}MB limit`);
+  }
+
+  const content = await fs.readFile(file, 'utf8');
+  const format = ImportParser.detectFormat(content);
+  if (!format) {
+    throw new Error(
+      `${file} is not a supported export (watch-history.json from Takeout in JSON format, ` +
+        'a Takeout playlist CSV or a bookmarks HTML file)'
+    );
+  }
+
+  return { format, all: ImportParser.parse(content, format) };
+}
+
+/**
+ * Append imported videos to youtube.md as unchecked items under a heading
+ * Videos already listed in youtube.md in the same language are left out
+ *
+ * @param {StorageService} storageService - Storage service (atomic writes)
+ * @param {string} file - Export file the videos came from
+ * @param {Object[]} entries - Imported entries
+ * @param {string|null} lang - Language hint added to each line
+ * @returns {Promise<void>}
+ */
+async function appendToInput(storageService, file, entries, lang) {
+  const inputFile = path.join(process.cwd(), INPUT_FILE);
+  const existing = (await fs.pathExists(inputFile)) ? await fs.readFile(inputFile, 'utf8') : '';
+
+  const { urls } = await logger.muted(() => InputParser.parseInput(existing));
+  const listed = new Set(
+    urls
+      .map((url) => URLNormalizer.normalize(url))
+      .filter((record) => record && record.videoId)
+      .map((record) => InputParser.videoKey(record.videoId, record.lang))
+  );
+  const added = entries.filter((entry) => !listed.has(InputParser.videoKey(entry.videoId, lang)));
+
+  if (added.length < entries.length) {
+    console.log(`${entries.length - added.length} video(s) already in ${INPUT_FILE}`);
+  }
+  if (added.length === 0) {
+    console.log('Nothing to append.\n');
+    return;
+  }
+
+  const eol = existing.includes('\r\n') ? '\r\n' : '\n';
+  const lines = [
+    `## Imported from ${path.basename(file)} on ${formatLocalDateTime(new Date())}`,
+    '',
+  ];
+  for (const entry of added) {
+    // Link text becomes the video's note when youtube.md is processed
+    const title = entry.title ? entry.title.replace(/[[\]\p{Cc}]/gu, '').trim() : '';
+    const link = title ? `[${title}](${entry.url})` : entry.url;
+    lines.push(`- [ ] ${link}${lang ? ` lang=${lang}` : ''}`);
+  }
+
+  const separator = existing === '' ? '' : existing.endsWith('\n') ? eol : eol + eol;
+  await storageService.atomicWriteText(inputFile, existing + separator + lines.join(eol) + eol);
+
+  console.log(`Appended ${added.length} video(s) to ${INPUT_FILE}`);
+  console.log('Review the list, then run transcriptor to process it.\n');
+}
+
+module.exports = importCommand;
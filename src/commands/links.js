@@ -0,0 +1,62 @@
+const StorageService = require('../services/StorageService');
+const LinkManager = require('../services/LinkManager');
+const LinkIndex = require('../services/LinkIndex');
+const pathResolver = require('../utils/pathResolver');
+const URLNormalizer = require('../utils/URLNormalizer');
+const { formatLocalDateTime } = require('../utils/dateUtils');
+
+/**
+ * Links Command Handler
+ * Lists the projects a transcript is linked into, from the link index
+ * (~/.transcriptor/projects.json), with the link mode and current state of
+ * each link (see LinkManager.linkState)
+ *
+ * @param {string} reference - Video ID or YouTube URL
+ * @returns {Promise<void>}
+ */
+async function linksCommand(reference) {
+  const videoId = URLNormalizer.extractVideoId(reference || '');
+  if (!videoId) {
+    console.error(`Not a video ID or YouTube URL: ${reference}`);
+    process.exit(2); // Exit code 2: Validation failure
+  }
+
+  try {
+    const storage = new StorageService(pathResolver);
+    await storage.initialize();
+
+    const linkManager = new LinkManager(storage, pathResolver);
+    const links = await linkManager.index.list(videoId);
+    const registry = await storage.loadRegistry();
+    const entry = Object.hasOwn(registry, videoId) ? registry[videoId] : null;
+
+    const label = entry && entry.title ? `${videoId} - ${entry.title}` : videoId;
+    if (links.length === 0) {
+      console.log(`No project links recorded for ${label}`);
+      if (!entry) {
+        console.log('The video is not in the registry either.');
+      }
+      return;
+    }
+
+    console.log(`\n=== Links of ${label} ===\n`);
+
+    for (const link of links) {
+      const { state } = await linkManager.linkState(videoId, link);
+      const details = [
+        link.mode || LinkManager.LINK_MODES.SYMLINK,
+        link.lang || 'default',
+        `linked ${formatLocalDateTime(link.linked_at)}`,
+      ];
+      console.log(`  ${state.padEnd(8)} ${link.project_dir}`);
+      console.log(`           ${link.path} (${details.join(', ')})`);
+    }
+
+    console.log(`\n${links.length} link(s) recorded in ${LinkIndex.FILENAME}\n`);
+  } catch (error) {
+    console.error('\nFailed to read project links:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = linksCommand;
@@ -2,12 +2,26 @@ const fs = require('fs-extra');
 const path = require('path');
 const ConsoleFormatter = require('../utils/ConsoleFormatter');
 const StorageService = require('../services/StorageService');
-const APIClient = require('../services/APIClient');
 const MetadataService = require('../services/MetadataService');
 const TranscriptService = require('../services/TranscriptService');
 const LinkManager = require('../services/LinkManager');
+const SourceExpander = require('../services/SourceExpander');
 const MaintenanceService = require('../services/MaintenanceService');
+const PendingQueue = require('../services/PendingQueue');
+const UsageLedger = require('../services/UsageLedger');
+const DryRunPlanner = require('../services/DryRunPlanner');
+const InputAnnotator = require('../services/InputAnnotator');
+const ProviderFactory = require('../providers/ProviderFactory');
 const pathResolver = require('../utils/pathResolver');
+const validators = require('../utils/validators');
+const URLNormalizer = require('../utils/URLNormalizer');
+const InputParser = require('../utils/InputParser');
+const URLParser = require('../utils/URLParser');
+const LinkLayout = require('../utils/LinkLayout');
+const ProjectScanner = require('../utils/ProjectScanner');
+const ResultFactory = require('../utils/ResultFactory');
+const WorkerPool = require('../utils/WorkerPool');
+const UnavailableCache = require('../utils/UnavailableCache');
 
 /**
  * Process Command Handler
@@ -15,16 +29,25 @@ const pathResolver = require('../utils/pathResolver');
  * Implements FR-8.1 main command, TR-1 processing pipeline, FR-12 RAG generator integration, FR-13 RAG generator Gemini integration
  *
  * Workflow:
- * 1. Validate youtube.md exists (FR-1.2)
+ * 0. Process lines queued by earlier --offline runs (online runs only)
+ * 1. Validate youtube.md exists (FR-1.2), or the --input file; URLs may also come from
+ *    stdin (--input -) or the command line (`transcriptor add`)
  * 2. Read and parse URLs (FR-1.1)
- * 3. Deduplicate URLs (business logic)
- * 4. Delegate to TranscriptService.processBatch()
- * 5. Report results
- * 6. Execute RAG generator if --rag-generator flag provided (FR-12.2)
- * 7. Execute RAG generator Gemini if --rag-generator-gemini flag provided (FR-13.2)
+ * 3. Expand playlist and channel URLs into their member videos
+ * 4. Normalize and deduplicate by video ID (business logic)
+ * 5. Delegate to TranscriptService.processBatch()
+ * 6. Report results (and mark each line in youtube.md with --annotate)
+ * 7. Execute RAG generator if --rag-generator flag provided (FR-12.2)
+ * 8. Execute RAG generator Gemini if --rag-generator-gemini flag provided (FR-13.2)
+ *
+ * With --dry-run, steps 1-4 run read-only (no expansion, no maintenance) and the
+ * plan is reported instead of processed; see runDryRun().
+ *
+ * With --recursive, every youtube.md below a root is read and each video is
+ * processed once for all the projects listing it; see runRecursive().
  *
  * Security considerations (TR-13, Security):
- * - Validate file size before reading (max 10MB)
+ * - Validate file size before reading (max 10MB) and URL count (max 1000), stdin included
  * - Sanitize URLs before logging
  * - Use absolute paths to prevent traversal attacks
  * - Validate video ID format before processing
@@ -32,10 +55,43 @@ const pathResolver = require('../utils/pathResolver');
  * @param {Object} options - Command options from CLI
  * @param {boolean} options.ragGenerator - Execute RAG generator after processing
  * @param {boolean} options.ragGeneratorGemini - Execute RAG generator Gemini after processing
+ * @param {string} options.since - Only expand channel uploads published on/after YYYY-MM-DD
+ * @param {string} options.maxVideos - Maximum uploads expanded per channel
+ * @param {string} options.lang - Transcript language for lines without a lang= hint
+ * @param {string} options.concurrency - Number of URLs processed in parallel
+ * @param {boolean} options.force - Fetch videos known to have no transcript anyway
+ * @param {boolean} options.offline - Link cached videos only, queue the rest for the next online run
+ * @param {string} options.maxApiCalls - Stop fetching after this many billed API calls
+ * @param {boolean} options.dryRun - Report what would happen without network access or disk writes
+ * @param {boolean} options.annotate - Write each line's outcome back into youtube.md
+ * @param {string} options.input - Read URLs from this file instead of ./youtube.md ('-' = stdin)
+ * @param {string[]} options.urls - URLs given on the command line (`transcriptor add`)
+ * @param {boolean|string} options.recursive - Process every youtube.md below this root
+ *   (true = current directory)
  * @returns {Promise<Object>} Result object with success status
  */
 async function processCommand(options = {}) {
-  const { ragGenerator = false, ragGeneratorGemini = false } = options;
+  const { ragGenerator = false, ragGeneratorGemini = false, offline = false } = options;
+
+  const expansionLimits = parseExpansionLimits(options);
+  if (!expansionLimits) {
+    return { success: false, reason: 'invalid_options' };
+  }
+
+  const languageOption = parseLanguageOption(options);
+  if (!languageOption) {
+    return { success: false, reason: 'invalid_options' };
+  }
+
+  const concurrency = parseConcurrency(options);
+  if (!concurrency) {
+    return { success: false, reason: 'invalid_options' };
+  }
+
+  const apiBudget = parseApiBudget(options);
+  if (!apiBudget) {
+    return { success: false, reason: 'invalid_options' };
+  }
 
   // TR-49: Validate mutual exclusivity of RAG generator flags
   if (ragGenerator && ragGeneratorGemini) {
@@ -43,6 +99,31 @@ async function processCommand(options = {}) {
     console.error('Please use only one RAG generator option at a time.\n');
     return { success: false, reason: 'mutually_exclusive_flags' };
   }
+
+  // --recursive reads every youtube.md below its root, per-file options do not apply
+  const perFileOptions = options.input || options.urls || options.annotate || options.dryRun;
+  if (options.recursive && (perFileOptions || ragGenerator || ragGeneratorGemini)) {
+    console.error(
+      '\nError: --recursive cannot be combined with --input, add, --annotate, --dry-run ' +
+        'or the RAG generator options\n'
+    );
+    return { success: false, reason: 'invalid_options' };
+  }
+
+  if (options.recursive) {
+    return runRecursive(options, {
+      expansionLimits,
+      lang: languageOption.lang,
+      concurrency,
+      maxApiCalls: apiBudget.maxApiCalls,
+    });
+  }
+
+  const input = resolveInput(options);
+
+  if (options.dryRun) {
+    return runDryRun(input, languageOption.lang, Boolean(options.force));
+  }
   try {
     console.log('\n=== Processing YouTube Transcripts ===\n');
 
@@ -50,92 +131,85 @@ async function processCommand(options = {}) {
     const storageService = new StorageService(pathResolver);
     await storageService.initialize();
 
-    const apiKey = process.env.SCRAPE_CREATORS_API_KEY;
-    if (!apiKey) {
-      throw new Error(
-        'SCRAPE_CREATORS_API_KEY not found in environment. Please set it in .env file.'
-      );
-    }
-
-    const apiClient = new APIClient(apiKey);
-    await apiClient.initialize();
-
+    // Transcript source chosen by TRANSCRIPTOR_PROVIDER (Scrape Creators API by default)
+    // --offline swaps in a provider that never touches the network
     const metadataService = new MetadataService();
+    const provider = await ProviderFactory.create({
+      metadataService,
+      offline,
+      maxApiCalls: apiBudget.maxApiCalls,
+    });
 
     // Auto-maintenance (implements FR-7.1, TR-14)
-    // Initialize LinkManager (required by MaintenanceService)
-    const linkManager = new LinkManager(storageService, pathResolver);
-
-    // Initialize MaintenanceService
-    const maintenanceService = new MaintenanceService(storageService, linkManager);
-
-    // Run integrity validation before processing URLs
-    console.log('[Maintenance] Running integrity validation...');
-    const validationResults = await maintenanceService.validateIntegrity();
-
-    // CONDITIONAL OUTPUT: Display validation results only if cleanup occurred or errors found
-    // This keeps output clean for healthy registries
-    if (validationResults.orphaned > 0 || validationResults.errors.length > 0) {
-      console.log('[Maintenance] Validation complete:');
-      console.log(`  Entries checked: ${validationResults.checked}`);
-      console.log(`  Orphans removed: ${validationResults.orphaned}`);
-
-      // BUG PREVENTION: Check if fields exist before displaying
-      if (validationResults.linksRemoved > 0) {
-        console.log(`  Links removed: ${validationResults.linksRemoved}`);
-      }
-      if (validationResults.linksFailed > 0) {
-        console.log(`  Links failed to remove: ${validationResults.linksFailed}`);
-      }
-      if (validationResults.errors.length > 0) {
-        console.log(`  Errors encountered: ${validationResults.errors.length}`);
-        // Optionally show first few errors for debugging
-        if (process.env.DEBUG) {
-          console.log('  First errors:');
-          validationResults.errors.slice(0, 3).forEach((err) => {
-            console.log(`    ${err.videoId}: ${err.error}`);
-          });
-        }
-      }
-      console.log('');
-    } else {
-      // Quiet success - no output needed for clean registries
-      console.log('[Maintenance] Registry validation passed\n');
-    }
+    await runMaintenance(storageService, [process.cwd()]);
 
     const transcriptService = new TranscriptService(
       storageService,
-      apiClient,
+      provider,
       metadataService,
       pathResolver
     );
 
-    // Step 1: Validate file exists
-    const inputFile = await validateInputFile();
-    if (!inputFile) {
-      // Help already displayed
+    // --annotate: keep each video's journal item to write its outcome back into the input file
+    const annotate = Boolean(options.annotate) && canAnnotate(input);
+    const finishedItems = [];
+    const batchOptions = {
+      concurrency,
+      force: Boolean(options.force),
+      offline,
+      onItemFinished: annotate ? (item) => finishedItems.push(item) : undefined,
+    };
+    const pendingQueue = new PendingQueue(pathResolver);
+
+    // Step 0: Catch up on lines an earlier --offline run could not serve
+    if (!offline) {
+      await processPendingQueue(pendingQueue, transcriptService, provider, expansionLimits, {
+        concurrency,
+        force: batchOptions.force,
+      });
+    }
+
+    // Step 1-2: Validate input exists, read and parse URLs
+    const content = await readInput(input);
+    if (content === null) {
+      // Help or error already displayed
       return { success: false, reason: 'missing_file' };
     }
 
-    // Step 2: Read and parse URLs
-    const content = await readInputFile(inputFile);
-    const urls = parseUrls(content);
+    const { urls, notes } = parseInputContent(input, content);
 
-    console.log(`Found ${urls.length} URL${urls.length !== 1 ? 's' : ''} in youtube.md`);
+    console.log(`Found ${urls.length} URL${urls.length !== 1 ? 's' : ''} in ${input.label}`);
 
-    const uniqueUrls = deduplicateUrls(urls);
+    // Expand playlist and channel lines into member videos before deduplication
+    // Offline, collections cannot be listed: queue them whole for the next online run
+    const sourceExpander = new SourceExpander(provider, expansionLimits);
+    const expansion = await sourceExpander.expand(
+      offline ? await queueCollections(pendingQueue, urls, languageOption.lang) : urls
+    );
 
-    if (uniqueUrls.length === 0) {
-      console.log('\nNo valid YouTube URLs found in youtube.md');
+    const videos = InputParser.deduplicateVideos(expansion.urls, languageOption.lang);
+
+    if (videos.length === 0) {
+      console.log(`\nNo valid YouTube URLs found in ${input.label}`);
       console.log('Please add YouTube URLs (one per line) and try again.\n');
       return { success: false, reason: 'no_urls' };
     }
 
     // Step 3: Process URLs
-    const results = await processUrls(transcriptService, uniqueUrls);
+    const results = await processUrls(
+      transcriptService,
+      buildBatchItems(videos, expansion.metadata, notes),
+      process.cwd(),
+      batchOptions
+    );
 
     // Step 4: Display results
-    displayResults(results, uniqueUrls.length);
+    ConsoleFormatter.displayBatchReport(results, videos.length);
+    displayExpansionSources(expansion);
+
+    if (annotate) {
+      await annotateInputFile(storageService, input, finishedItems, languageOption.lang);
+    }
 
     // Step 5: Execute RAG generator if requested (implements FR-12.2, FR-13.2, TR-41)
     if ((ragGenerator || ragGeneratorGemini) && results.processed > 0) {
@@ -194,148 +268,638 @@ async function processCommand(options = {}) {
 }
 
 /**
- * Validate youtube.md file exists
- * Implements FR-1.2 help display when missing
+ * Validate registry integrity and project links before processing URLs
+ * Output only when cleanup happened or errors were found, to keep healthy runs quiet
  *
- * Security: Uses absolute path, validates file size
- * @returns {Promise<string|null>} File path or null if missing
+ * @param {StorageService} storageService - Storage service
+ * @param {string[]} projectDirs - Projects about to be processed (checked for untracked links)
+ * @returns {Promise<void>}
  */
-async function validateInputFile() {
-  const inputFile = path.join(process.cwd(), 'youtube.md');
+async function runMaintenance(storageService, projectDirs) {
+  // Initialize LinkManager (required by MaintenanceService)
+  const linkManager = new LinkManager(storageService, pathResolver);
 
-  // NOTE: path.join() with static filename is inherently safe
-  // No traversal check needed - inputFile is always cwd/youtube.md
+  // Initialize MaintenanceService
+  const maintenanceService = new MaintenanceService(storageService, linkManager);
 
-  const exists = await fs.pathExists(inputFile);
+  // Run integrity validation before processing URLs
+  console.log('[Maintenance] Running integrity validation...');
+  const validationResults = await maintenanceService.validateIntegrity({ projectDirs });
 
-  if (!exists) {
-    console.error('Error: youtube.md not found in current directory\n');
-    displayHelp();
-    return null;
+  // CONDITIONAL OUTPUT: Display validation results only if cleanup occurred or errors found
+  // This keeps output clean for healthy registries
+  if (
+    validationResults.orphaned > 0 ||
+    validationResults.linksRemoved > 0 ||
+    validationResults.linksRelinked > 0 ||
+    validationResults.linksDangling > 0 ||
+    validationResults.linksStale > 0 ||
+    validationResults.linksRefreshed > 0 ||
+    validationResults.linksMigrated > 0 ||
+    validationResults.errors.length > 0
+  ) {
+    console.log('[Maintenance] Validation complete:');
+    console.log(`  Entries checked: ${validationResults.checked}`);
+    console.log(`  Orphans removed: ${validationResults.orphaned}`);
+
+    // BUG PREVENTION: Check if fields exist before displaying
+    if (validationResults.linksRemoved > 0) {
+      console.log(`  Links removed: ${validationResults.linksRemoved}`);
+    }
+    if (validationResults.linksFailed > 0) {
+      console.log(`  Links failed to remove: ${validationResults.linksFailed}`);
+    }
+    if (validationResults.linksRelinked > 0) {
+      console.log(`  Broken links relinked: ${validationResults.linksRelinked}`);
+    }
+    if (validationResults.linksDangling > 0) {
+      console.log(
+        `  Broken links left in place: ${validationResults.linksDangling} (see transcriptor doctor)`
+      );
+    }
+    if (validationResults.linksStale > 0) {
+      console.log(`  Stale link records dropped: ${validationResults.linksStale}`);
+    }
+    if (validationResults.linksRefreshed > 0) {
+      console.log(`  Outdated copies refreshed: ${validationResults.linksRefreshed}`);
+    }
+    if (validationResults.linksMigrated > 0) {
+      console.log(`  Links moved to new layout: ${validationResults.linksMigrated}`);
+    }
+    if (validationResults.linksModified > 0) {
+      console.log(`  Copies edited in projects: ${validationResults.linksModified}`);
+    }
+    if (validationResults.errors.length > 0) {
+      console.log(`  Errors encountered: ${validationResults.errors.length}`);
+      // Optionally show first few errors for debugging
+      if (process.env.DEBUG) {
+        console.log('  First errors:');
+        validationResults.errors.slice(0, 3).forEach((err) => {
+          console.log(`    ${err.videoId}: ${err.error}`);
+        });
+      }
+    }
+    console.log('');
+  } else {
+    // Quiet success - no output needed for clean registries
+    console.log('[Maintenance] Registry validation passed\n');
   }
+}
 
-  // Security: Validate file size before reading (prevent memory exhaustion)
-  const stats = await fs.stat(inputFile);
-  const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB per TR performance limits
+/**
+ * Process every youtube.md below a root directory (--recursive [root])
+ *
+ * Videos are collected from all projects and deduplicated by video ID and
+ * language, so each one is fetched (or read from the cache) once. It is
+ * processed in a batch for the first project listing it, then linked into the
+ * other projects with LinkManager.createLink. Offline, uncached videos are
+ * queued for every project listing them. One combined report follows, with a
+ * breakdown per project.
+ *
+ * @param {Object} options - Command options from CLI
+ * @param {Object} settings - Validated options
+ * @param {Object} settings.expansionLimits - Channel expansion limits (--since, --max-videos)
+ * @param {string|null} settings.lang - Language for lines without a lang= hint
+ * @param {number} settings.concurrency - URLs processed in parallel
+ * @param {number|null} settings.maxApiCalls - Billed API call budget
+ * @returns {Promise<Object>} Result object with combined results and per-project outcomes
+ */
+async function runRecursive(options, { expansionLimits, lang, concurrency, maxApiCalls }) {
+  const offline = Boolean(options.offline);
+  const root = path.resolve(options.recursive === true ? process.cwd() : options.recursive);
+
+  try {
+    console.log('\n=== Processing YouTube Transcripts (recursive) ===\n');
+
+    const rootStats = await fs.stat(root).catch(() => null);
+    if (!rootStats || !rootStats.isDirectory()) {
+      console.error(`Error: --recursive root is not a directory: ${root}\n`);
+      return { success: false, reason: 'missing_file' };
+    }
 
-  if (stats.size > MAX_FILE_SIZE) {
-    throw new Error(
-      `youtube.md exceeds maximum size (10MB). Current size: ${Math.round(stats.size / 1024 / 1024)}MB`
+    const projectDirs = await ProjectScanner.findProjects(root);
+    if (projectDirs.length === 0) {
+      console.error(`Error: no ${ProjectScanner.INPUT_FILE} found under ${root}\n`);
+      return { success: false, reason: 'missing_file' };
+    }
+    console.log(`Found ${projectDirs.length} ${ProjectScanner.INPUT_FILE} file(s) under ${root}`);
+
+    const storageService = new StorageService(pathResolver);
+    await storageService.initialize();
+
+    const metadataService = new MetadataService();
+    const provider = await ProviderFactory.create({ metadataService, offline, maxApiCalls });
+
+    await runMaintenance(storageService, projectDirs);
+
+    const transcriptService = new TranscriptService(
+      storageService,
+      provider,
+      metadataService,
+      pathResolver
+    );
+    // Shared with the batches, so every link goes through one projects.json write queue
+    const linkManager = transcriptService.linkManager;
+    const pendingQueue = new PendingQueue(pathResolver);
+    const force = Boolean(options.force);
+
+    if (!offline) {
+      await processPendingQueue(pendingQueue, transcriptService, provider, expansionLimits, {
+        concurrency,
+        force,
+      });
+    }
+
+    // Union of all projects: videoKey -> {video, metadata, note, projectDirs}
+    const sourceExpander = new SourceExpander(provider, expansionLimits);
+    const wanted = new Map();
+    const projects = [];
+
+    for (const projectDir of projectDirs) {
+      const project = { dir: projectDir, keys: [], error: null };
+      projects.push(project);
+
+      try {
+        const inputFile = path.join(projectDir, ProjectScanner.INPUT_FILE);
+        const { urls, notes } = InputParser.parseInput(
+          await new URLParser(inputFile).readContent()
+        );
+        const expansion = await sourceExpander.expand(
+          offline ? await queueCollections(pendingQueue, urls, lang, projectDir) : urls
+        );
+
+        for (const video of InputParser.deduplicateVideos(expansion.urls, lang)) {
+          const key = InputParser.videoKey(video.videoId, video.lang);
+          project.keys.push(key);
+
+          if (!wanted.has(key)) {
+            wanted.set(key, { video, metadata: null, note: null, projectDirs: [] });
+          }
+          const entry = wanted.get(key);
+          entry.projectDirs.push(projectDir);
+          entry.metadata = entry.metadata || expansion.metadata.get(video.videoId) || null;
+          entry.note = entry.note || notes.get(video.videoId) || null;
+        }
+      } catch (error) {
+        project.error = error.message;
+        console.error(`[Recursive] Skipping ${projectDir}: ${error.message}`);
+      }
+    }
+
+    if (wanted.size === 0) {
+      console.log('\nNo valid YouTube URLs found in any youtube.md\n');
+      displayProjectBreakdown(root, projects, new Map(), new Map());
+      return { success: false, reason: 'no_urls' };
+    }
+
+    const listed = projects.reduce((sum, project) => sum + project.keys.length, 0);
+    console.log(
+      `${wanted.size} unique video(s) across ${projects.length} project(s) (${listed} listed)`
     );
-  }
 
-  return inputFile;
+    // Each video is processed once, in a batch for the first project listing it
+    const batches = new Map();
+    for (const entry of wanted.values()) {
+      const [primary] = entry.projectDirs;
+      if (!batches.has(primary)) {
+        batches.set(primary, []);
+      }
+      const { metadata, note } = entry;
+      batches
+        .get(primary)
+        .push({ url: entry.video.sourceLine, metadata, lang: entry.video.lang, note });
+    }
+
+    const outcomes = new Map(); // videoKey -> journal item
+    const extraLinks = new Map(); // projectDir -> Map videoKey -> error message or null
+    const linkElsewhere = async (item) => {
+      const key = InputParser.videoKey(item.video_id, item.lang);
+      outcomes.set(key, item);
+
+      for (const projectDir of wanted.get(key).projectDirs.slice(1)) {
+        if (!extraLinks.has(projectDir)) {
+          extraLinks.set(projectDir, new Map());
+        }
+
+        if (item.status === 'queued') {
+          await pendingQueue.add(item.url, item.lang, projectDir);
+        } else if (item.status === 'done') {
+          try {
+            await linkManager.createLink(item.video_id, projectDir, item.lang);
+            extraLinks.get(projectDir).set(key, null);
+          } catch (error) {
+            console.error(`[Recursive] Failed to link ${key} into ${projectDir}: ${error.message}`);
+            extraLinks.get(projectDir).set(key, error.message);
+          }
+        }
+      }
+    };
+
+    const results = ResultFactory.createEmptyBatchResults();
+    for (const [projectDir, items] of batches) {
+      console.log(`\n[Recursive] ${path.relative(root, projectDir) || '.'}`);
+      ResultFactory.mergeBatchResults(
+        results,
+        await processUrls(transcriptService, items, projectDir, {
+          concurrency,
+          force,
+          offline,
+          onItemFinished: linkElsewhere,
+        })
+      );
+    }
+
+    for (const links of extraLinks.values()) {
+      results.linked += [...links.values()].filter((error) => error === null).length;
+    }
+
+    ConsoleFormatter.displayBatchReport(results, wanted.size);
+    displayProjectBreakdown(root, projects, outcomes, extraLinks);
+
+    return { success: true, results, projects };
+  } catch (error) {
+    console.error('\nError processing transcripts:', error.message);
+    return { success: false, error: error.message };
+  }
 }
 
 /**
- * Display help information
- * Implements FR-1.2 help display
- * Delegates to comprehensive help command (single source of truth)
+ * Display the outcome of a recursive run per project
+ * A video counts as linked for a project once its link there exists; links
+ * into projects other than the one a video was processed for can fail on
+ * their own.
+ *
+ * @param {string} root - Root directory (paths are shown relative to it)
+ * @param {Object[]} projects - {dir, keys, error} per project
+ * @param {Map<string, Object>} outcomes - videoKey -> finished journal item
+ * @param {Map<string, Map<string, string|null>>} extraLinks - projectDir -> videoKey -> link
+ *   error (null when linked) for videos processed for another project
  */
-function displayHelp() {
-  const helpCommand = require('./help');
-  helpCommand();
+function displayProjectBreakdown(root, projects, outcomes, extraLinks) {
+  const names = projects.map((project) => path.relative(root, project.dir) || '.');
+  const width = Math.min(Math.max(...names.map((name) => name.length)), 40);
+
+  console.log('Per project:');
+  projects.forEach((project, index) => {
+    const name = names[index].padEnd(width);
+    if (project.error) {
+      console.log(`  ${name}  skipped: ${project.error}`);
+      return;
+    }
+
+    const counts = { linked: 0, failed: 0, skipped: 0, waiting: 0 };
+    const links = extraLinks.get(project.dir) || new Map();
+    for (const key of project.keys) {
+      const item = outcomes.get(key);
+      if (!item) {
+        counts.waiting++; // Deferred by --max-api-calls
+      } else if (item.status === 'done') {
+        const linked = links.has(key) ? links.get(key) === null : item.linked;
+        counts[linked ? 'linked' : 'failed']++;
+      } else if (item.status === 'skipped') {
+        counts.skipped++;
+      } else if (item.status === 'failed') {
+        counts.failed++;
+      } else {
+        counts.waiting++;
+      }
+    }
+
+    const parts = Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([label, count]) => `${count} ${label}`);
+    const total = project.keys.length;
+    console.log(
+      `  ${name}  ${total} video${total !== 1 ? 's' : ''}${parts.length ? `: ${parts.join(', ')}` : ''}`
+    );
+  });
+  console.log('');
 }
 
 /**
- * Read youtube.md file content
- * Implements FR-1.1 URL input processing
+ * Report what a run would do without network access or disk writes (--dry-run)
+ * Collections are not expanded: listing them would cost API calls
  *
- * @param {string} filepath - Absolute path to youtube.md
- * @returns {Promise<string>} File content
- * @throws {Error} If read fails
+ * @param {Object} input - Input source from resolveInput()
+ * @param {string|null} defaultLang - Language for lines without a lang= hint
+ * @param {boolean} force - Negative cache ignored (--force)
+ * @returns {Promise<Object>} Result object with the plan
  */
-async function readInputFile(filepath) {
+async function runDryRun(input, defaultLang, force) {
   try {
-    const content = await fs.readFile(filepath, 'utf-8');
-    return content;
-  } catch (error) {
-    // TR-13: Handle file system errors
-    if (error.code === 'EACCES') {
-      throw new Error('Permission denied reading youtube.md - check file permissions');
+    console.log('\n=== Dry Run: nothing will be fetched or written ===\n');
+
+    const storageService = new StorageService(pathResolver, { readOnly: true });
+    const metadataService = new MetadataService();
+    const OfflineProvider = require('../providers/OfflineProvider');
+    const transcriptService = new TranscriptService(
+      storageService,
+      new OfflineProvider(metadataService),
+      metadataService,
+      pathResolver
+    );
+
+    const content = await readInput(input);
+    if (content === null) {
+      return { success: false, reason: 'missing_file' };
     }
-    throw new Error(`Failed to read youtube.md: ${error.message}`);
+
+    // Parsed as the real run does, so both agree on which lines are videos
+    const { urls } = parseInputContent(input, content);
+    console.log(`Found ${urls.length} URL${urls.length !== 1 ? 's' : ''} in ${input.label}`);
+
+    const collections = urls.filter((url) => SourceExpander.isCollectionUrl(url));
+    const videos = InputParser.deduplicateVideos(
+      urls.filter((url) => !SourceExpander.isCollectionUrl(url)),
+      defaultLang
+    );
+
+    if (videos.length === 0 && collections.length === 0) {
+      console.log(`\nNo valid YouTube URLs found in ${input.label}`);
+      console.log('Please add YouTube URLs (one per line) and try again.\n');
+      return { success: false, reason: 'no_urls' };
+    }
+
+    const planner = new DryRunPlanner(storageService, transcriptService, pathResolver);
+    const plan = await planner.plan(videos, process.cwd(), { force, collections });
+    const pending = await new PendingQueue(pathResolver).list();
+
+    displayDryRunPlan(plan, pending.length);
+
+    return { success: true, dryRun: true, plan };
+  } catch (error) {
+    console.error('\nError planning dry run:', error.message);
+    return { success: false, error: error.message };
   }
 }
 
 /**
- * Parse URLs from file content
- * Implements FR-1.1 URL extraction and validation
+ * Display a dry run plan
  *
- * @param {string} content - File content
- * @returns {string[]} Array of valid YouTube URLs
+ * @param {Object} plan - Result of DryRunPlanner.plan()
+ * @param {number} pendingCount - Lines queued by --offline runs (processed first by a real run)
  */
-function parseUrls(content) {
-  // Handle both Unix (LF) and Windows (CRLF) line endings
-  const lines = content.split(/\r?\n/);
-  const urls = [];
+function displayDryRunPlan(plan, pendingCount) {
+  const label = ({ videoId, lang }) => (lang ? `${videoId} [${lang}]` : videoId);
+  const relative = (targetPath) => path.relative(process.cwd(), targetPath);
+  const linkAction = (item) => {
+    if (item.alreadyLinked) {
+      return 'already linked';
+    }
+    if (item.status === 'symlink' || item.status === 'hardlink' || item.status === 'copy') {
+      return 'replaces existing link';
+    }
+    return item.status === 'broken_symlink' ? 'replaces broken link' : 'new link';
+  };
 
-  for (const line of lines) {
-    const trimmed = line.trim();
+  console.log(`\nWould fetch (${plan.fetch.length}):`);
+  plan.fetch.forEach((item) => console.log(`  - ${label(item)}`));
 
-    // Skip empty lines and comments
-    if (trimmed === '' || trimmed.startsWith('#')) {
-      continue;
+  console.log(`\nWould link from cache (${plan.link.length}):`);
+  plan.link.forEach((item) =>
+    console.log(`  - ${label(item)} -> ${relative(item.targetPath)} (${linkAction(item)})`)
+  );
+
+  if (plan.conflicts.length > 0) {
+    console.log(`\nLink conflicts (${plan.conflicts.length}):`);
+    plan.conflicts.forEach((item) =>
+      console.log(`  - ${label(item)} -> ${relative(item.targetPath)}: ${item.message}`)
+    );
+  }
+
+  if (plan.skipped.length > 0) {
+    console.log(`\nWould skip, known to have no transcript (${plan.skipped.length}):`);
+    plan.skipped.forEach((item) =>
+      console.log(`  - ${label(item)}: ${UnavailableCache.describe(item.reason)}`)
+    );
+  }
+
+  if (plan.collections.length > 0) {
+    console.log(
+      `\nPlaylists and channels, not expanded in a dry run (${plan.collections.length}):`
+    );
+    plan.collections.forEach((line) => console.log(`  - ${sanitizeForLog(line)}`));
+  }
+
+  if (pendingCount > 0) {
+    console.log(
+      `\n${pendingCount} line(s) queued by --offline runs would be processed first (not included above)`
+    );
+  }
+
+  const { transcripts, metadata, collections } = plan.apiCalls;
+  console.log(
+    `\nEstimated API calls: ${transcripts} transcript (billed), ${metadata} metadata (oEmbed, free)` +
+      (collections > 0 ? `, at least ${collections} playlist/channel listing (billed)` : '')
+  );
+  console.log('Dry run complete, nothing was written.\n');
+}
+
+/**
+ * Parse and validate channel expansion limits (--since, --max-videos)
+ *
+ * @param {Object} options - Command options from CLI
+ * @returns {{since: Date|null, maxVideos: number|null}|null} Limits, or null if invalid
+ */
+function parseExpansionLimits(options) {
+  const limits = { since: null, maxVideos: null };
+
+  if (options.since !== undefined) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(options.since) || !validators.isValidDate(options.since)) {
+      console.error(
+        `\nError: --since expects a date in YYYY-MM-DD format, got "${options.since}"\n`
+      );
+      return null;
     }
+    limits.since = new Date(`${options.since}T00:00:00`);
+  }
 
-    // FR-1.1: Basic YouTube URL validation
-    // Accept both youtube.com and youtu.be formats
-    if (isYouTubeUrl(trimmed)) {
-      urls.push(trimmed);
-    } else {
-      // Skip invalid URLs with sanitized logging (prevent log injection)
-      const sanitized = sanitizeForLog(trimmed);
-      console.log(`Skipping invalid URL: ${sanitized}`);
+  if (options.maxVideos !== undefined) {
+    const maxVideos = Number(options.maxVideos);
+    if (!Number.isInteger(maxVideos) || maxVideos < 1) {
+      console.error(
+        `\nError: --max-videos expects a positive integer, got "${options.maxVideos}"\n`
+      );
+      return null;
     }
+    limits.maxVideos = maxVideos;
   }
 
-  return urls;
+  return limits;
 }
 
 /**
- * Check if string is a valid YouTube URL
- * @param {string} url - URL to validate
- * @returns {boolean} True if valid YouTube URL
+ * Parse and validate default transcript language (--lang)
+ * Per-line lang= hints in youtube.md take precedence over this default
+ *
+ * @param {Object} options - Command options from CLI
+ * @returns {{lang: string|null}|null} Default language (null = provider default), or null if invalid
  */
-function isYouTubeUrl(url) {
-  // Security: Basic format validation before processing
-  if (typeof url !== 'string' || url.length === 0 || url.length > 2048) {
-    return false;
+function parseLanguageOption(options) {
+  if (options.lang === undefined) {
+    return { lang: null };
+  }
+
+  if (!validators.isValidLanguageCode(options.lang)) {
+    console.error(
+      `\nError: --lang expects a language code such as en or pt-BR, got "${options.lang}"\n`
+    );
+    return null;
+  }
+
+  return { lang: options.lang };
+}
+
+/**
+ * Parse and validate --concurrency
+ *
+ * @param {Object} options - Command options from CLI
+ * @returns {number|null} Worker count (1 when not given), or null if invalid
+ */
+function parseConcurrency(options) {
+  if (options.concurrency === undefined) {
+    return WorkerPool.DEFAULT_CONCURRENCY;
+  }
+
+  const concurrency = Number(options.concurrency);
+  if (!WorkerPool.isValidConcurrency(concurrency)) {
+    console.error(
+      `\nError: --concurrency expects an integer between 1 and ${WorkerPool.MAX_CONCURRENCY}, ` +
+        `got "${options.concurrency}"\n`
+    );
+    return null;
   }
 
-  // Accept both youtube.com and youtu.be formats
-  return url.includes('youtube.com/watch?v=') || url.includes('youtu.be/');
+  return concurrency;
 }
 
 /**
- * Remove duplicate URLs while preserving order
- * Implements business logic for efficient processing
+ * Parse and validate --max-api-calls
  *
- * @param {string[]} urls - Array of URLs
- * @returns {string[]} Deduplicated URLs
+ * @param {Object} options - Command options from CLI
+ * @returns {{maxApiCalls: number|null}|null} Budget (null = unlimited), or null if invalid
  */
-function deduplicateUrls(urls) {
-  const seen = new Set();
-  const unique = [];
+function parseApiBudget(options) {
+  if (options.maxApiCalls === undefined) {
+    return { maxApiCalls: null };
+  }
 
-  for (const url of urls) {
-    if (!seen.has(url)) {
-      seen.add(url);
-      unique.push(url);
+  const maxApiCalls = Number(options.maxApiCalls);
+  if (!UsageLedger.isValidBudget(maxApiCalls)) {
+    console.error(
+      `\nError: --max-api-calls expects a positive integer, got "${options.maxApiCalls}"\n`
+    );
+    return null;
+  }
+
+  return { maxApiCalls };
+}
+
+/**
+ * Resolve where URLs are read from
+ * Precedence: command line URLs (`transcriptor add`), --input (file or '-' for stdin),
+ * then ./youtube.md
+ *
+ * @param {Object} options - Command options from CLI
+ * @returns {{source: string|null, label: string, content: string|null, isDefault: boolean}}
+ *   Absolute file path or '-' (null for command line URLs), name used in messages,
+ *   inline content for command line URLs, and whether this is ./youtube.md
+ */
+function resolveInput(options) {
+  if (Array.isArray(options.urls)) {
+    return {
+      source: null,
+      label: 'arguments',
+      content: options.urls.join('\n'),
+      isDefault: false,
+    };
+  }
+
+  if (options.input === URLParser.STDIN) {
+    return { source: URLParser.STDIN, label: 'stdin', content: null, isDefault: false };
+  }
+
+  if (options.input) {
+    return {
+      source: path.resolve(options.input),
+      label: options.input,
+      content: null,
+      isDefault: false,
+    };
+  }
+
+  // NOTE: path.join() with static filename is inherently safe
+  return {
+    source: path.join(process.cwd(), URLParser.DEFAULT_INPUT_FILE),
+    label: URLParser.DEFAULT_INPUT_FILE,
+    content: null,
+    isDefault: true,
+  };
+}
+
+/**
+ * Read the input content
+ * Implements FR-1.1 URL input processing and FR-1.2 help display when youtube.md is missing
+ *
+ * Security: size (MAX_FILE_SIZE) and text-only checks are shared with URLParser,
+ * so files and stdin get the same limits
+ * @param {Object} input - Input source from resolveInput()
+ * @returns {Promise<string|null>} Content, or null if the input file is missing
+ * @throws {Error} If the input is unreadable, too large or binary
+ */
+async function readInput(input) {
+  if (input.content !== null) {
+    return input.content;
+  }
+
+  if (input.source !== URLParser.STDIN && !(await fs.pathExists(input.source))) {
+    if (input.isDefault) {
+      console.error('Error: youtube.md not found in current directory\n');
+      displayHelp();
     } else {
-      // Sanitize URL for logging
-      const sanitized = sanitizeForLog(url);
-      console.log(`Skipping duplicate URL: ${sanitized}`);
+      console.error(`Error: input file not found: ${input.label}\n`);
     }
+    return null;
   }
 
-  if (urls.length !== unique.length) {
-    console.log(
-      `Removed ${urls.length - unique.length} duplicate URL${urls.length - unique.length !== 1 ? 's' : ''}`
-    );
+  return new URLParser(input.source).readContent();
+}
+
+/**
+ * Parse the input content into references and notes
+ * Bare IDs that read as words are videos only when the input is a list of videos
+ * (command line or stdin), not notes in a file
+ * @param {Object} input - Input source from resolveInput()
+ * @param {string} content - Content from readInput()
+ * @returns {{urls: string[], notes: Map<string, string>}} Result of InputParser.parseInput()
+ */
+function parseInputContent(input, content) {
+  const explicit = input.content !== null || input.source === URLParser.STDIN;
+  return InputParser.parseInput(content, { acceptBareIds: explicit });
+}
+
+/**
+ * Check whether --annotate can write back to the input
+ * Only files can be annotated; URLs from stdin or the command line are reported instead
+ * @param {Object} input - Input source from resolveInput()
+ * @returns {boolean} True if the input is a file
+ */
+function canAnnotate(input) {
+  if (input.content !== null || input.source === URLParser.STDIN) {
+    console.warn(`[Annotate] Ignored: URLs read from ${input.label}, not from a file`);
+    return false;
   }
+  return true;
+}
 
-  return unique;
+/**
+ * Display help information
+ * Implements FR-1.2 help display
+ * Delegates to comprehensive help command (single source of truth)
+ */
+function displayHelp() {
+  const helpCommand = require('./help');
+  helpCommand();
 }
 
 /**
@@ -353,24 +917,44 @@ function sanitizeForLog(str) {
   return str.substring(0, 100).replace(/[^\x20-\x7E]/g, '');
 }
 
+/**
+ * Attach metadata already known from channel listings, the resolved language and
+ * youtube.md notes to batch items
+ * Videos with known channel/title skip the oEmbed lookup
+ *
+ * @param {Object[]} videos - Deduplicated canonical records
+ * @param {Map<string, Object>} knownMetadata - videoId -> {channel, title}
+ * @param {Map<string, string>} [notes=new Map()] - videoId -> text around the link in youtube.md
+ * @returns {Array<string|Object>} Batch items for TranscriptService.processBatch
+ */
+function buildBatchItems(videos, knownMetadata, notes = new Map()) {
+  return videos.map(({ videoId, lang, sourceLine }) => {
+    const metadata = knownMetadata.get(videoId) || null;
+    const note = notes.get(videoId) || null;
+    return metadata || lang || note ? { url: sourceLine, metadata, lang, note } : sourceLine;
+  });
+}
+
 /**
  * Process URLs through TranscriptService
  * Implements TR-7 transcript processing workflow via delegation
  *
  * @param {TranscriptService} transcriptService - Service instance
- * @param {string[]} urls - Deduplicated YouTube URLs
+ * @param {Array<string|Object>} urls - Deduplicated batch items (URLs or {url, metadata, lang})
  * @param {string} projectDir - Project directory (defaults to cwd)
+ * @param {Object} [batchOptions={}] - {concurrency, force, offline, onJournaled} passed to
+ *   processBatch
  * @returns {Promise<Object>} Batch processing results
  */
-async function processUrls(transcriptService, urls, projectDir = process.cwd()) {
+async function processUrls(transcriptService, urls, projectDir = process.cwd(), batchOptions = {}) {
   // Validate inputs
   if (!urls || urls.length === 0) {
     console.log('No URLs to process');
     return null;
   }
 
-  // Ensure transcripts directory exists
-  const transcriptsDir = path.join(projectDir, 'transcripts');
+  // Ensure transcripts directory exists (transcriptsDir in .transcriptor.json, ./transcripts by default)
+  const { dir: transcriptsDir } = await LinkLayout.load(projectDir);
 
   // TR-13: Handle directory creation errors
   try {
@@ -386,55 +970,172 @@ async function processUrls(transcriptService, urls, projectDir = process.cwd())
 
   // Delegate to TranscriptService
   // FR-10.1: Service handles errors internally, continues processing
-  const results = await transcriptService.processBatch(urls, projectDir);
+  const results = await transcriptService.processBatch(urls, projectDir, batchOptions);
 
   return results;
 }
 
 /**
- * Display batch processing results
- * Implements user feedback requirements from FR-8.1
+ * Mark each processed line of the input file with its outcome (--annotate)
+ * Failure to rewrite the file is reported but does not fail the run
  *
- * @param {Object} results - Batch processing results from TranscriptService
- * @param {number} totalUrls - Total number of URLs submitted
+ * @param {StorageService} storageService - Storage service
+ * @param {Object} input - Input file from resolveInput()
+ * @param {Object[]} items - Finished journal items
+ * @param {string|null} defaultLang - Language for lines without a lang= hint
+ * @returns {Promise<void>}
  */
-function displayResults(results, totalUrls) {
-  if (!results) {
+async function annotateInputFile(storageService, input, items, defaultLang) {
+  try {
+    const annotator = new InputAnnotator(storageService);
+    const changed = await annotator.annotate(input.source, items, defaultLang);
+    console.log(`[Annotate] ${changed} line${changed !== 1 ? 's' : ''} updated in ${input.label}`);
+  } catch (error) {
+    console.warn(`[Annotate] Failed to update ${input.label}: ${error.message}`);
+  }
+}
+
+/**
+ * Queue playlist and channel lines of an --offline run for the next online run
+ *
+ * @param {PendingQueue} pendingQueue - Pending queue
+ * @param {string[]} urls - Parsed lines from youtube.md
+ * @param {string|null} defaultLang - Language for lines without a lang= hint
+ * @param {string} [projectDir=process.cwd()] - Project the lines are queued for
+ * @returns {Promise<string[]>} Remaining (video) lines
+ */
+async function queueCollections(pendingQueue, urls, defaultLang, projectDir = process.cwd()) {
+  const videoLines = [];
+
+  for (const url of urls) {
+    if (!SourceExpander.isCollectionUrl(url)) {
+      videoLines.push(url);
+      continue;
+    }
+
+    const { lang } = URLNormalizer.splitHints(url);
+    await pendingQueue.add(url, lang || defaultLang, projectDir);
+    console.log(`[Offline] Cannot expand ${sanitizeForLog(url)}, queued for the next online run`);
+  }
+
+  return videoLines;
+}
+
+/**
+ * Process lines queued by earlier --offline runs
+ * Each line is processed into the project directory it was queued from; lines
+ * whose project directory no longer exists are dropped with a warning.
+ * Lines leave the queue only once a job journal covers them; playlist and
+ * channel lines whose listing fails stay queued for the next online run.
+ *
+ * @param {PendingQueue} pendingQueue - Pending queue
+ * @param {TranscriptService} transcriptService - Service instance
+ * @param {TranscriptProvider} provider - Online transcript provider
+ * @param {Object} expansionLimits - Channel expansion limits (--since, --max-videos)
+ * @param {Object} batchOptions - {concurrency, force} passed to processBatch
+ * @returns {Promise<void>}
+ */
+async function processPendingQueue(
+  pendingQueue,
+  transcriptService,
+  provider,
+  expansionLimits,
+  batchOptions
+) {
+  const entries = await pendingQueue.list();
+  if (entries.length === 0) {
     return;
   }
 
-  console.log(''); // Blank line before results
+  console.log(`[Pending] Processing ${entries.length} line(s) queued by offline runs`);
 
-  // Use existing ConsoleFormatter.formatBatchResults for consistency
-  const formattedResults = ConsoleFormatter.formatBatchResults(results, totalUrls);
+  const groups = new Map();
+  for (const entry of entries) {
+    if (!groups.has(entry.project_dir)) {
+      groups.set(entry.project_dir, []);
+    }
+    groups.get(entry.project_dir).push(entry);
+  }
 
-  ConsoleFormatter.displayBox('Processing Complete', formattedResults);
+  for (const [projectDir, projectEntries] of groups) {
+    if (!(await fs.pathExists(projectDir))) {
+      console.warn(
+        `[Pending] Project directory no longer exists, dropping ${projectEntries.length} line(s): ${projectDir}`
+      );
+      await pendingQueue.remove(projectEntries);
+      continue;
+    }
 
-  // Display errors if any (with sanitized URLs)
-  if (results.errors && results.errors.length > 0) {
-    console.log('Errors encountered:');
-    results.errors.forEach((err, index) => {
-      // Security: Sanitize URL before logging
-      const sanitizedUrl = err.url ? sanitizeForLog(err.url) : 'unknown';
-      const sanitizedError = err.error ? err.error.substring(0, 200) : 'unknown error';
+    // Re-attach the resolved language so --lang given offline still applies
+    const lines = projectEntries.map((entry) =>
+      URLNormalizer.withHints(URLNormalizer.splitHints(entry.url).reference, { lang: entry.lang })
+    );
 
-      console.log(`  ${index + 1}. ${sanitizedUrl}`);
-      console.log(`     ${sanitizedError}`);
-    });
-    console.log();
+    const expansion = await new SourceExpander(provider, expansionLimits).expand(lines);
+    const failedLines = new Set(
+      expansion.collections.filter((collection) => collection.error).map(({ line }) => line)
+    );
+    const handedOver = projectEntries.filter((entry, index) => !failedLines.has(lines[index]));
+    if (handedOver.length < projectEntries.length) {
+      console.warn(
+        `[Pending] ${projectEntries.length - handedOver.length} playlist/channel line(s) could ` +
+          'not be expanded, kept queued for the next online run'
+      );
+    }
+
+    const videos = InputParser.deduplicateVideos(expansion.urls);
+    if (videos.length === 0) {
+      await pendingQueue.remove(handedOver);
+      continue;
+    }
+
+    console.log(`\n[Pending] ${projectDir}`);
+    const results = await processUrls(
+      transcriptService,
+      buildBatchItems(videos, expansion.metadata),
+      projectDir,
+      { ...batchOptions, onJournaled: () => pendingQueue.remove(handedOver) }
+    );
+    ConsoleFormatter.displayBatchReport(results, videos.length);
+    displayExpansionSources(expansion);
+  }
+}
+
+/**
+ * Display which playlist or channel each expanded video came from
+ *
+ * @param {Object} expansion - Result of SourceExpander.expand()
+ */
+function displayExpansionSources(expansion) {
+  if (!expansion || expansion.collections.length === 0) {
+    return;
   }
 
-  // Success/failure message
-  const errorCount = results.errors ? results.errors.length : 0;
-  if (errorCount === 0) {
-    console.log('All URLs processed successfully!\n');
-  } else if (results.processed > 0) {
+  console.log('Playlist and channel sources:');
+
+  for (const collection of expansion.collections) {
+    const label = collection.title
+      ? `${collection.kind} ${collection.id} (${sanitizeForLog(collection.title)})`
+      : `${collection.kind} ${collection.id}`;
+
+    if (collection.error) {
+      console.log(`  ${label}: expansion failed - ${collection.error.substring(0, 200)}`);
+      continue;
+    }
+
     console.log(
-      `Completed with ${errorCount} error(s). ${results.processed} URL${results.processed !== 1 ? 's' : ''} processed successfully.\n`
+      `  ${label}: ${collection.added} video${collection.added !== 1 ? 's' : ''} added` +
+        (collection.skipped > 0 ? `, ${collection.skipped} already listed` : '')
     );
-  } else {
-    console.log(`All URLs failed to process. Please check errors above.\n`);
+
+    for (const [videoId, origin] of expansion.origins) {
+      if (origin.kind === collection.kind && origin.id === collection.id) {
+        console.log(`    - ${videoId}`);
+      }
+    }
   }
+
+  console.log();
 }
 
 module.exports = processCommand;
@@ -0,0 +1,101 @@
+const ConsoleFormatter = require('../utils/ConsoleFormatter');
+const StorageService = require('../services/StorageService');
+const MetadataService = require('../services/MetadataService');
+const TranscriptService = require('../services/TranscriptService');
+const JobJournal = require('../services/JobJournal');
+const UsageLedger = require('../services/UsageLedger');
+const ProviderFactory = require('../providers/ProviderFactory');
+const pathResolver = require('../utils/pathResolver');
+const WorkerPool = require('../utils/WorkerPool');
+
+/**
+ * Resume Command Handler
+ * Continues an interrupted batch from its journal in ~/.transcriptor/jobs
+ *
+ * Only items still pending are processed; done and failed items are kept
+ * as recorded. Transcripts are linked into the project directory the job
+ * was started from, not the current directory. Videos deferred by an earlier
+ * --max-api-calls budget are still pending and are picked up here.
+ *
+ * @param {string} [jobId] - Job to resume (default: most recent unfinished job)
+ * @param {Object} options - Command options
+ * @param {string} [options.concurrency] - Number of videos processed in parallel
+ * @param {string} [options.maxApiCalls] - Stop fetching after this many billed API calls
+ * @param {boolean} [options.force] - Fetch videos known to have no transcript anyway
+ * @returns {Promise<void>}
+ */
+async function resumeCommand(jobId, options = {}) {
+  const concurrency =
+    options.concurrency === undefined
+      ? WorkerPool.DEFAULT_CONCURRENCY
+      : Number(options.concurrency);
+  if (!WorkerPool.isValidConcurrency(concurrency)) {
+    console.error(
+      `Invalid --concurrency: ${options.concurrency} (expected 1-${WorkerPool.MAX_CONCURRENCY})`
+    );
+    process.exit(2); // Exit code 2: Validation failure
+  }
+
+  const maxApiCalls = options.maxApiCalls === undefined ? null : Number(options.maxApiCalls);
+  if (maxApiCalls !== null && !UsageLedger.isValidBudget(maxApiCalls)) {
+    console.error(`Invalid --max-api-calls: ${options.maxApiCalls} (expected a positive integer)`);
+    process.exit(2);
+  }
+
+  if (jobId !== undefined && !JobJournal.JOB_ID_PATTERN.test(jobId)) {
+    console.error(`Invalid job ID: ${jobId}`);
+    console.error('Usage: transcriptor resume [job_YYMMDDTHHMM_xxxx]');
+    process.exit(2);
+  }
+
+  try {
+    const storageService = new StorageService(pathResolver);
+    await storageService.initialize();
+
+    const journal = new JobJournal(pathResolver);
+    const job = jobId ? await journal.load(jobId) : await journal.findLatestUnfinished();
+
+    if (!job) {
+      console.log(jobId ? `Job not found: ${jobId}` : 'No interrupted job to resume.');
+      if (jobId) {
+        process.exit(1);
+      }
+      return;
+    }
+
+    console.log(`\n=== Resuming ${job.id} ===\n`);
+    console.log(`Project: ${job.project_dir}`);
+
+    let results;
+    if (job.status === 'completed') {
+      console.log('Job already completed, nothing left to process.');
+      results = JobJournal.summarize(job);
+    } else {
+      const metadataService = new MetadataService();
+      const provider = await ProviderFactory.create({ metadataService, maxApiCalls });
+      const transcriptService = new TranscriptService(
+        storageService,
+        provider,
+        metadataService,
+        pathResolver
+      );
+
+      results = await transcriptService.resumeJob(job, {
+        concurrency,
+        force: Boolean(options.force),
+      });
+    }
+
+    ConsoleFormatter.displayBatchReport(results, job.items.length);
+
+    // Exit code 1: Partial success with errors
+    if (results.errors.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('\nUnexpected error during resume:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = resumeCommand;
@@ -0,0 +1,141 @@
+const fs = require('fs-extra');
+const ConsoleFormatter = require('../utils/ConsoleFormatter');
+const StorageService = require('../services/StorageService');
+const MetadataService = require('../services/MetadataService');
+const TranscriptService = require('../services/TranscriptService');
+const FailureQueue = require('../services/FailureQueue');
+const UsageLedger = require('../services/UsageLedger');
+const ProviderFactory = require('../providers/ProviderFactory');
+const ResultFactory = require('../utils/ResultFactory');
+const pathResolver = require('../utils/pathResolver');
+const WorkerPool = require('../utils/WorkerPool');
+const { formatLocalDateTime } = require('../utils/dateUtils');
+
+/**
+ * Retry Command Handler
+ * Reprocesses videos from the failure queue (~/.transcriptor/failures.json)
+ *
+ * Transient failures are retried once their backoff has elapsed (15 minutes
+ * after the first failure, doubling up to a day). Permanent failures (no
+ * captions, video unavailable) are skipped unless --include-permanent is given.
+ * Videos are linked into the project directory they were originally requested
+ * for; successes leave the queue, failures are re-queued with a longer backoff.
+ * --include-permanent also bypasses the registry's negative cache for them.
+ *
+ * @param {Object} options - Command options
+ * @param {boolean} [options.now] - Ignore backoff and retry every transient failure
+ * @param {boolean} [options.includePermanent] - Also retry permanent failures
+ * @param {string} [options.concurrency] - Number of videos processed in parallel
+ * @param {string} [options.maxApiCalls] - Stop fetching after this many billed API calls
+ * @returns {Promise<void>}
+ */
+async function retryCommand(options = {}) {
+  const concurrency =
+    options.concurrency === undefined
+      ? WorkerPool.DEFAULT_CONCURRENCY
+      : Number(options.concurrency);
+  if (!WorkerPool.isValidConcurrency(concurrency)) {
+    console.error(
+      `Invalid --concurrency: ${options.concurrency} (expected 1-${WorkerPool.MAX_CONCURRENCY})`
+    );
+    process.exit(2); // Exit code 2: Validation failure
+  }
+
+  const maxApiCalls = options.maxApiCalls === undefined ? null : Number(options.maxApiCalls);
+  if (maxApiCalls !== null && !UsageLedger.isValidBudget(maxApiCalls)) {
+    console.error(`Invalid --max-api-calls: ${options.maxApiCalls} (expected a positive integer)`);
+    process.exit(2);
+  }
+
+  try {
+    const storageService = new StorageService(pathResolver);
+    await storageService.initialize();
+
+    const failureQueue = new FailureQueue(pathResolver);
+    const { due, waiting, permanent } = FailureQueue.partition(await failureQueue.list(), {
+      ignoreBackoff: Boolean(options.now),
+      includePermanent: Boolean(options.includePermanent),
+    });
+
+    console.log('\n=== Retrying Failed Videos ===\n');
+    if (waiting.length > 0) {
+      const next = waiting.map((entry) => entry.next_retry_at).sort()[0];
+      console.log(
+        `${waiting.length} waiting for backoff (next due ${formatLocalDateTime(next)}, --now to skip)`
+      );
+    }
+    if (permanent.length > 0) {
+      console.log(
+        `${permanent.length} permanent failure(s) skipped (--include-permanent to retry)`
+      );
+    }
+
+    if (due.length === 0) {
+      console.log('No failures due for retry.\n');
+      return;
+    }
+
+    const metadataService = new MetadataService();
+    const provider = await ProviderFactory.create({ metadataService, maxApiCalls });
+    const transcriptService = new TranscriptService(
+      storageService,
+      provider,
+      metadataService,
+      pathResolver
+    );
+
+    const results = ResultFactory.createEmptyBatchResults();
+    for (const [projectDir, entries] of groupByProject(due)) {
+      if (!(await fs.pathExists(projectDir))) {
+        console.warn(
+          `Project directory no longer exists, skipping ${entries.length} video(s): ${projectDir}`
+        );
+        entries.forEach((entry) =>
+          ResultFactory.addBatchError(
+            results,
+            entry.url,
+            `Project directory missing: ${projectDir}`
+          )
+        );
+        continue;
+      }
+
+      const items = entries.map((entry) => ({ url: entry.url, metadata: null, lang: entry.lang }));
+      ResultFactory.mergeBatchResults(
+        results,
+        await transcriptService.processBatch(items, projectDir, {
+          concurrency,
+          force: Boolean(options.includePermanent),
+        })
+      );
+    }
+
+    ConsoleFormatter.displayBatchReport(results, due.length);
+
+    // Exit code 1: Partial success with errors
+    if (results.errors.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('\nUnexpected error during retry:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Group queue entries by the project directory they were requested for
+ * @param {Object[]} entries - Queue entries
+ * @returns {Map<string, Object[]>} Entries per project directory
+ */
+function groupByProject(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    if (!groups.has(entry.project_dir)) {
+      groups.set(entry.project_dir, []);
+    }
+    groups.get(entry.project_dir).push(entry);
+  }
+  return groups;
+}
+
+module.exports = retryCommand;
@@ -0,0 +1,210 @@
+const fs = require('fs-extra');
+const path = require('path');
+const StorageService = require('../services/StorageService');
+const MetadataService = require('../services/MetadataService');
+const SourceExpander = require('../services/SourceExpander');
+const ProjectSync = require('../services/ProjectSync');
+const ProviderFactory = require('../providers/ProviderFactory');
+const pathResolver = require('../utils/pathResolver');
+const validators = require('../utils/validators');
+const InputParser = require('../utils/InputParser');
+const URLParser = require('../utils/URLParser');
+
+/**
+ * Sync Command Handler
+ * Makes the project's links directory (./transcripts by default) match
+ * youtube.md: creates links of cached transcripts that are missing, repairs
+ * broken ones and removes symlinks of videos no longer listed (see ProjectSync).
+ * Nothing is fetched; run transcriptor for listed videos not cached yet.
+ *
+ * Playlist and channel lines are expanded through the provider. If a listing
+ * fails, the provider is not configured (sync runs without the API key), or
+ * with --dry-run (no API calls), links they might cover are kept.
+ *
+ * @param {Object} options - Command options
+ * @param {boolean} [options.dryRun] - Show what would change without writing anything
+ * @param {string} [options.lang] - Transcript language for lines without a lang= hint
+ * @returns {Promise<void>}
+ */
+async function syncCommand(options = {}) {
+  if (options.lang !== undefined && !validators.isValidLanguageCode(options.lang)) {
+    console.error(`Invalid --lang: ${options.lang} (expected e.g. en, fr, pt-BR)`);
+    process.exit(2); // Exit code 2: Validation failure
+  }
+
+  const projectDir = process.cwd();
+  const inputFile = path.join(projectDir, URLParser.DEFAULT_INPUT_FILE);
+  if (!(await fs.pathExists(inputFile))) {
+    console.error(`No ${URLParser.DEFAULT_INPUT_FILE} in ${projectDir}`);
+    process.exit(2);
+  }
+
+  try {
+    const dryRun = Boolean(options.dryRun);
+    if (dryRun) {
+      console.log('\n=== Dry Run: nothing will be written ===\n');
+    }
+
+    const storage = new StorageService(pathResolver, { readOnly: dryRun });
+    await storage.initialize();
+
+    const urls = InputParser.parseUrls(await new URLParser(inputFile).readContent());
+    const { videos, complete } = await resolveVideos(urls, options.lang || null, dryRun);
+
+    const projectSync = new ProjectSync(storage, pathResolver);
+    const plan = await projectSync.plan(videos, projectDir, { complete });
+
+    if (dryRun) {
+      displayPlan(plan, projectDir);
+      console.log('Dry run complete, nothing was written.\n');
+      return;
+    }
+
+    const results = await projectSync.apply(plan, projectDir);
+    displayResults(plan, results, projectDir);
+
+    if (results.errors.length > 0 || plan.conflicts.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\nSync failed:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Videos listed in youtube.md, with playlist and channel lines expanded
+ * @param {string[]} urls - Parsed youtube.md lines
+ * @param {string|null} defaultLang - Language for lines without a lang= hint
+ * @param {boolean} dryRun - Leave collections unexpanded (no API calls)
+ * @returns {Promise<{videos: Object[], complete: boolean}>} Deduplicated videos, and whether
+ *   every collection was expanded
+ */
+async function resolveVideos(urls, defaultLang, dryRun) {
+  const collections = urls.filter((url) => SourceExpander.isCollectionUrl(url));
+  if (collections.length === 0) {
+    return { videos: InputParser.deduplicateVideos(urls, defaultLang), complete: true };
+  }
+
+  if (dryRun) {
+    console.log(
+      `[Sync] ${collections.length} playlist/channel line(s) not expanded in a dry run; ` +
+        'links they may cover are kept'
+    );
+    const direct = urls.filter((url) => !SourceExpander.isCollectionUrl(url));
+    return { videos: InputParser.deduplicateVideos(direct, defaultLang), complete: false };
+  }
+
+  let provider;
+  try {
+    provider = await ProviderFactory.create({ metadataService: new MetadataService() });
+  } catch (error) {
+    console.warn(
+      `[Sync] ${collections.length} playlist/channel line(s) not expanded (${error.message}); ` +
+        'links they may cover are kept'
+    );
+    const direct = urls.filter((url) => !SourceExpander.isCollectionUrl(url));
+    return { videos: InputParser.deduplicateVideos(direct, defaultLang), complete: false };
+  }
+
+  const expansion = await new SourceExpander(provider).expand(urls);
+  const failed = expansion.collections.filter((collection) => collection.error);
+  if (failed.length > 0) {
+    console.warn(
+      `[Sync] ${failed.length} playlist/channel listing(s) failed; links they may cover are kept`
+    );
+  }
+
+  return {
+    videos: InputParser.deduplicateVideos(expansion.urls, defaultLang),
+    complete: failed.length === 0,
+  };
+}
+
+/**
+ * Display what a sync would change (--dry-run)
+ * @param {Object} plan - Result of ProjectSync.plan()
+ * @param {string} projectDir - Project directory (paths are shown relative to it)
+ */
+function displayPlan(plan, projectDir) {
+  const relative = (filePath) => path.relative(projectDir, filePath);
+
+  console.log(`Would create (${plan.create.length}):`);
+  plan.create.forEach((item) => console.log(`  - ${label(item)} -> ${relative(item.targetPath)}`));
+
+  console.log(`\nWould repair (${plan.repair.length}):`);
+  plan.repair.forEach((item) =>
+    console.log(`  - ${label(item)} -> ${relative(item.targetPath)} (${item.status})`)
+  );
+
+  console.log(`\nWould remove (${plan.remove.length}):`);
+  plan.remove.forEach((item) => console.log(`  - ${label(item)}: ${relative(item.linkPath)}`));
+
+  displayUnchanged(plan, projectDir);
+}
+
+/**
+ * Display the outcome of a sync
+ * @param {Object} plan - Result of ProjectSync.plan()
+ * @param {Object} results - Result of ProjectSync.apply()
+ * @param {string} projectDir - Project directory (paths are shown relative to it)
+ */
+function displayResults(plan, results, projectDir) {
+  console.log('\n=== Sync Complete ===\n');
+  console.log(`Created:    ${results.created}`);
+  console.log(`Repaired:   ${results.repaired}`);
+  console.log(`Removed:    ${results.removed}`);
+  console.log(`Up to date: ${plan.upToDate.length}`);
+
+  displayUnchanged(plan, projectDir);
+
+  if (results.errors.length > 0) {
+    console.log(`Errors (${results.errors.length}):`);
+    results.errors.forEach((item) =>
+      console.log(`  - ${label(item)}: ${path.relative(projectDir, item.path)}: ${item.error}`)
+    );
+    console.log('');
+  }
+}
+
+/**
+ * Display listed videos and links a sync leaves as they are
+ * @param {Object} plan - Result of ProjectSync.plan()
+ * @param {string} projectDir - Project directory (paths are shown relative to it)
+ */
+function displayUnchanged(plan, projectDir) {
+  const relative = (filePath) => path.relative(projectDir, filePath);
+  console.log('');
+
+  if (plan.conflicts.length > 0) {
+    console.log(`Link conflicts (${plan.conflicts.length}):`);
+    plan.conflicts.forEach((item) =>
+      console.log(`  - ${label(item)} -> ${relative(item.targetPath)}: ${item.message}`)
+    );
+    console.log('');
+  }
+
+  if (plan.kept.length > 0) {
+    console.log(`Links kept, not removed (${plan.kept.length}):`);
+    plan.kept.forEach((item) =>
+      console.log(`  - ${label(item)}: ${relative(item.linkPath)} (${item.reason})`)
+    );
+    console.log('');
+  }
+
+  if (plan.notFetched.length > 0) {
+    console.log(`Not fetched yet, run transcriptor to fetch (${plan.notFetched.length}):`);
+    plan.notFetched.forEach((item) => console.log(`  - ${label(item)}`));
+    console.log('');
+  }
+}
+
+/**
+ * @param {{videoId: string, lang: string|null}} item - Video
+ * @returns {string} Video ID with its language, if any
+ */
+function label({ videoId, lang }) {
+  return lang ? `${videoId} [${lang}]` : videoId;
+}
+
+module.exports = syncCommand;
@@ -0,0 +1,90 @@
+const StorageService = require('../services/StorageService');
+const UsageLedger = require('../services/UsageLedger');
+const pathResolver = require('../utils/pathResolver');
+
+const MAX_ROWS = 30;
+
+const COLUMNS = [
+  { key: 'period', label: 'Period', width: 10 },
+  { key: 'billed', label: 'Billed', width: 7 },
+  { key: 'transcripts', label: 'Transcripts', width: 11 },
+  { key: 'listings', label: 'Listings', width: 8 },
+  { key: 'metadata', label: 'Metadata', width: 8 },
+  { key: 'retries', label: 'Retries', width: 7 },
+  { key: 'errors', label: 'Errors', width: 6 },
+];
+
+/**
+ * Usage Command Handler
+ * Summarises API requests recorded in ~/.transcriptor/usage.jsonl per day,
+ * ISO week or month (local time), most recent periods last
+ *
+ * Billed counts Scrape Creators requests (transcripts and playlist/channel
+ * listings, retries included); metadata lookups go to YouTube oEmbed and are free.
+ *
+ * @param {Object} options - Command options
+ * @param {string} [options.by='day'] - Period: day, week or month
+ * @returns {Promise<void>}
+ */
+async function usageCommand(options = {}) {
+  const period = options.by || 'day';
+  if (!UsageLedger.PERIODS.includes(period)) {
+    console.error(`Invalid --by: ${period} (expected ${UsageLedger.PERIODS.join(', ')})`);
+    process.exit(2); // Exit code 2: Validation failure
+  }
+
+  try {
+    const storage = new StorageService(pathResolver);
+    await storage.initialize();
+
+    const entries = await new UsageLedger(pathResolver).list();
+    if (entries.length === 0) {
+      console.log('No API calls recorded yet.');
+      return;
+    }
+
+    const rows = UsageLedger.summarize(entries, period);
+    const shown = rows.slice(-MAX_ROWS);
+
+    console.log(`\n=== API Usage per ${period} ===\n`);
+    if (shown.length < rows.length) {
+      console.log(`(last ${shown.length} of ${rows.length} ${period}s)\n`);
+    }
+
+    console.log(formatRow(Object.fromEntries(COLUMNS.map(({ key, label }) => [key, label]))));
+    shown.forEach((row) => console.log(formatRow(row)));
+
+    const totals = { period: 'Total' };
+    for (const { key } of COLUMNS.slice(1)) {
+      totals[key] = rows.reduce((sum, row) => sum + row[key], 0);
+    }
+    console.log(formatRow(totals));
+
+    console.log(`\nSince ${formatDate(entries[0].timestamp)}; Billed = Scrape Creators requests\n`);
+  } catch (error) {
+    console.error('\nFailed to read usage ledger:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Format one table row
+ * @param {Object} row - Values keyed by column
+ * @returns {string} Padded line
+ */
+function formatRow(row) {
+  return COLUMNS.map(({ key, width }, index) =>
+    index === 0 ? String(row[key]).padEnd(width) : String(row[key]).padStart(width)
+  ).join('  ');
+}
+
+/**
+ * Local calendar date of a timestamp
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+function formatDate(timestamp) {
+  return UsageLedger.periodKey(new Date(timestamp), 'day');
+}
+
+module.exports = usageCommand;
@@ -0,0 +1,278 @@
+const fs = require('fs-extra');
+const path = require('path');
+const StorageService = require('../services/StorageService');
+const MetadataService = require('../services/MetadataService');
+const TranscriptService = require('../services/TranscriptService');
+const LinkManager = require('../services/LinkManager');
+const SourceExpander = require('../services/SourceExpander');
+const MaintenanceService = require('../services/MaintenanceService');
+const ProviderFactory = require('../providers/ProviderFactory');
+const pathResolver = require('../utils/pathResolver');
+const validators = require('../utils/validators');
+const InputParser = require('../utils/InputParser');
+const WorkerPool = require('../utils/WorkerPool');
+const { logger } = require('../utils/Logger');
+
+const INPUT_FILE = 'youtube.md';
+const DEBOUNCE_MS = 500;
+
+/**
+ * Watch Command Handler
+ * Keeps ./transcripts in step with youtube.md while the file is being edited
+ *
+ * Every save (debounced) re-parses youtube.md, drops videos already linked in
+ * ./transcripts or already attempted this session, and processes the rest
+ * through TranscriptService. Playlist and channel lines are expanded once per
+ * session (a failed listing is retried on the next save), so videos added to a
+ * playlist or channel later are picked up after restarting watch. Maintenance
+ * and batch output are muted (unless --verbose); only a notice per linked
+ * transcript and errors are printed. Failed videos land in the failure queue
+ * as usual (`transcriptor retry`). Ctrl+C stops watching.
+ *
+ * @param {Object} options - Command options
+ * @param {string} [options.lang] - Transcript language for lines without a lang= hint
+ * @param {string} [options.concurrency] - Number of videos processed in parallel
+ * @param {boolean} [options.force] - Fetch videos known to have no transcript anyway
+ * @returns {Promise<void>} Resolves once watching stops
+ */
+async function watchCommand(options = {}) {
+  if (options.lang !== undefined && !validators.isValidLanguageCode(options.lang)) {
+    console.error(`Invalid --lang: ${options.lang} (expected e.g. en, fr, pt-BR)`);
+    process.exit(2); // Exit code 2: Validation failure
+  }
+
+  const concurrency =
+    options.concurrency === undefined
+      ? WorkerPool.DEFAULT_CONCURRENCY
+      : Number(options.concurrency);
+  if (!WorkerPool.isValidConcurrency(concurrency)) {
+    console.error(
+      `Invalid --concurrency: ${options.concurrency} (expected 1-${WorkerPool.MAX_CONCURRENCY})`
+    );
+    process.exit(2);
+  }
+
+  const projectDir = process.cwd();
+  const inputFile = path.join(projectDir, INPUT_FILE);
+  if (!(await fs.pathExists(inputFile))) {
+    console.error(`No ${INPUT_FILE} in ${projectDir}`);
+    console.error(
+      `Create ${INPUT_FILE} with one YouTube URL per line, then run transcriptor watch`
+    );
+    process.exit(2);
+  }
+
+  let session;
+  try {
+    const storageService = new StorageService(pathResolver);
+    await storageService.initialize();
+
+    const metadataService = new MetadataService();
+    const provider = await ProviderFactory.create({ metadataService });
+
+    await runMaintenance(storageService, projectDir);
+
+    session = {
+      projectDir,
+      inputFile,
+      transcriptService: new TranscriptService(
+        storageService,
+        provider,
+        metadataService,
+        pathResolver
+      ),
+      sourceExpander: new SourceExpander(provider),
+      batchOptions: { concurrency, force: Boolean(options.force) },
+      lang: options.lang || null,
+      attempted: new Set(),
+      expanded: new Set(),
+      running: false,
+      rerun: false,
+    };
+  } catch (error) {
+    console.error('\nFailed to start watching:', error.message);
+    process.exit(1);
+  }
+
+  notify(`[Watch] Watching ${inputFile} (Ctrl+C to stop)`);
+  await sync(session);
+
+  return new Promise((resolve) => {
+    let timer = null;
+
+    const watcher = fs.watch(projectDir, (eventType, filename) => {
+      // Editors often save by replacing the file, so watch the directory and filter by name
+      if (filename && filename !== INPUT_FILE) {
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(() => sync(session), DEBOUNCE_MS);
+    });
+
+    watcher.on('error', (error) => {
+      console.error(`[Watch] Watcher failed: ${error.message}`);
+      process.exitCode = 1;
+      stop();
+    });
+
+    function stop() {
+      clearTimeout(timer);
+      watcher.close();
+      process.removeListener('SIGINT', stop);
+      notify('[Watch] Stopped');
+      resolve();
+    }
+
+    process.on('SIGINT', stop);
+  });
+}
+
+/**
+ * Validate registry integrity and project links once at startup, reporting only if cleanup
+ * happened
+ * @param {StorageService} storageService - Storage service
+ * @param {string} projectDir - Watched project (checked for untracked links)
+ * @returns {Promise<void>}
+ */
+async function runMaintenance(storageService, projectDir) {
+  const linkManager = new LinkManager(storageService, pathResolver);
+  const maintenanceService = new MaintenanceService(storageService, linkManager);
+  const results = await logger.muted(() =>
+    maintenanceService.validateIntegrity({ projectDirs: [projectDir] })
+  );
+
+  if (
+    results.orphaned > 0 ||
+    results.linksRemoved > 0 ||
+    results.linksRelinked > 0 ||
+    results.linksDangling > 0 ||
+    results.errors.length > 0
+  ) {
+    notify(
+      `[Maintenance] Orphans removed: ${results.orphaned}, links removed: ` +
+        `${results.linksRemoved}, relinked: ${results.linksRelinked}, broken left in place: ` +
+        `${results.linksDangling} (see transcriptor doctor), errors: ${results.errors.length}`
+    );
+  }
+}
+
+/**
+ * Process youtube.md, re-running once more if it changed while a run was in progress
+ * @param {Object} session - Watch session state
+ * @returns {Promise<void>}
+ */
+async function sync(session) {
+  if (session.running) {
+    session.rerun = true;
+    return;
+  }
+
+  session.running = true;
+  try {
+    do {
+      session.rerun = false;
+      await processNewEntries(session);
+    } while (session.rerun);
+  } catch (error) {
+    console.error(`[Watch] Failed to process ${INPUT_FILE}: ${error.message}`);
+  } finally {
+    session.running = false;
+  }
+}
+
+/**
+ * Process videos in youtube.md that are neither linked nor attempted this session
+ * @param {Object} session - Watch session state (attempted and expanded sets are updated)
+ * @returns {Promise<void>}
+ */
+async function processNewEntries(session) {
+  let content;
+  try {
+    content = await fs.readFile(session.inputFile, 'utf8');
+  } catch (error) {
+    // Mid-save or removed: the next change event brings it back
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  const { urls: lines, notes } = await logger.muted(() => InputParser.parseInput(content));
+
+  // Collections are listed once per session; re-listing on every save would cost API calls
+  const newLines = lines.filter((line) => !session.expanded.has(line));
+  const expansion = await logger.muted(() => session.sourceExpander.expand(newLines));
+
+  // Only successful listings count: a failed one is retried on the next save
+  expansion.collections
+    .filter((collection) => !collection.error)
+    .forEach((collection) => session.expanded.add(collection.line));
+  const videos = await logger.muted(() =>
+    InputParser.deduplicateVideos(expansion.urls, session.lang)
+  );
+
+  const linked = new Set(
+    (await session.transcriptService.linkManager.listLinked(session.projectDir)).map(
+      ({ videoId, lang }) => InputParser.videoKey(videoId, lang)
+    )
+  );
+  const pending = videos.filter(({ videoId, lang }) => {
+    const key = InputParser.videoKey(videoId, lang);
+    return !linked.has(key) && !session.attempted.has(key);
+  });
+
+  if (pending.length === 0) {
+    return;
+  }
+
+  pending.forEach(({ videoId, lang }) =>
+    session.attempted.add(InputParser.videoKey(videoId, lang))
+  );
+  notify(`[Watch] ${pending.length} new video${pending.length !== 1 ? 's' : ''} in ${INPUT_FILE}`);
+
+  const items = pending.map(({ videoId, lang, sourceLine }) => ({
+    url: sourceLine,
+    metadata: expansion.metadata.get(videoId) || null,
+    lang,
+    note: notes.get(videoId) || null,
+  }));
+
+  await logger.muted(() =>
+    session.transcriptService.processBatch(items, session.projectDir, {
+      ...session.batchOptions,
+      onItemFinished: (item) => reportItem(session, item),
+    })
+  );
+}
+
+/**
+ * Print a notice for a finished video (failures are already reported on stderr)
+ * @param {Object} session - Watch session state
+ * @param {Object} item - Journal item {video_id, lang, status, linked}
+ * @returns {Promise<void>}
+ */
+async function reportItem(session, item) {
+  const label = item.lang ? `${item.video_id} [${item.lang}]` : item.video_id;
+
+  if (item.status === 'done' && item.linked) {
+    const links = await session.transcriptService.linkManager.index.list(item.video_id);
+    const link = links.find(
+      (candidate) =>
+        candidate.project_dir === session.projectDir && candidate.lang === (item.lang || null)
+    );
+    const target = link ? path.relative(session.projectDir, link.path) : 'transcripts';
+    notify(`[Watch] Linked ${label} -> ${target}`);
+  } else if (item.status === 'skipped') {
+    notify(`[Watch] Skipped ${label}: no transcript available`);
+  }
+}
+
+/**
+ * Print a line even while console output is muted
+ * @param {string} message - Line to print
+ */
+function notify(message) {
+  process.stdout.write(`${message}\n`);
+}
+
+module.exports = watchCommand;
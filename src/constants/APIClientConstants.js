@@ -9,13 +9,26 @@
 const API_CLIENT_CONFIG = {
   BASE_URL: 'https://api.scrapecreators.com',
   ENDPOINT: '/v1/youtube/video/transcript',
+  PLAYLIST_ENDPOINT: '/v1/youtube/playlist',
+  CHANNEL_ENDPOINT: '/v1/youtube/channel',
+  CHANNEL_VIDEOS_ENDPOINT: '/v1/youtube/channel-videos',
   TIMEOUT_MS: 30000,
   API_KEY_HEADER: 'x-api-key',
   MAX_API_KEY_LENGTH: 500,
+  MAX_CHANNEL_REF_LENGTH: 200,
+};
+
+// Endpoint names recorded in the usage ledger (see UsageLedger)
+const USAGE_ENDPOINT_NAMES = {
+  [API_CLIENT_CONFIG.ENDPOINT]: 'transcript',
+  [API_CLIENT_CONFIG.PLAYLIST_ENDPOINT]: 'playlist',
+  [API_CLIENT_CONFIG.CHANNEL_ENDPOINT]: 'channel',
+  [API_CLIENT_CONFIG.CHANNEL_VIDEOS_ENDPOINT]: 'channel_videos',
 };
 
 const ERROR_TYPES = {
   INVALID_REQUEST: 'INVALID_REQUEST',
+  NO_TRANSCRIPT: 'NO_TRANSCRIPT',
   UNAUTHORIZED: 'UNAUTHORIZED',
   RATE_LIMITED: 'RATE_LIMITED',
   SERVER_ERROR: 'SERVER_ERROR',
@@ -23,6 +36,19 @@ const ERROR_TYPES = {
   NETWORK: 'NETWORK',
   VALIDATION: 'VALIDATION',
   UNKNOWN_HTTP_ERROR: 'UNKNOWN_HTTP_ERROR',
+  OFFLINE: 'OFFLINE',
+  BUDGET_EXHAUSTED: 'BUDGET_EXHAUSTED',
+};
+
+const PLAYLIST_CONFIG = {
+  PLAYLIST_ID_PATTERN: /^[A-Za-z0-9_-]{10,64}$/,
+  MAX_PLAYLIST_VIDEOS: 1000,
+};
+
+const CHANNEL_CONFIG = {
+  CHANNEL_REF_TYPES: ['handle', 'channelId', 'url'],
+  MAX_CHANNEL_VIDEOS: 1000,
+  MAX_PAGES: 50,
 };
 
 const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
@@ -46,6 +72,12 @@ const RETRY_CONFIG = {
   MIN_DELAY_MS: 100,
 };
 
+// Shared token bucket across concurrent workers (see RateLimiter)
+const RATE_LIMIT_CONFIG = {
+  REQUESTS_PER_SECOND: 5,
+  BURST: 5,
+};
+
 const RETRY_BUDGET = {
   MAX_TOTAL_RETRY_TIME_MS: 60000,
   MAX_RETRY_AFTER_SECONDS: 300,
@@ -53,9 +85,13 @@ const RETRY_BUDGET = {
 
 module.exports = {
   API_CLIENT_CONFIG,
+  USAGE_ENDPOINT_NAMES,
   ERROR_TYPES,
+  PLAYLIST_CONFIG,
+  CHANNEL_CONFIG,
   TIMEOUT_ERROR_CODES,
   NETWORK_ERROR_CODES,
   RETRY_CONFIG,
   RETRY_BUDGET,
+  RATE_LIMIT_CONFIG,
 };
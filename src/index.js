@@ -43,7 +43,24 @@ program
   .option('-q, --quiet', 'Suppress all output except errors')
   .option('-v, --verbose', 'Show detailed operation logs')
   .option('--rag-generator', 'Execute RAG generator after processing transcripts')
-  .option('--rag-generator-gemini', 'Execute RAG generator Gemini after processing transcripts');
+  .option('--rag-generator-gemini', 'Execute RAG generator Gemini after processing transcripts')
+  .option('--since <date>', 'Only expand channel uploads published on/after YYYY-MM-DD')
+  .option('--max-videos <count>', 'Maximum number of uploads expanded per channel')
+  .option('--lang <code>', 'Transcript language (e.g. en, fr, pt-BR) for lines without lang=')
+  .option('--concurrency <count>', 'Number of videos processed in parallel (default: 1)')
+  .option('--force', 'Fetch videos cached as having no transcript (ignore negative cache)')
+  .option(
+    '--offline',
+    'Serve cached transcripts only; queue uncached videos for the next online run'
+  )
+  .option('--max-api-calls <count>', 'Stop fetching once this many billed API calls were made')
+  .option('--annotate', 'Mark each line of youtube.md with its outcome (✓ file or ✗ reason)')
+  .option('--input <path>', 'Read URLs from this file instead of ./youtube.md (- for stdin)')
+  .option('--recursive [root]', 'Process every youtube.md below root (default: current directory)')
+  .option(
+    '--dry-run',
+    'Show what would be fetched, linked or in conflict without writing anything'
+  );
 
 /**
  * Setup verbosity based on command line flags
@@ -69,6 +86,9 @@ function setupVerbosity() {
 /**
  * Setup all command handlers
  * Ensures all commands registered before parsing begins
+ *
+ * Options a subcommand shares with the main command (--lang, --concurrency, --force, ...)
+ * are claimed by the program wherever they appear, so handlers read optsWithGlobals()
  */
 function setupCommands() {
   // Default action: process youtube.md file in current directory
@@ -135,6 +155,215 @@ function setupCommands() {
         await cleanCommand(date);
       })
     );
+
+  // Links command: list the projects a transcript is linked into
+  program
+    .command('links <videoId>')
+    .description('Show the projects a transcript is linked into')
+    .action(
+      asyncHandler(async (videoId) => {
+        let linksCommand;
+        try {
+          linksCommand = require('./commands/links');
+        } catch (error) {
+          throw new Error(`Failed to load links command: ${error.message}`);
+        }
+        await linksCommand(videoId);
+      })
+    );
+
+  // Sync command: make the project's links match youtube.md
+  program
+    .command('sync')
+    .description("Make the project's transcript links match youtube.md")
+    .option('--lang <code>', 'Transcript language for lines without lang=')
+    .option('--dry-run', 'Show what would be created, repaired or removed without writing')
+    .action(
+      asyncHandler(async (options, command) => {
+        let syncCommand;
+        try {
+          syncCommand = require('./commands/sync');
+        } catch (error) {
+          throw new Error(`Failed to load sync command: ${error.message}`);
+        }
+        await syncCommand(command.optsWithGlobals());
+      })
+    );
+
+  // Doctor command: find and relink broken, legacy and foreign project links
+  program
+    .command('doctor')
+    .description("Check the project's transcript links and relink broken ones")
+    .option('--fix', 'Relink every problem that can be fixed automatically')
+    .action(
+      asyncHandler(async (options, command) => {
+        let doctorCommand;
+        try {
+          doctorCommand = require('./commands/doctor');
+        } catch (error) {
+          throw new Error(`Failed to load doctor command: ${error.message}`);
+        }
+        await doctorCommand(command.optsWithGlobals());
+      })
+    );
+
+  // Export command: write subtitle files from timestamped segments
+  program
+    .command('export [videoIds...]')
+    .description('Export transcripts as SRT/WebVTT subtitles (default: all in ./transcripts)')
+    .option('-f, --format <format>', 'Subtitle format: srt, vtt or both', 'both')
+    .option('-o, --output <dir>', 'Output directory', 'subtitles')
+    .option('--lang <code>', 'Language variant for the given video IDs')
+    .action(
+      asyncHandler(async (videoIds, options, command) => {
+        let exportCommand;
+        try {
+          exportCommand = require('./commands/export');
+        } catch (error) {
+          throw new Error(`Failed to load export command: ${error.message}`);
+        }
+        await exportCommand(videoIds, command.optsWithGlobals());
+      })
+    );
+
+  // Resume command: continue an interrupted batch from its job journal
+  program
+    .command('resume [jobId]')
+    .description('Resume an interrupted batch (default: most recent unfinished job)')
+    .option('--concurrency <n>', 'Number of videos processed in parallel')
+    .option('--force', 'Fetch videos cached as having no transcript')
+    .option('--max-api-calls <n>', 'Stop fetching once this many billed API calls were made')
+    .action(
+      asyncHandler(async (jobId, options, command) => {
+        let resumeCommand;
+        try {
+          resumeCommand = require('./commands/resume');
+        } catch (error) {
+          throw new Error(`Failed to load resume command: ${error.message}`);
+        }
+        await resumeCommand(jobId, command.optsWithGlobals());
+      })
+    );
+
+  // Retry command: reprocess videos from the failure queue
+  program
+    .command('retry')
+    .description('Retry failed videos whose backoff has elapsed')
+    .option('--now', 'Ignore backoff and retry every transient failure')
+    .option('--include-permanent', 'Also retry permanent failures (no captions, unavailable)')
+    .option('--concurrency <n>', 'Number of videos processed in parallel')
+    .option('--max-api-calls <n>', 'Stop fetching once this many billed API calls were made')
+    .action(
+      asyncHandler(async (options, command) => {
+        let retryCommand;
+        try {
+          retryCommand = require('./commands/retry');
+        } catch (error) {
+          throw new Error(`Failed to load retry command: ${error.message}`);
+        }
+        await retryCommand(command.optsWithGlobals());
+      })
+    );
+
+  // Failures command: list the failure queue
+  program
+    .command('failures')
+    .description('List failed videos (transient and permanent)')
+    .action(
+      asyncHandler(async () => {
+        let failuresCommand;
+        try {
+          failuresCommand = require('./commands/failures');
+        } catch (error) {
+          throw new Error(`Failed to load failures command: ${error.message}`);
+        }
+        await failuresCommand();
+      })
+    );
+
+  // Usage command: summarise API calls from the usage ledger
+  program
+    .command('usage')
+    .description('Summarise recorded API calls per day, week or month')
+    .option('--by <period>', 'Period: day, week or month', 'day')
+    .action(
+      asyncHandler(async (options) => {
+        let usageCommand;
+        try {
+          usageCommand = require('./commands/usage');
+        } catch (error) {
+          throw new Error(`Failed to load usage command: ${error.message}`);
+        }
+        await usageCommand(options);
+      })
+    );
+
+  // Watch command: process new youtube.md entries as they are saved
+  program
+    .command('watch')
+    .description('Watch youtube.md and process new entries as they are added')
+    .option('--lang <code>', 'Transcript language for lines without lang=')
+    .option('--concurrency <n>', 'Number of videos processed in parallel')
+    .option('--force', 'Fetch videos cached as having no transcript')
+    .action(
+      asyncHandler(async (options, command) => {
+        let watchCommand;
+        try {
+          watchCommand = require('./commands/watch');
+        } catch (error) {
+          throw new Error(`Failed to load watch command: ${error.message}`);
+        }
+        await watchCommand(command.optsWithGlobals());
+      })
+    );
+
+  // Import command: videos from a Takeout watch history, playlist CSV or bookmarks export
+  program
+    .command('import <file>')
+    .description('Import videos from watch-history.json, a playlist CSV or bookmarks HTML')
+    .option('--since <date>', 'Only videos watched/added on or after YYYY-MM-DD')
+    .option('--until <date>', 'Only videos watched/added on or before YYYY-MM-DD')
+    .option('--folder <name>', 'Only bookmarks in this folder (subfolders included)')
+    .option('--append', 'Append the videos to youtube.md for review instead of processing')
+    .option('--lang <code>', 'Transcript language')
+    .option('--concurrency <n>', 'Number of videos processed in parallel')
+    .option('--force', 'Fetch videos cached as having no transcript')
+    .option('--max-api-calls <n>', 'Stop fetching once this many billed API calls were made')
+    .action(
+      asyncHandler(async (file, options, command) => {
+        let importCommand;
+        try {
+          importCommand = require('./commands/import');
+        } catch (error) {
+          throw new Error(`Failed to load import command: ${error.message}`);
+        }
+        await importCommand(file, command.optsWithGlobals());
+      })
+    );
+
+  // Add command: process one-off URLs without editing youtube.md
+  program
+    .command('add <urls...>')
+    .description('Process the given YouTube URLs (- reads URLs from stdin)')
+    .option('--lang <code>', 'Transcript language for URLs without lang=')
+    .option('--concurrency <n>', 'Number of videos processed in parallel')
+    .option('--force', 'Fetch videos cached as having no transcript')
+    .option('--offline', 'Serve cached transcripts only; queue uncached videos')
+    .option('--max-api-calls <n>', 'Stop fetching once this many billed API calls were made')
+    .option('--dry-run', 'Show what would be fetched or linked without writing anything')
+    .action(
+      asyncHandler(async (urls, options, command) => {
+        let processCommand;
+        try {
+          processCommand = require('./commands/process');
+        } catch (error) {
+          throw new Error(`Failed to load process command: ${error.message}`);
+        }
+        // `add -` behaves like `--input -`
+        const source = urls.length === 1 && urls[0] === '-' ? { input: '-' } : { urls };
+        await processCommand({ ...command.optsWithGlobals(), ...source, annotate: false });
+      })
+    );
 }
 
 // Parse command line arguments
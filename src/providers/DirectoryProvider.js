@@ -0,0 +1,293 @@
+const fs = require('fs-extra');
+const path = require('path');
+const TranscriptProvider = require('./TranscriptProvider');
+const ErrorHandler = require('../utils/ErrorHandler');
+const URLNormalizer = require('../utils/URLNormalizer');
+const URLValidator = require('../utils/URLValidator');
+const { ERROR_TYPES } = require('../constants/APIClientConstants');
+
+/**
+ * Directory Provider
+ *
+ * Serves transcripts, metadata and collection listings from a local fixture
+ * folder instead of the network. Used for offline runs and integration tests;
+ * no API key is needed.
+ *
+ * Fixture layout:
+ *   <dir>/<videoId>.json          {channel, title, text?, segments?}
+ *   <dir>/<videoId>.<lang>.json   Same shape, one file per extra language
+ *   <dir>/playlists/<id>.json     {title, videos: [{videoId, title}]}
+ *   <dir>/channels/<key>.json     {channelName, videos: [{videoId, title, publishedAt}]}
+ *                                 key: @handle, UC... channel ID, or c_<name>
+ *
+ * text defaults to the segment texts joined with spaces. Missing fixtures fail
+ * like an unavailable video on the API (INVALID_REQUEST, skipped by the batch).
+ *
+ * @class DirectoryProvider
+ */
+class DirectoryProvider extends TranscriptProvider {
+  /**
+   * @param {string} rootDir - Fixture directory
+   * @param {MetadataService} metadataService - Used to format fixture metadata
+   */
+  constructor(rootDir, metadataService) {
+    super('directory');
+
+    if (!rootDir || typeof rootDir !== 'string') {
+      throw new Error('DirectoryProvider requires a fixture directory');
+    }
+    if (!metadataService) {
+      throw new Error('DirectoryProvider requires MetadataService');
+    }
+
+    this.rootDir = path.resolve(rootDir);
+    this.metadata = metadataService;
+  }
+
+  /**
+   * Verify fixture directory exists
+   * @returns {Promise<void>}
+   * @throws {Error} If directory missing
+   */
+  async initialize() {
+    const stats = await fs.stat(this.rootDir).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`Provider fixture directory not found: ${this.rootDir}`);
+    }
+  }
+
+  /**
+   * Read transcript fixture for a video
+   * @param {string} videoUrl - YouTube URL or video ID
+   * @param {string|null} [lang=null] - Language variant or null for <videoId>.json
+   * @returns {Promise<{text: string, segments: Array<{startMs: number, endMs: number, text: string}>}>}
+   * @throws {Error} INVALID_REQUEST if no fixture, NO_TRANSCRIPT if fixture has no text,
+   *   VALIDATION if fixture malformed
+   */
+  async fetchTranscript(videoUrl, lang = null) {
+    const videoId = URLNormalizer.extractVideoId(videoUrl);
+    if (!videoId) {
+      throw ErrorHandler.createApplicationError(ERROR_TYPES.VALIDATION, 'Invalid YouTube URL');
+    }
+
+    const label = lang ? `${videoId} [${lang}]` : videoId;
+    const fixture = await this._readFixture(lang ? `${videoId}.${lang}.json` : `${videoId}.json`);
+
+    if (!fixture) {
+      throw ErrorHandler.createApplicationError(
+        ERROR_TYPES.INVALID_REQUEST,
+        `No transcript fixture for ${label}`,
+        { videoId, lang }
+      );
+    }
+
+    const segments = this._normalizeSegments(fixture.segments);
+    const text =
+      typeof fixture.text === 'string' && fixture.text.trim()
+        ? fixture.text.trim()
+        : segments.map((segment) => segment.text).join(' ');
+
+    if (!text) {
+      throw ErrorHandler.createApplicationError(
+        ERROR_TYPES.NO_TRANSCRIPT,
+        `Transcript fixture for ${label} has no text`
+      );
+    }
+
+    console.log(`[Provider] Fixture transcript for ${label}: ${text.length} chars`);
+    return { text, segments };
+  }
+
+  /**
+   * Read metadata from the default-language fixture
+   * Falls back to the same placeholder values as the oEmbed lookup
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<{channel: string, title: string}>}
+   */
+  async fetchMetadata(videoId) {
+    const fixture = URLValidator.validateVideoId(videoId)
+      ? await this._readFixture(`${videoId}.json`).catch(() => null)
+      : null;
+
+    return this.metadata.normalizeMetadata({
+      channel: (fixture && fixture.channel) || this.metadata.FALLBACK_CHANNEL,
+      title: (fixture && fixture.title) || this.metadata.FALLBACK_TITLE,
+    });
+  }
+
+  /**
+   * @param {string} playlistId - YouTube playlist ID
+   * @returns {Promise<{playlistId: string, title: string|null, videos: Array<{videoId: string, title: string|null}>}>}
+   * @throws {Error} INVALID_REQUEST if no fixture
+   */
+  async listPlaylist(playlistId) {
+    const fixture = await this._readCollectionFixture('playlists', playlistId);
+
+    return {
+      playlistId,
+      title: fixture.title || null,
+      videos: this._normalizeVideos(fixture.videos).map(({ videoId, title }) => ({
+        videoId,
+        title,
+      })),
+    };
+  }
+
+  /**
+   * Uploads are expected newest first, as on the API
+   * @param {Object} channelRef - {type, value} channel reference
+   * @param {Object} [options={}] - Listing limits
+   * @param {Date|null} [options.since=null] - Only uploads published on/after this date
+   * @param {number|null} [options.maxVideos=null] - Maximum number of uploads
+   * @returns {Promise<{channelName: string|null, videos: Array}>}
+   * @throws {Error} INVALID_REQUEST if no fixture
+   */
+  async listChannel(channelRef, options = {}) {
+    const { since = null, maxVideos = null } = options;
+    const fixture = await this._readCollectionFixture('channels', this._channelKey(channelRef));
+
+    const videos = [];
+    for (const video of this._normalizeVideos(fixture.videos)) {
+      if (since && video.publishedAt && video.publishedAt < since) {
+        break;
+      }
+      videos.push(video);
+      if (maxVideos && videos.length >= maxVideos) {
+        break;
+      }
+    }
+
+    return { channelName: fixture.channelName || null, videos };
+  }
+
+  /**
+   * Fixture file key for a channel reference
+   * @private
+   * @param {Object} channelRef - {type, value}
+   * @returns {string} @handle, channel ID, or c_<name>
+   */
+  _channelKey(channelRef) {
+    if (!channelRef || typeof channelRef.value !== 'string') {
+      throw ErrorHandler.createApplicationError(
+        ERROR_TYPES.VALIDATION,
+        'Invalid channel reference'
+      );
+    }
+
+    if (channelRef.type === 'handle') {
+      return `@${channelRef.value}`;
+    }
+    if (channelRef.type === 'url') {
+      return `c_${channelRef.value.split('/').pop()}`;
+    }
+    return channelRef.value;
+  }
+
+  /**
+   * Read a playlist or channel fixture
+   * @private
+   * @param {string} kind - 'playlists' or 'channels'
+   * @param {string} key - Fixture key (file name without .json)
+   * @returns {Promise<Object>} Parsed fixture
+   * @throws {Error} INVALID_REQUEST if missing
+   */
+  async _readCollectionFixture(kind, key) {
+    const fixture = await this._readFixture(path.join(kind, `${key}.json`));
+
+    if (!fixture) {
+      throw ErrorHandler.createApplicationError(
+        ERROR_TYPES.INVALID_REQUEST,
+        `No ${kind.slice(0, -1)} fixture for ${key}`
+      );
+    }
+
+    return fixture;
+  }
+
+  /**
+   * Read and parse a fixture file
+   * @private
+   * @param {string} relativePath - Path relative to the fixture directory
+   * @returns {Promise<Object|null>} Parsed JSON object, or null if the file does not exist
+   * @throws {Error} VALIDATION if path escapes the directory or JSON is malformed
+   */
+  async _readFixture(relativePath) {
+    const fixturePath = path.resolve(this.rootDir, relativePath);
+
+    // SECURITY: IDs come from user input, never read outside the fixture directory
+    if (!fixturePath.startsWith(this.rootDir + path.sep)) {
+      throw ErrorHandler.createApplicationError(
+        ERROR_TYPES.VALIDATION,
+        `Fixture path outside provider directory: ${relativePath}`
+      );
+    }
+
+    if (!(await fs.pathExists(fixturePath))) {
+      return null;
+    }
+
+    try {
+      const fixture = await fs.readJson(fixturePath);
+      if (!fixture || typeof fixture !== 'object' || Array.isArray(fixture)) {
+        throw new Error('expected a JSON object');
+      }
+      return fixture;
+    } catch (error) {
+      throw ErrorHandler.createApplicationError(
+        ERROR_TYPES.VALIDATION,
+        `Invalid fixture ${relativePath}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Keep well-formed segments only
+   * @private
+   * @param {*} segments - Raw segments from fixture
+   * @returns {Array<{startMs: number, endMs: number, text: string}>} Segments
+   */
+  _normalizeSegments(segments) {
+    if (!Array.isArray(segments)) {
+      return [];
+    }
+
+    return segments
+      .filter(
+        (segment) =>
+          segment &&
+          Number.isFinite(segment.startMs) &&
+          typeof segment.text === 'string' &&
+          segment.text.trim()
+      )
+      .map((segment) => ({
+        startMs: segment.startMs,
+        endMs: Number.isFinite(segment.endMs) ? segment.endMs : segment.startMs,
+        text: segment.text.trim(),
+      }));
+  }
+
+  /**
+   * Keep listed videos with a valid ID
+   * @private
+   * @param {*} videos - Raw video list from fixture
+   * @returns {Array<{videoId: string, title: string|null, publishedAt: Date|null}>} Videos
+   */
+  _normalizeVideos(videos) {
+    if (!Array.isArray(videos)) {
+      return [];
+    }
+
+    return videos
+      .filter((video) => video && URLValidator.validateVideoId(video.videoId))
+      .map((video) => {
+        const publishedAt = video.publishedAt ? new Date(video.publishedAt) : null;
+        return {
+          videoId: video.videoId,
+          title: typeof video.title === 'string' && video.title.trim() ? video.title.trim() : null,
+          publishedAt: publishedAt && !isNaN(publishedAt.getTime()) ? publishedAt : null,
+        };
+      });
+  }
+}
+
+module.exports = DirectoryProvider;
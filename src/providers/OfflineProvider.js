@@ -0,0 +1,56 @@
+const TranscriptProvider = require('./TranscriptProvider');
+const ErrorHandler = require('../utils/ErrorHandler');
+const { ERROR_TYPES } = require('../constants/APIClientConstants');
+
+/**
+ * Offline Provider
+ *
+ * Used with --offline: never touches the network and needs no API key.
+ * Only transcripts already in the central cache can be served, so every
+ * fetch fails with an OFFLINE error and the batch queues the video for the
+ * next online run instead. Playlist and channel listings are not supported.
+ *
+ * @class OfflineProvider
+ */
+class OfflineProvider extends TranscriptProvider {
+  /**
+   * @param {MetadataService} metadataService - Used for fallback metadata only
+   */
+  constructor(metadataService) {
+    super('offline');
+
+    if (!metadataService) {
+      throw new Error('OfflineProvider requires MetadataService');
+    }
+
+    this.metadata = metadataService;
+  }
+
+  /**
+   * @param {string} videoUrl - Canonical YouTube watch URL
+   * @param {string|null} [lang=null] - Language code
+   * @returns {Promise<never>}
+   * @throws {Error} OFFLINE always
+   */
+  async fetchTranscript(videoUrl, lang = null) {
+    throw ErrorHandler.createApplicationError(
+      ERROR_TYPES.OFFLINE,
+      'Offline mode: transcript not in the local cache',
+      { videoUrl, lang }
+    );
+  }
+
+  /**
+   * Placeholder metadata, same values as a failed oEmbed lookup
+   * @param {string} _videoId - YouTube video ID
+   * @returns {Promise<{channel: string, title: string}>}
+   */
+  async fetchMetadata(_videoId) {
+    return this.metadata.normalizeMetadata({
+      channel: this.metadata.FALLBACK_CHANNEL,
+      title: this.metadata.FALLBACK_TITLE,
+    });
+  }
+}
+
+module.exports = OfflineProvider;
@@ -0,0 +1,193 @@
+/**
+ * Provider Factory
+ *
+ * Selects and initializes the transcript provider from configuration
+ * (environment variables, usually set in .env):
+ *
+ *   TRANSCRIPTOR_PROVIDER      scrapecreators (default) | directory
+ *   TRANSCRIPTOR_PROVIDER_DIR  Fixture folder for the directory provider
+ *   SCRAPE_CREATORS_API_KEY    Required by scrapecreators only
+ *
+ * --offline overrides the configured provider with OfflineProvider (cache only,
+ * no network, no API key). Commands that only work on local files (doctor,
+ * links, export, ...) never need the API key either.
+ *
+ * Network providers share one UsageLedger between the API client and the
+ * metadata service, so every request of a run is recorded and counted
+ * against the --max-api-calls budget.
+ *
+ * Provider classes are required lazily so a directory run never loads the
+ * HTTP client configuration.
+ *
+ * @class ProviderFactory
+ */
+class ProviderFactory {
+  static PROVIDER_ENV = 'TRANSCRIPTOR_PROVIDER';
+  static DIRECTORY_ENV = 'TRANSCRIPTOR_PROVIDER_DIR';
+  static DEFAULT_PROVIDER = 'scrapecreators';
+  static PROVIDERS = ['scrapecreators', 'directory'];
+  static OFFLINE_FLAG = '--offline';
+  static DRY_RUN_FLAG = '--dry-run';
+
+  // Commands that never fetch; sync only calls the provider to expand playlists and channels
+  static LOCAL_COMMANDS = [
+    'help',
+    'data',
+    'clean',
+    'links',
+    'sync',
+    'doctor',
+    'export',
+    'failures',
+    'usage',
+  ];
+
+  // Global options taking a value, so the value is not mistaken for the command name
+  static VALUE_OPTIONS = [
+    '--since',
+    '--max-videos',
+    '--lang',
+    '--concurrency',
+    '--max-api-calls',
+    '--input',
+    '--recursive',
+  ];
+
+  /**
+   * Check if the CLI was started with --offline
+   * Read from argv because the .env check runs before commander parses options
+   * @param {string[]} [argv=process.argv] - Command line arguments
+   * @returns {boolean} True if offline run
+   */
+  static isOfflineRun(argv = process.argv) {
+    return argv.includes(ProviderFactory.OFFLINE_FLAG);
+  }
+
+  /**
+   * Name of the subcommand the CLI was started with
+   * Read from argv because the .env check runs before commander parses options
+   * @param {string[]} [argv=process.argv] - Command line arguments
+   * @returns {string|null} Subcommand, or null for the default (process youtube.md) action
+   */
+  static commandName(argv = process.argv) {
+    const args = argv.slice(2);
+    for (let i = 0; i < args.length; i++) {
+      if (ProviderFactory.VALUE_OPTIONS.includes(args[i])) {
+        // --recursive takes an optional value: only a following word is consumed
+        if (i + 1 < args.length && !args[i + 1].startsWith('-')) {
+          i++;
+        }
+      } else if (!args[i].startsWith('-')) {
+        return args[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve configured provider name
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {string} Provider name
+   * @throws {Error} If provider unknown
+   */
+  static resolveName(env = process.env) {
+    const configured = (env[ProviderFactory.PROVIDER_ENV] || '').trim().toLowerCase();
+    const name = configured || ProviderFactory.DEFAULT_PROVIDER;
+
+    if (!ProviderFactory.PROVIDERS.includes(name)) {
+      throw new Error(
+        `Unknown transcript provider "${name}" in ${ProviderFactory.PROVIDER_ENV}. ` +
+          `Supported: ${ProviderFactory.PROVIDERS.join(', ')}`
+      );
+    }
+
+    return name;
+  }
+
+  /**
+   * Check if configured provider needs SCRAPE_CREATORS_API_KEY
+   * Unknown providers count as requiring it, so the usual key error still shows
+   * Offline runs, dry runs and local commands (LOCAL_COMMANDS) never need it
+   * @param {Object} [env=process.env] - Environment variables
+   * @param {string[]} [argv=process.argv] - Command line arguments
+   * @returns {boolean} True if API key required
+   */
+  static requiresApiKey(env = process.env, argv = process.argv) {
+    if (ProviderFactory.isOfflineRun(argv) || argv.includes(ProviderFactory.DRY_RUN_FLAG)) {
+      return false;
+    }
+    if (ProviderFactory.LOCAL_COMMANDS.includes(ProviderFactory.commandName(argv))) {
+      return false;
+    }
+
+    try {
+      return ProviderFactory.resolveName(env) === 'scrapecreators';
+    } catch {
+      return true;
+    }
+  }
+
+  /**
+   * Create and initialize the configured provider
+   * @param {Object} [options={}] - Factory options
+   * @param {Object} [options.env=process.env] - Environment variables
+   * @param {MetadataService} [options.metadataService] - Shared metadata service
+   * @param {boolean} [options.offline=false] - Serve cached transcripts only (--offline)
+   * @param {number|null} [options.maxApiCalls=null] - Billed API calls allowed this run
+   * @returns {Promise<TranscriptProvider>} Initialized provider
+   * @throws {Error} If configuration incomplete or initialization fails
+   */
+  static async create(options = {}) {
+    const { env = process.env, offline = false, maxApiCalls = null } = options;
+    const MetadataService = require('../services/MetadataService');
+    const metadataService = options.metadataService || new MetadataService();
+
+    if (offline) {
+      const OfflineProvider = require('./OfflineProvider');
+      console.log('[Provider] Offline mode: serving cached transcripts only');
+      return new OfflineProvider(metadataService);
+    }
+
+    const name = ProviderFactory.resolveName(env);
+
+    const UsageLedger = require('../services/UsageLedger');
+    const pathResolver = require('../utils/pathResolver');
+    const usageLedger = new UsageLedger(pathResolver, { maxApiCalls });
+    metadataService.setUsageLedger(usageLedger);
+
+    let provider;
+    if (name === 'directory') {
+      const rootDir = env[ProviderFactory.DIRECTORY_ENV];
+      if (!rootDir) {
+        throw new Error(
+          `${ProviderFactory.DIRECTORY_ENV} must point to a fixture folder when ` +
+            `${ProviderFactory.PROVIDER_ENV}=directory`
+        );
+      }
+
+      const DirectoryProvider = require('./DirectoryProvider');
+      provider = new DirectoryProvider(rootDir, metadataService);
+    } else {
+      const apiKey = env.SCRAPE_CREATORS_API_KEY;
+      if (!apiKey) {
+        throw new Error(
+          'SCRAPE_CREATORS_API_KEY not found in environment. Please set it in .env file.'
+        );
+      }
+
+      const APIClient = require('../services/APIClient');
+      const ScrapeCreatorsProvider = require('./ScrapeCreatorsProvider');
+      provider = new ScrapeCreatorsProvider(new APIClient(apiKey, usageLedger), metadataService);
+    }
+
+    await provider.initialize();
+
+    if (name !== ProviderFactory.DEFAULT_PROVIDER) {
+      console.log(`[Provider] Using ${provider.name} provider`);
+    }
+
+    return provider;
+  }
+}
+
+module.exports = ProviderFactory;
@@ -0,0 +1,70 @@
+const TranscriptProvider = require('./TranscriptProvider');
+
+/**
+ * Scrape Creators Provider
+ *
+ * Default provider: transcripts, playlists and channel listings come from the
+ * Scrape Creators API (APIClient), metadata from YouTube oEmbed (MetadataService).
+ *
+ * @class ScrapeCreatorsProvider
+ */
+class ScrapeCreatorsProvider extends TranscriptProvider {
+  /**
+   * @param {APIClient} apiClient - Scrape Creators API client
+   * @param {MetadataService} metadataService - oEmbed metadata service
+   */
+  constructor(apiClient, metadataService) {
+    super('scrapecreators');
+
+    if (!apiClient || !metadataService) {
+      throw new Error('ScrapeCreatorsProvider requires APIClient and MetadataService');
+    }
+
+    this.api = apiClient;
+    this.metadata = metadataService;
+  }
+
+  /**
+   * Validate API key and create HTTP client
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this.api.initialize();
+  }
+
+  /**
+   * @param {string} videoUrl - Canonical YouTube watch URL
+   * @param {string|null} [lang=null] - Language code or null for the API default
+   * @returns {Promise<{text: string, segments: Array}>}
+   */
+  async fetchTranscript(videoUrl, lang = null) {
+    return this.api.fetchTranscript(videoUrl, lang);
+  }
+
+  /**
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<{channel: string, title: string}>}
+   */
+  async fetchMetadata(videoId) {
+    return this.metadata.fetchVideoMetadata(videoId);
+  }
+
+  /**
+   * @param {string} playlistId - YouTube playlist ID
+   * @returns {Promise<{playlistId: string, title: string|null, videos: Array}>}
+   */
+  async listPlaylist(playlistId) {
+    return this.api.fetchPlaylist(playlistId);
+  }
+
+  /**
+   * @param {Object} channelRef - {type, value} channel reference
+   * @param {Object} [options={}] - {since, maxVideos} listing limits
+   * @returns {Promise<{channelName: string|null, videos: Array}>}
+   */
+  async listChannel(channelRef, options = {}) {
+    return this.api.fetchChannel(channelRef, options);
+  }
+}
+
+module.exports = ScrapeCreatorsProvider;
@@ -0,0 +1,84 @@
+/**
+ * Transcript Provider Contract
+ *
+ * Base class for every transcript source. TranscriptService and SourceExpander
+ * only talk to this interface, so the Scrape Creators API can be swapped for
+ * another backend (or local fixtures) without touching the pipeline.
+ *
+ * Required methods:
+ *   fetchTranscript(videoUrl, lang) -> {text, segments}
+ *   fetchMetadata(videoId)          -> {channel, title} (formatted, never throws)
+ *
+ * Optional methods (collection expansion):
+ *   listPlaylist(playlistId)           -> {playlistId, title, videos}
+ *   listChannel(channelRef, {since, maxVideos}) -> {channelName, videos}
+ *
+ * Providers that cannot expand collections simply do not define the optional
+ * methods; callers check with supports() before using them.
+ *
+ * @class TranscriptProvider
+ */
+class TranscriptProvider {
+  static REQUIRED_METHODS = ['fetchTranscript', 'fetchMetadata'];
+  static OPTIONAL_METHODS = ['listPlaylist', 'listChannel'];
+
+  /**
+   * @param {string} name - Provider name used in logs and configuration
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Prepare provider for use (credentials, connections, fixture checks)
+   * @returns {Promise<void>}
+   */
+  async initialize() {}
+
+  /**
+   * Fetch transcript text and timestamped segments
+   * @param {string} _videoUrl - Canonical YouTube watch URL
+   * @param {string|null} [_lang=null] - Language code or null for the provider default
+   * @returns {Promise<{text: string, segments: Array<{startMs: number, endMs: number, text: string}>}>}
+   */
+  async fetchTranscript(_videoUrl, _lang = null) {
+    throw new Error(`${this.name} provider does not implement fetchTranscript`);
+  }
+
+  /**
+   * Fetch formatted video metadata
+   * @param {string} _videoId - YouTube video ID
+   * @returns {Promise<{channel: string, title: string}>}
+   */
+  async fetchMetadata(_videoId) {
+    throw new Error(`${this.name} provider does not implement fetchMetadata`);
+  }
+
+  /**
+   * Check if provider implements an optional capability
+   * @param {string} method - Method name (e.g. 'listPlaylist')
+   * @returns {boolean} True if supported
+   */
+  supports(method) {
+    return typeof this[method] === 'function';
+  }
+
+  /**
+   * Validate an object implements the required provider methods
+   * @param {Object} provider - Candidate provider
+   * @throws {Error} If a required method is missing
+   */
+  static assertProvider(provider) {
+    if (!provider || typeof provider !== 'object') {
+      throw new Error('Transcript provider is required');
+    }
+
+    for (const method of TranscriptProvider.REQUIRED_METHODS) {
+      if (typeof provider[method] !== 'function') {
+        throw new Error(`Transcript provider must implement ${method}`);
+      }
+    }
+  }
+}
+
+module.exports = TranscriptProvider;
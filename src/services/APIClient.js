@@ -1,15 +1,21 @@
 const axios = require('axios');
 const {
   API_CLIENT_CONFIG,
+  USAGE_ENDPOINT_NAMES,
   ERROR_TYPES,
+  PLAYLIST_CONFIG,
+  CHANNEL_CONFIG,
   TIMEOUT_ERROR_CODES,
   NETWORK_ERROR_CODES,
   RETRY_CONFIG,
   RETRY_BUDGET,
+  RATE_LIMIT_CONFIG,
 } = require('../constants/APIClientConstants');
 const ErrorHandler = require('../utils/ErrorHandler');
 const ValidationHelpers = require('../utils/ValidationHelpers');
 const URLValidator = require('../utils/URLValidator');
+const validators = require('../utils/validators');
+const RateLimiter = require('../utils/RateLimiter');
 
 /**
  * API Client for Scrape Creators Service
@@ -20,6 +26,7 @@ const URLValidator = require('../utils/URLValidator');
  *
  * ERROR CLASSIFICATION (TR-12):
  *   400 -> INVALID_REQUEST (skip URL, continue)
+ *   404 / empty transcript -> NO_TRANSCRIPT (skip URL, continue)
  *   401 -> UNAUTHORIZED (throw, caller exits)
  *   429 -> RATE_LIMITED (retry with exponential backoff, max 3 attempts)
  *   500/502/503 -> SERVER_ERROR (skip URL, continue)
@@ -32,6 +39,13 @@ const URLValidator = require('../utils/URLValidator');
  *   - Request deduplication prevents duplicate concurrent requests
  *   - Retry budget enforcement prevents resource exhaustion
  *   - Maximum 3 total attempts (1 initial + 2 retries)
+ *   - Shared token bucket limits request rate across concurrent workers;
+ *     a 429 pauses every worker for the Retry-After (or backoff) delay
+ *
+ * USAGE TRACKING:
+ *   - Every request (including retries) is appended to the usage ledger
+ *   - With a call budget (--max-api-calls), requests beyond it fail with
+ *     BUDGET_EXHAUSTED before anything is sent
  *
  * SECURITY CONSIDERATIONS:
  *   - API key never logged or exposed in errors
@@ -45,15 +59,21 @@ const URLValidator = require('../utils/URLValidator');
 class APIClient {
   /**
    * @param {string} apiKey - Scrape Creators API key from environment
+   * @param {UsageLedger|null} [usageLedger=null] - Ledger recording requests and enforcing the budget
    */
-  constructor(apiKey) {
+  constructor(apiKey, usageLedger = null) {
     this.apiKey = apiKey;
+    this.usageLedger = usageLedger;
     this.httpClient = null;
     this.initialized = false;
     this.initializationPromise = null;
     this.inflightRequests = new Map();
     this.activeTimeouts = new Set();
     this.retryBudgetStartTime = null;
+    this.rateLimiter = new RateLimiter({
+      requestsPerSecond: RATE_LIMIT_CONFIG.REQUESTS_PER_SECOND,
+      burst: RATE_LIMIT_CONFIG.BURST,
+    });
   }
 
   /**
@@ -179,13 +199,14 @@ class APIClient {
    * Handle successful response in interceptor
    * @private
    * @param {Object} response - Axios response
-   * @returns {Object} Unchanged response
+   * @returns {Promise<Object>} Unchanged response
    */
-  handleSuccessfulResponse(response) {
+  async handleSuccessfulResponse(response) {
     const responseUrl = response.config?.url || response.config?.baseURL || '[unknown]';
     const responseStatus = response.status || '[no status]';
 
     console.log(`[API] Response ${responseStatus} from ${responseUrl}`);
+    await this.recordUsage(response.config, response.status);
 
     return response;
   }
@@ -196,8 +217,29 @@ class APIClient {
    * @param {Error} error - Response error
    * @returns {Promise<never>} Rejected promise with transformed error
    */
-  handleFailedResponse(error) {
-    return Promise.reject(this.transformError(error));
+  async handleFailedResponse(error) {
+    await this.recordUsage(error?.config, error?.response?.status || error?.code || 'ERROR');
+    throw this.transformError(error);
+  }
+
+  /**
+   * Append a finished request to the usage ledger
+   * @private
+   * @param {Object|undefined} config - Axios request config (isRetry set by requestWithRetry)
+   * @param {number|string} status - HTTP status or error code
+   * @returns {Promise<void>}
+   */
+  async recordUsage(config, status) {
+    if (!this.usageLedger || !config) {
+      return;
+    }
+
+    await this.usageLedger.record({
+      service: 'scrapecreators',
+      endpoint: USAGE_ENDPOINT_NAMES[config.url] || config.url,
+      status,
+      retry: config.isRetry,
+    });
   }
 
   /**
@@ -215,53 +257,204 @@ class APIClient {
    * Fetch transcript for YouTube video with automatic retry on rate limit
    * Enhanced with deduplication and budget tracking
    * @param {string} videoUrl - Full YouTube URL
-   * @returns {Promise<string>} Transcript text
+   * @param {string|null} [lang=null] - Language code passed to the provider (null = provider default)
+   * @returns {Promise<{text: string, segments: Array<{startMs: number, endMs: number, text: string}>}>}
+   *   Transcript text and timestamped segments (empty array if the API sent none)
    * @throws {Error} On API errors, network failures, or invalid response
    */
-  async fetchTranscript(videoUrl) {
+  async fetchTranscript(videoUrl, lang = null) {
     await this.ensureInitialized();
     this.validateVideoUrl(videoUrl);
+    this.validateLanguage(lang);
 
     const videoId = URLValidator.extractVideoId(videoUrl);
+    const requestKey = lang ? `${videoId}:${lang}` : videoId;
     const startTime = Date.now();
 
-    console.log(`[API] Fetching transcript for video: ${videoId}`);
+    console.log(`[API] Fetching transcript for video: ${requestKey}`);
 
-    if (this.inflightRequests.has(videoId)) {
-      console.log(`[API] Deduplicating request for ${videoId}`);
-      return this.inflightRequests.get(videoId);
+    if (this.inflightRequests.has(requestKey)) {
+      console.log(`[API] Deduplicating request for ${requestKey}`);
+      return this.inflightRequests.get(requestKey);
     }
 
-    const requestPromise = this.fetchWithRetry(videoUrl)
+    const requestPromise = this.fetchWithRetry(videoUrl, lang)
       .then((transcript) => {
         const duration = Date.now() - startTime;
-        console.log(`[API] Transcript received: ${transcript.length} chars in ${duration}ms`);
+        console.log(
+          `[API] Transcript received: ${transcript.text.length} chars, ` +
+            `${transcript.segments.length} segments in ${duration}ms`
+        );
         return transcript;
       })
       .finally(() => {
-        this.inflightRequests.delete(videoId);
+        this.inflightRequests.delete(requestKey);
         this.retryBudgetStartTime = null;
       });
 
-    this.inflightRequests.set(videoId, requestPromise);
+    this.inflightRequests.set(requestKey, requestPromise);
     return requestPromise;
   }
 
+  /**
+   * Fetch the member videos of a YouTube playlist
+   * Uses the same retry/backoff and in-flight deduplication as fetchTranscript
+   *
+   * @param {string} playlistId - YouTube playlist identifier (list= parameter)
+   * @returns {Promise<{playlistId: string, title: string|null, videos: Array<{videoId: string, title: string|null}>}>}
+   * @throws {Error} On API errors, network failures, or invalid response
+   */
+  async fetchPlaylist(playlistId) {
+    await this.ensureInitialized();
+    this.validatePlaylistId(playlistId);
+
+    const requestKey = `playlist:${playlistId}`;
+
+    console.log(`[API] Fetching playlist: ${playlistId}`);
+
+    if (this.inflightRequests.has(requestKey)) {
+      console.log(`[API] Deduplicating request for playlist ${playlistId}`);
+      return this.inflightRequests.get(requestKey);
+    }
+
+    const requestPromise = this.requestWithRetry((requestConfig) =>
+      this.executePlaylistRequest(playlistId, requestConfig)
+    )
+      .then((playlist) => {
+        console.log(`[API] Playlist received: ${playlist.videos.length} videos`);
+        return playlist;
+      })
+      .finally(() => {
+        this.inflightRequests.delete(requestKey);
+        this.retryBudgetStartTime = null;
+      });
+
+    this.inflightRequests.set(requestKey, requestPromise);
+    return requestPromise;
+  }
+
+  /**
+   * Fetch channel name and uploads, newest first
+   * Every page request goes through the same retry/backoff as fetchTranscript
+   *
+   * @param {Object} channelRef - Channel reference
+   * @param {string} channelRef.type - 'handle', 'channelId' or 'url'
+   * @param {string} channelRef.value - Handle (without @), channel ID or channel URL
+   * @param {Object} [options={}] - Listing limits
+   * @param {Date|null} [options.since=null] - Only include uploads published on/after this date
+   * @param {number|null} [options.maxVideos=null] - Maximum number of uploads to return
+   * @returns {Promise<{channelName: string|null, videos: Array<{videoId: string, title: string|null, publishedAt: Date|null}>}>}
+   * @throws {Error} On API errors, network failures, or invalid response
+   */
+  async fetchChannel(channelRef, options = {}) {
+    await this.ensureInitialized();
+    this.validateChannelRef(channelRef);
+
+    const { since = null, maxVideos = null } = options;
+    const limit = Math.min(
+      maxVideos || CHANNEL_CONFIG.MAX_CHANNEL_VIDEOS,
+      CHANNEL_CONFIG.MAX_CHANNEL_VIDEOS
+    );
+    const params = { [channelRef.type]: channelRef.value };
+
+    console.log(`[API] Fetching channel: ${channelRef.value}`);
+
+    try {
+      const detailsResponse = await this.requestWithRetry((requestConfig) =>
+        this.httpClient.get(API_CLIENT_CONFIG.CHANNEL_ENDPOINT, { params, ...requestConfig })
+      );
+      const details = detailsResponse && detailsResponse.data ? detailsResponse.data : {};
+      const channelName = this.normalizeOptionalText(details.name || details.title);
+
+      const videos = [];
+      let continuationToken = null;
+      let reachedSince = false;
+
+      for (let page = 0; page < CHANNEL_CONFIG.MAX_PAGES; page++) {
+        const pageParams = { ...params, sort: 'latest' };
+        if (continuationToken) {
+          pageParams.continuationToken = continuationToken;
+        }
+
+        const response = await this.requestWithRetry((requestConfig) =>
+          this.httpClient.get(API_CLIENT_CONFIG.CHANNEL_VIDEOS_ENDPOINT, {
+            params: pageParams,
+            ...requestConfig,
+          })
+        );
+        const listing = this.extractChannelVideos(response);
+
+        for (const video of listing.videos) {
+          // Uploads are listed newest first: the first dated upload before `since` ends the scan
+          if (since && video.publishedAt && video.publishedAt < since) {
+            reachedSince = true;
+            break;
+          }
+
+          videos.push(video);
+          if (videos.length >= limit) {
+            break;
+          }
+        }
+
+        continuationToken = listing.continuationToken;
+        if (reachedSince || videos.length >= limit || !continuationToken) {
+          break;
+        }
+      }
+
+      console.log(`[API] Channel received: ${videos.length} videos`);
+      return { channelName, videos };
+    } finally {
+      this.retryBudgetStartTime = null;
+    }
+  }
+
   /**
    * Execute API request with exponential backoff retry
    * @private
    * @param {string} videoUrl - YouTube URL
+   * @param {string|null} lang - Language code or null for provider default
    * @param {number} attempt - Current attempt number (1-indexed)
    * @param {number} budgetStartTime - Timestamp when retry sequence started
-   * @returns {Promise<string>} Transcript text
+   * @returns {Promise<{text: string, segments: Array}>} Transcript text and segments
    */
-  async fetchWithRetry(videoUrl, attempt = 1, budgetStartTime = null) {
+  async fetchWithRetry(videoUrl, lang = null, attempt = 1, budgetStartTime = null) {
+    return this.requestWithRetry(
+      (requestConfig) => this.executeApiRequest(videoUrl, lang, requestConfig),
+      attempt,
+      budgetStartTime
+    );
+  }
+
+  /**
+   * Execute any API request function with exponential backoff retry
+   * Shared by transcript and playlist requests so all endpoints honour
+   * the same retry budget and Retry-After handling
+   * @private
+   * @param {Function} requestFn - async (requestConfig) => result, performing a single request;
+   *   requestConfig ({isRetry}) must be merged into the axios config for usage tracking
+   * @param {number} attempt - Current attempt number (1-indexed)
+   * @param {number} budgetStartTime - Timestamp when retry sequence started
+   * @returns {Promise<*>} Result of requestFn
+   * @throws {Error} BUDGET_EXHAUSTED if --max-api-calls is used up
+   */
+  async requestWithRetry(requestFn, attempt = 1, budgetStartTime = null) {
     const startTime = this.initializeRetryTracking(attempt, budgetStartTime);
 
+    if (this.usageLedger && !this.usageLedger.reserveCall()) {
+      throw this.createAppError(
+        ERROR_TYPES.BUDGET_EXHAUSTED,
+        `API call budget of ${this.usageLedger.maxApiCalls} used up (--max-api-calls)`
+      );
+    }
+
+    await this.rateLimiter.acquire();
+
     try {
-      return await this.executeApiRequest(videoUrl);
+      return await requestFn({ isRetry: attempt > 1 });
     } catch (error) {
-      return await this.handleRetryOrThrow(error, videoUrl, attempt, startTime);
+      return await this.handleRetryOrThrow(error, requestFn, attempt, startTime);
     }
   }
 
@@ -285,28 +478,57 @@ class APIClient {
    * Execute single API request
    * @private
    * @param {string} videoUrl - YouTube URL
-   * @returns {Promise<string>} Transcript text
+   * @param {string|null} [lang=null] - Language code or null for provider default
+   * @param {Object} [requestConfig={}] - Extra axios config from requestWithRetry
+   * @returns {Promise<{text: string, segments: Array}>} Transcript text and segments
+   */
+  async executeApiRequest(videoUrl, lang = null, requestConfig = {}) {
+    const params = lang ? { url: videoUrl, language: lang } : { url: videoUrl };
+    const response = await this.httpClient.get(API_CLIENT_CONFIG.ENDPOINT, {
+      params,
+      ...requestConfig,
+    });
+
+    if (!response) {
+      throw this.createAppError(ERROR_TYPES.VALIDATION, 'API returned null response object');
+    }
+
+    return {
+      text: this.extractTranscriptText(response),
+      segments: this.extractTranscriptSegments(response),
+    };
+  }
+
+  /**
+   * Execute single playlist API request
+   * @private
+   * @param {string} playlistId - YouTube playlist identifier
+   * @param {Object} [requestConfig={}] - Extra axios config from requestWithRetry
+   * @returns {Promise<Object>} Parsed playlist
    */
-  async executeApiRequest(videoUrl) {
-    const response = await this.httpClient.get(API_CLIENT_CONFIG.ENDPOINT, { params: { url: videoUrl } });
+  async executePlaylistRequest(playlistId, requestConfig = {}) {
+    const response = await this.httpClient.get(API_CLIENT_CONFIG.PLAYLIST_ENDPOINT, {
+      params: { playlist_id: playlistId },
+      ...requestConfig,
+    });
 
     if (!response) {
       throw this.createAppError(ERROR_TYPES.VALIDATION, 'API returned null response object');
     }
 
-    return this.extractTranscriptText(response);
+    return this.extractPlaylistVideos(response, playlistId);
   }
 
   /**
    * Handle retry logic or throw error
    * @private
    * @param {Error} error - Caught error
-   * @param {string} videoUrl - YouTube URL
+   * @param {Function} requestFn - Request function to retry
    * @param {number} attempt - Current attempt
    * @param {number} startTime - Budget start time
-   * @returns {Promise<string>} Transcript text from retry
+   * @returns {Promise<*>} Result from retry
    */
-  async handleRetryOrThrow(error, videoUrl, attempt, startTime) {
+  async handleRetryOrThrow(error, requestFn, attempt, startTime) {
     if (!this.shouldRetry(error, attempt)) {
       throw error;
     }
@@ -316,9 +538,14 @@ class APIClient {
 
     this.logRetryAttempt(attempt, delayMs, startTime);
 
+    // Server-side rate limit applies to every worker, not just this request
+    if (error.type === ERROR_TYPES.RATE_LIMITED) {
+      this.rateLimiter.pauseFor(delayMs);
+    }
+
     await this.sleepWithCleanup(delayMs);
 
-    return this.fetchWithRetry(videoUrl, attempt + 1, startTime);
+    return this.requestWithRetry(requestFn, attempt + 1, startTime);
   }
 
   /**
@@ -525,6 +752,199 @@ class APIClient {
     }
   }
 
+  /**
+   * Validate optional transcript language before API call
+   * @private
+   * @param {string|null} lang - Language code or null for provider default
+   * @throws {Error} If language code malformed
+   */
+  validateLanguage(lang) {
+    if (lang === null || lang === undefined) {
+      return;
+    }
+
+    if (!validators.isValidLanguageCode(lang)) {
+      throw this.createAppError(ERROR_TYPES.VALIDATION, 'Invalid transcript language code', {
+        lang: String(lang).substring(0, 20),
+      });
+    }
+  }
+
+  /**
+   * Validate playlist identifier before API call
+   * @private
+   * @param {string} playlistId - Playlist identifier to validate
+   * @throws {Error} If identifier missing or malformed
+   */
+  validatePlaylistId(playlistId) {
+    if (!ValidationHelpers.isNonEmptyString(playlistId)) {
+      throw this.createAppError(
+        ERROR_TYPES.VALIDATION,
+        'Playlist ID is required and must be non-empty string'
+      );
+    }
+
+    if (!PLAYLIST_CONFIG.PLAYLIST_ID_PATTERN.test(playlistId)) {
+      throw this.createAppError(ERROR_TYPES.VALIDATION, 'Invalid YouTube playlist ID format', {
+        playlistId: playlistId.substring(0, 100),
+      });
+    }
+  }
+
+  /**
+   * Extract playlist videos from API response
+   * Entries without a valid 11-character video ID are skipped
+   * @private
+   * @param {Object} response - Axios response object
+   * @param {string} playlistId - Requested playlist identifier
+   * @returns {{playlistId: string, title: string|null, videos: Array<{videoId: string, title: string|null}>}}
+   * @throws {Error} If response missing videos array
+   */
+  extractPlaylistVideos(response, playlistId) {
+    const data = response && response.data;
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw this.createAppError(ERROR_TYPES.VALIDATION, 'API response missing data object');
+    }
+
+    if (!Array.isArray(data.videos)) {
+      throw this.createAppError(ERROR_TYPES.VALIDATION, 'API response missing videos array');
+    }
+
+    const videos = [];
+
+    for (const item of data.videos) {
+      if (videos.length >= PLAYLIST_CONFIG.MAX_PLAYLIST_VIDEOS) {
+        console.warn(
+          `[API] Playlist ${playlistId} truncated to ${PLAYLIST_CONFIG.MAX_PLAYLIST_VIDEOS} videos`
+        );
+        break;
+      }
+
+      const videoId = this.extractListedVideoId(item);
+      if (!videoId) {
+        continue;
+      }
+
+      videos.push({
+        videoId,
+        title: this.normalizeOptionalText(item.title),
+      });
+    }
+
+    return { playlistId, title: this.normalizeOptionalText(data.title), videos };
+  }
+
+  /**
+   * Normalize optional text field from API response
+   * @private
+   * @param {*} value - Raw field value
+   * @returns {string|null} Trimmed string or null if empty/not a string
+   */
+  normalizeOptionalText(value) {
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+  }
+
+  /**
+   * Validate channel reference before API call
+   * @private
+   * @param {Object} channelRef - Channel reference {type, value}
+   * @throws {Error} If reference missing or malformed
+   */
+  validateChannelRef(channelRef) {
+    if (
+      !channelRef ||
+      !CHANNEL_CONFIG.CHANNEL_REF_TYPES.includes(channelRef.type) ||
+      !ValidationHelpers.isNonEmptyString(channelRef.value)
+    ) {
+      throw this.createAppError(ERROR_TYPES.VALIDATION, 'Invalid YouTube channel reference');
+    }
+
+    if (channelRef.value.length > API_CLIENT_CONFIG.MAX_CHANNEL_REF_LENGTH) {
+      throw this.createAppError(
+        ERROR_TYPES.VALIDATION,
+        `Channel reference exceeds maximum length (${API_CLIENT_CONFIG.MAX_CHANNEL_REF_LENGTH} characters)`
+      );
+    }
+  }
+
+  /**
+   * Extract one page of channel uploads from API response
+   * @private
+   * @param {Object} response - Axios response object
+   * @returns {{videos: Array<{videoId: string, title: string|null, publishedAt: Date|null}>, continuationToken: string|null}}
+   * @throws {Error} If response missing videos array
+   */
+  extractChannelVideos(response) {
+    const data = response && response.data;
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw this.createAppError(ERROR_TYPES.VALIDATION, 'API response missing data object');
+    }
+
+    if (!Array.isArray(data.videos)) {
+      throw this.createAppError(ERROR_TYPES.VALIDATION, 'API response missing videos array');
+    }
+
+    const videos = [];
+
+    for (const item of data.videos) {
+      const videoId = this.extractListedVideoId(item);
+      if (!videoId) {
+        continue;
+      }
+
+      videos.push({
+        videoId,
+        title: this.normalizeOptionalText(item.title),
+        publishedAt: this.parsePublishedDate(
+          item.publishDate || item.publishedAt || item.uploadDate
+        ),
+      });
+    }
+
+    return {
+      videos,
+      continuationToken: this.normalizeOptionalText(data.continuationToken),
+    };
+  }
+
+  /**
+   * Parse absolute publish date from listing item
+   * Relative values ("3 days ago") are not parsed and yield null
+   * @private
+   * @param {*} value - Raw date value
+   * @returns {Date|null} Parsed date or null
+   */
+  parsePublishedDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+      return null;
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Extract video ID from a listed video item (playlist or channel listing)
+   * Accepts either an explicit id field or a video URL
+   * @private
+   * @param {Object} item - Listed video object from API
+   * @returns {string|null} Valid video ID or null
+   */
+  extractListedVideoId(item) {
+    if (!item || typeof item !== 'object') {
+      return null;
+    }
+
+    const candidates = [item.id, item.videoId];
+    if (typeof item.url === 'string') {
+      candidates.push(URLValidator.extractVideoId(item.url));
+    }
+
+    return candidates.find((candidate) => URLValidator.validateVideoId(candidate)) || null;
+  }
+
   /**
    * Extract transcript text from API response
    * @private
@@ -562,7 +982,10 @@ class APIClient {
     const trimmedText = text.trim();
 
     if (trimmedText === '') {
-      throw this.createAppError(ERROR_TYPES.VALIDATION, 'API returned empty transcript text');
+      throw this.createAppError(
+        ERROR_TYPES.NO_TRANSCRIPT,
+        'No transcript available for this video (captions disabled or empty)'
+      );
     }
 
     const MAX_TRANSCRIPT_LENGTH = 10 * 1024 * 1024;
@@ -576,6 +999,45 @@ class APIClient {
     return trimmedText;
   }
 
+  /**
+   * Extract timestamped segments from API response
+   * Segments are optional: malformed items are dropped, a missing array yields []
+   * @private
+   * @param {Object} response - Axios response object (already validated by extractTranscriptText)
+   * @returns {Array<{startMs: number, endMs: number, text: string}>} Segments in playback order
+   */
+  extractTranscriptSegments(response) {
+    const items = response.data.transcript;
+
+    if (!Array.isArray(items)) {
+      return [];
+    }
+
+    const segments = [];
+
+    for (const item of items) {
+      if (!item || typeof item !== 'object' || typeof item.text !== 'string') {
+        continue;
+      }
+
+      const startMs = Number(item.startMs);
+      const endMs = Number(item.endMs);
+      const text = item.text.trim();
+
+      if (!Number.isFinite(startMs) || startMs < 0 || text === '') {
+        continue;
+      }
+
+      segments.push({
+        startMs: Math.round(startMs),
+        endMs: Number.isFinite(endMs) && endMs >= startMs ? Math.round(endMs) : Math.round(startMs),
+        text,
+      });
+    }
+
+    return segments;
+  }
+
   /**
    * Transform axios error into application error
    * @private
@@ -624,6 +1086,11 @@ class APIClient {
         message: 'API authentication failed - check SCRAPE_CREATORS_API_KEY',
         context: { status },
       },
+      404: {
+        type: ERROR_TYPES.NO_TRANSCRIPT,
+        message: 'Not found - video unavailable or no transcript available',
+        context: { status },
+      },
       429: {
         type: ERROR_TYPES.RATE_LIMITED,
         message: 'API rate limit exceeded',
@@ -0,0 +1,108 @@
+const LinkManager = require('./LinkManager');
+
+/**
+ * Dry Run Planner
+ *
+ * Works out what `transcriptor --dry-run` would do with a deduplicated batch
+ * without touching the network or the disk: which videos would be fetched,
+ * which would be linked from the central cache, which link targets conflict
+ * with existing files, and how many API calls the run would cost.
+ *
+ * Storage must be opened read-only; cache checks do not count as hits or
+ * misses. Playlist and channel lines are not expanded (that would cost API
+ * calls), so their videos are not part of the plan.
+ *
+ * @class DryRunPlanner
+ */
+class DryRunPlanner {
+  /**
+   * @param {StorageService} storageService - Read-only storage
+   * @param {TranscriptService} transcriptService - Service used for cache lookups
+   * @param {Object} pathResolver - Path resolution utility
+   */
+  constructor(storageService, transcriptService, pathResolver) {
+    if (!storageService || !transcriptService || !pathResolver) {
+      throw new Error(
+        'DryRunPlanner requires StorageService, TranscriptService, and PathResolver dependencies'
+      );
+    }
+
+    this.storage = storageService;
+    this.transcripts = transcriptService;
+    this.linkManager = new LinkManager(storageService, pathResolver);
+  }
+
+  /**
+   * Plan a batch
+   * @param {Object[]} videos - Deduplicated canonical records {videoId, lang, sourceLine}
+   * @param {string} projectDir - Absolute project directory
+   * @param {Object} [options={}] - Batch options
+   * @param {boolean} [options.force=false] - Negative cache ignored (--force)
+   * @param {string[]} [options.collections=[]] - Playlist/channel lines left unexpanded
+   * @returns {Promise<Object>} Plan
+   *   - fetch: [{videoId, lang, url}] not cached, would be fetched
+   *   - link: [{videoId, lang, url, targetPath, status, alreadyLinked}] served from cache
+   *   - conflicts: [{videoId, lang, targetPath, status, message}] cached, link blocked
+   *   - skipped: [{videoId, lang, reason}] known to have no transcript
+   *   - collections: playlist/channel lines
+   *   - apiCalls: {transcripts, metadata, collections} estimated requests (one oEmbed metadata
+   *     lookup per fetched video, at least one listing request per collection)
+   */
+  async plan(videos, projectDir, options = {}) {
+    const { force = false, collections = [] } = options;
+    const plan = { fetch: [], link: [], conflicts: [], skipped: [], collections };
+    const linkMode = await LinkManager.getLinkMode(projectDir);
+
+    for (const { videoId, lang, sourceLine } of videos) {
+      const unavailable = force ? null : await this.transcripts.getUnavailable(videoId, lang);
+      if (unavailable) {
+        plan.skipped.push({ videoId, lang, reason: unavailable.reason });
+        continue;
+      }
+
+      if (!(await this.transcripts.isCached(videoId, lang, { countStats: false }))) {
+        plan.fetch.push({ videoId, lang, url: sourceLine });
+        continue;
+      }
+
+      const sourcePath = await this.storage.getTranscriptPath(videoId, lang);
+      const targetPath = await this.linkManager.targetPathFor(
+        videoId,
+        projectDir,
+        lang,
+        sourcePath
+      );
+      const validation = await this.linkManager.validateTarget(targetPath, sourcePath);
+
+      if (!validation.canProceed) {
+        plan.conflicts.push({
+          videoId,
+          lang,
+          targetPath,
+          status: validation.status,
+          message: validation.message,
+        });
+        continue;
+      }
+
+      plan.link.push({
+        videoId,
+        lang,
+        url: sourceLine,
+        targetPath,
+        status: validation.status,
+        alreadyLinked: Boolean(validation.linked) && validation.mode === linkMode,
+      });
+    }
+
+    plan.apiCalls = {
+      transcripts: plan.fetch.length,
+      metadata: plan.fetch.length,
+      collections: collections.length,
+    };
+
+    return plan;
+  }
+}
+
+module.exports = DryRunPlanner;
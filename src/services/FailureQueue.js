@@ -0,0 +1,203 @@
+const fs = require('fs-extra');
+const path = require('path');
+const ErrorHandler = require('../utils/ErrorHandler');
+
+/**
+ * Failure Queue
+ *
+ * Persists videos that failed during a batch to ~/.transcriptor/failures.json
+ * so they can be listed (`transcriptor failures`) and reprocessed later
+ * (`transcriptor retry`) instead of being lost with the run's output.
+ *
+ * Queue format (keyed by video ID, or "<videoId>:<lang>" for language variants):
+ * {
+ *   "dQw4w9WgXcQ": {
+ *     "video_id", "lang", "url", "project_dir",
+ *     "error_type": ERROR_TYPES value or null, "error": last error message,
+ *     "permanent": true for no captions / unavailable videos (never retried automatically),
+ *     "attempts": failed attempts so far,
+ *     "first_failed_at", "last_failed_at", "next_retry_at": ISO timestamps
+ *   }
+ * }
+ *
+ * Transient failures back off exponentially between retries. A successful
+ * run of the same video removes its entry. Writes are serialised and atomic
+ * (temp file + rename) because workers finish concurrently.
+ *
+ * @class FailureQueue
+ */
+class FailureQueue {
+  static FILENAME = 'failures.json';
+  static BACKOFF_BASE_MS = 15 * 60 * 1000; // 15 minutes after the first failure
+  static BACKOFF_MAX_MS = 24 * 60 * 60 * 1000; // Never wait more than a day
+
+  /**
+   * @param {Object} pathResolver - Path resolution utility
+   */
+  constructor(pathResolver) {
+    this.paths = pathResolver;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * @returns {string} Absolute path to ~/.transcriptor/failures.json
+   */
+  getQueuePath() {
+    return path.join(this.paths.getStoragePath(), FailureQueue.FILENAME);
+  }
+
+  /**
+   * Queue key for a video and language
+   * @param {string} videoId - YouTube video ID
+   * @param {string|null} lang - Language code or null for provider default
+   * @returns {string} Queue key
+   */
+  static keyFor(videoId, lang) {
+    return lang ? `${videoId}:${lang}` : videoId;
+  }
+
+  /**
+   * Delay before the next retry after a number of failed attempts
+   * 15m, 30m, 1h, 2h ... capped at 24h
+   * @param {number} attempts - Failed attempts so far (>= 1)
+   * @returns {number} Delay in milliseconds
+   */
+  static backoffDelay(attempts) {
+    const delay = FailureQueue.BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1);
+    return Math.min(delay, FailureQueue.BACKOFF_MAX_MS);
+  }
+
+  /**
+   * Load all queued failures
+   * @returns {Promise<Object[]>} Entries, most recent failure first
+   */
+  async list() {
+    const queue = await this._read();
+    return Object.values(queue).sort((a, b) => b.last_failed_at.localeCompare(a.last_failed_at));
+  }
+
+  /**
+   * Split queued failures into what `retry` should process now
+   * @param {Object[]} entries - Entries from list()
+   * @param {Object} [options={}] - Selection options
+   * @param {boolean} [options.ignoreBackoff=false] - Include transient entries not yet due
+   * @param {boolean} [options.includePermanent=false] - Include permanent failures
+   * @param {Date} [options.now=new Date()] - Reference time
+   * @returns {{due: Object[], waiting: Object[], permanent: Object[]}} Entries by status
+   */
+  static partition(entries, options = {}) {
+    const { ignoreBackoff = false, includePermanent = false, now = new Date() } = options;
+    const result = { due: [], waiting: [], permanent: [] };
+
+    for (const entry of entries) {
+      if (entry.permanent && !includePermanent) {
+        result.permanent.push(entry);
+      } else if (entry.permanent || ignoreBackoff || new Date(entry.next_retry_at) <= now) {
+        result.due.push(entry);
+      } else {
+        result.waiting.push(entry);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Record a failed video, incrementing its attempt count
+   * @param {Object} item - Failed batch item
+   * @param {string} item.video_id - YouTube video ID
+   * @param {string|null} item.lang - Language code
+   * @param {string} item.url - Original URL
+   * @param {string} projectDir - Absolute project directory the video was requested for
+   * @param {Error} error - Failure
+   * @returns {Promise<void>}
+   */
+  async record(item, projectDir, error) {
+    const now = new Date();
+    const key = FailureQueue.keyFor(item.video_id, item.lang);
+
+    await this._update((queue) => {
+      const previous = queue[key];
+      const attempts = previous ? previous.attempts + 1 : 1;
+
+      queue[key] = {
+        video_id: item.video_id,
+        lang: item.lang || null,
+        url: item.url,
+        project_dir: projectDir,
+        error_type: error.type || null,
+        error: error.message,
+        permanent: ErrorHandler.isPermanentError(error),
+        attempts,
+        first_failed_at: previous ? previous.first_failed_at : now.toISOString(),
+        last_failed_at: now.toISOString(),
+        next_retry_at: new Date(now.getTime() + FailureQueue.backoffDelay(attempts)).toISOString(),
+      };
+      return true;
+    });
+  }
+
+  /**
+   * Drop a video from the queue after it was processed successfully
+   * @param {string} videoId - YouTube video ID
+   * @param {string|null} lang - Language code
+   * @returns {Promise<void>}
+   */
+  async resolve(videoId, lang) {
+    const key = FailureQueue.keyFor(videoId, lang);
+
+    await this._update((queue) => {
+      if (!(key in queue)) {
+        return false;
+      }
+      delete queue[key];
+      return true;
+    });
+  }
+
+  /**
+   * Read the queue file
+   * @private
+   * @returns {Promise<Object>} Queue object (empty if missing)
+   * @throws {Error} If file corrupted
+   */
+  async _read() {
+    const queuePath = this.getQueuePath();
+    if (!(await fs.pathExists(queuePath))) {
+      return {};
+    }
+
+    const queue = await fs.readJson(queuePath);
+    if (!queue || typeof queue !== 'object' || Array.isArray(queue)) {
+      throw new Error(`${FailureQueue.FILENAME} is corrupted`);
+    }
+
+    return queue;
+  }
+
+  /**
+   * Read-modify-write under the queue lock
+   * @private
+   * @param {Function} mutator - (queue) => boolean, true if the queue changed
+   * @returns {Promise<void>}
+   */
+  async _update(mutator) {
+    const update = this.writeQueue.then(async () => {
+      const queue = await this._read();
+      if (!mutator(queue)) {
+        return;
+      }
+
+      const queuePath = this.getQueuePath();
+      const tempPath = `${queuePath}.tmp`;
+      await fs.ensureDir(path.dirname(queuePath));
+      await fs.writeJson(tempPath, queue, { spaces: 2 });
+      await fs.rename(tempPath, queuePath);
+    });
+
+    this.writeQueue = update.catch(() => {});
+    return update;
+  }
+}
+
+module.exports = FailureQueue;
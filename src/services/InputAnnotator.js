@@ -0,0 +1,142 @@
+const fs = require('fs-extra');
+const path = require('path');
+const InputParser = require('../utils/InputParser');
+const URLNormalizer = require('../utils/URLNormalizer');
+const { ERROR_TYPES } = require('../constants/APIClientConstants');
+
+/**
+ * Input Annotator
+ *
+ * Writes the outcome of a run back into youtube.md (--annotate): each video
+ * line gets a status marker after its URL, and checkbox lines are ticked once
+ * the transcript is linked.
+ *
+ *   - [x] https://youtu.be/dQw4w9WgXcQ ✓ tr_dQw4w9WgXcQ_never_gonna_give_you_up.md
+ *   https://youtu.be/jNQXAC9IVRw ✗ no captions
+ *
+ * The file is re-read just before writing so edits made during the run are
+ * kept, and replaced atomically. Only the status of lines processed in this
+ * run changes; comments, prose, code blocks, table rows, lines with several
+ * links, playlist/channel lines and everything else stay byte-for-byte as
+ * they were (line endings included).
+ *
+ * @class InputAnnotator
+ */
+class InputAnnotator {
+  // Short labels for error types; others are derived from the type name
+  static ERROR_LABELS = {
+    [ERROR_TYPES.NO_TRANSCRIPT]: 'no captions',
+    [ERROR_TYPES.INVALID_REQUEST]: 'video unavailable',
+    [ERROR_TYPES.UNAUTHORIZED]: 'invalid API key',
+  };
+
+  /**
+   * @param {StorageService} storageService - Storage layer (transcript names, atomic writes)
+   */
+  constructor(storageService) {
+    if (!storageService) {
+      throw new Error('InputAnnotator requires StorageService dependency');
+    }
+
+    this.storage = storageService;
+  }
+
+  /**
+   * Annotate youtube.md with the outcome of each processed video
+   *
+   * @param {string} inputFile - Absolute path to youtube.md
+   * @param {Object[]} items - Finished journal items {video_id, lang, status, error_type, linked}
+   * @param {string|null} [defaultLang=null] - Language used for lines without a lang= hint
+   * @returns {Promise<number>} Number of lines whose annotation changed
+   */
+  async annotate(inputFile, items, defaultLang = null) {
+    const outcomes = new Map(
+      items.map((item) => [InputParser.videoKey(item.video_id, item.lang), item])
+    );
+
+    const content = await fs.readFile(inputFile, 'utf8');
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.split(/\r?\n/);
+    const fenced = InputParser.fencedLines(lines);
+    const visible = InputParser.stripComments(lines, fenced);
+    const statusCache = new Map();
+    let changed = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+      const { prefix, body } = InputParser.splitLine(lines[i]);
+      // Lines holding HTML comments are left alone: the status could land inside one
+      if (fenced.has(i) || visible[i] !== lines[i] || body.startsWith('|')) {
+        continue;
+      }
+
+      // Lines holding several links would not say which one the status belongs to
+      const { references } = InputParser.parseLine(lines[i]);
+      const record = references.length === 1 ? URLNormalizer.normalize(references[0]) : null;
+      if (!record || !record.videoId) {
+        continue;
+      }
+
+      const key = InputParser.videoKey(record.videoId, record.lang || defaultLang);
+      const item = outcomes.get(key);
+      if (!item) {
+        continue;
+      }
+
+      if (!statusCache.has(key)) {
+        statusCache.set(key, await this.describe(item));
+      }
+
+      const tick = item.status === 'done' && item.linked;
+      const annotated = `${tick ? prefix.replace(/\[ \]/, '[x]') : prefix}${body} ${statusCache.get(key)}`;
+      if (annotated !== lines[i]) {
+        lines[i] = annotated;
+        changed++;
+      }
+    }
+
+    if (changed > 0) {
+      await this.storage.atomicWriteText(inputFile, lines.join(eol));
+    }
+
+    return changed;
+  }
+
+  /**
+   * Status annotation for a finished journal item
+   * @param {Object} item - Journal item
+   * @returns {Promise<string>} Marker followed by the transcript file or the reason
+   */
+  async describe(item) {
+    const { done, failed, waiting } = InputParser.STATUS_MARKERS;
+
+    switch (item.status) {
+      case 'done': {
+        if (!item.linked) {
+          return `${failed} not linked`;
+        }
+        const sourcePath = await this.storage.getTranscriptPath(item.video_id, item.lang);
+        return sourcePath ? `${done} ${path.basename(sourcePath)}` : `${done} linked`;
+      }
+      case 'queued':
+        return `${waiting} queued (offline)`;
+      case 'pending':
+        return `${waiting} deferred (API budget)`;
+      default:
+        return `${failed} ${InputAnnotator.describeError(item.error_type)}`;
+    }
+  }
+
+  /**
+   * Short label for a failure or skip reason
+   * @param {string|null} errorType - ERROR_TYPES value
+   * @returns {string} Label, e.g. 'no captions', 'rate limited'
+   */
+  static describeError(errorType) {
+    if (!errorType) {
+      return 'failed';
+    }
+    return InputAnnotator.ERROR_LABELS[errorType] || errorType.toLowerCase().replace(/_/g, ' ');
+  }
+}
+
+module.exports = InputAnnotator;
@@ -0,0 +1,315 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const URLNormalizer = require('../utils/URLNormalizer');
+const ResultFactory = require('../utils/ResultFactory');
+const { generateDateAdded } = require('../utils/dateUtils');
+
+/**
+ * Job Journal
+ *
+ * Persists batch progress to ~/.transcriptor/jobs/<jobId>.json so an
+ * interrupted run (Ctrl-C, sleep, crash) can be resumed with
+ * `transcriptor resume [jobId]` instead of re-checking every URL.
+ *
+ * Journal format:
+ * {
+ *   "id": "job_261019T0755_3fa2",
+ *   "status": "running" | "completed",
+ *   "project_dir": "/abs/project",
+ *   "created_at": ISO timestamp, "updated_at": ISO timestamp,
+ *   "items": [{ "video_id", "lang", "url", "metadata",
+ *               "status": "pending" | "done" | "failed" | "skipped" | "queued",
+ *               "error", "error_type", "cached", "linked" }]
+ * }
+ *
+ * Items keep the batch input order. Writes are serialised and atomic
+ * (temp file + rename) because workers finish concurrently.
+ *
+ * @class JobJournal
+ */
+class JobJournal {
+  static JOBS_DIRNAME = 'jobs';
+  static JOB_ID_PATTERN = /^job_\d{6}T\d{4}_[0-9a-f]{4}$/;
+  static ITEM_STATUSES = ['pending', 'done', 'failed', 'skipped', 'queued'];
+  static MAX_COMPLETED_JOBS = 20; // Older completed journals are pruned on create
+
+  /**
+   * @param {Object} pathResolver - Path resolution utility
+   */
+  constructor(pathResolver) {
+    this.paths = pathResolver;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * @returns {string} Absolute path to ~/.transcriptor/jobs
+   */
+  getJobsPath() {
+    return path.join(this.paths.getStoragePath(), JobJournal.JOBS_DIRNAME);
+  }
+
+  /**
+   * @param {string} jobId - Job identifier
+   * @returns {string} Absolute journal path
+   */
+  getJobPath(jobId) {
+    return path.join(this.getJobsPath(), `${jobId}.json`);
+  }
+
+  /**
+   * Start a journal for a new batch
+   * @param {Array<{url: string, metadata: Object|null, lang: string|null, note: string|null}>} items
+   *   Normalized batch items
+   * @param {string} projectDir - Absolute project directory
+   * @returns {Promise<Object>} Persisted job
+   */
+  async create(items, projectDir) {
+    const now = new Date().toISOString();
+    const job = {
+      id: `job_${generateDateAdded()}_${crypto.randomBytes(2).toString('hex')}`,
+      status: 'running',
+      project_dir: projectDir,
+      created_at: now,
+      updated_at: now,
+      items: items.map(({ url, metadata, lang, note }) => ({
+        video_id: URLNormalizer.extractVideoId(url),
+        lang: lang || null,
+        url,
+        metadata: metadata || null,
+        note: note || null,
+        status: 'pending',
+        error: null,
+        error_type: null,
+        cached: false,
+        linked: false,
+      })),
+    };
+
+    await this.pruneCompleted();
+    await this.save(job);
+    return job;
+  }
+
+  /**
+   * Load a journal by ID
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<Object|null>} Job, or null if it does not exist
+   * @throws {Error} If ID malformed or journal unreadable
+   */
+  async load(jobId) {
+    if (!JobJournal.JOB_ID_PATTERN.test(jobId || '')) {
+      throw new Error(`Invalid job ID: ${jobId}`);
+    }
+
+    const jobPath = this.getJobPath(jobId);
+    if (!(await fs.pathExists(jobPath))) {
+      return null;
+    }
+
+    const job = await fs.readJson(jobPath);
+    if (!job || !Array.isArray(job.items) || typeof job.project_dir !== 'string') {
+      throw new Error(`Job journal ${jobId} is corrupted`);
+    }
+
+    return job;
+  }
+
+  /**
+   * List all journals, newest first
+   * @returns {Promise<Object[]>} Jobs (unreadable journals are skipped)
+   */
+  async list() {
+    const jobsPath = this.getJobsPath();
+    if (!(await fs.pathExists(jobsPath))) {
+      return [];
+    }
+
+    const files = await fs.readdir(jobsPath);
+    const jobs = [];
+
+    for (const file of files) {
+      const jobId = path.basename(file, '.json');
+      if (!file.endsWith('.json') || !JobJournal.JOB_ID_PATTERN.test(jobId)) {
+        continue;
+      }
+
+      try {
+        const job = await this.load(jobId);
+        if (job) {
+          jobs.push(job);
+        }
+      } catch (error) {
+        console.warn(`[Job] Skipping unreadable journal ${file}: ${error.message}`);
+      }
+    }
+
+    return jobs.sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Most recent job that did not finish
+   * @returns {Promise<Object|null>} Job or null
+   */
+  async findLatestUnfinished() {
+    const jobs = await this.list();
+    return jobs.find((job) => job.status !== 'completed') || null;
+  }
+
+  /**
+   * Indexes of items still to process
+   * @param {Object} job - Job
+   * @returns {number[]} Pending item indexes in input order
+   */
+  static pendingIndexes(job) {
+    return job.items
+      .map((item, index) => (item.status === 'pending' ? index : -1))
+      .filter((index) => index !== -1);
+  }
+
+  /**
+   * Record a processed item
+   * @param {Object} job - Job (mutated)
+   * @param {number} index - Item index
+   * @param {{wasCached: boolean, linked: boolean}} urlResult - Processing result
+   * @returns {Promise<void>}
+   */
+  async markDone(job, index, urlResult) {
+    Object.assign(job.items[index], {
+      status: 'done',
+      error: null,
+      error_type: null,
+      cached: Boolean(urlResult.wasCached),
+      linked: Boolean(urlResult.linked),
+    });
+    await this.save(job);
+  }
+
+  /**
+   * Record a failed item
+   * @param {Object} job - Job (mutated)
+   * @param {number} index - Item index
+   * @param {Error} error - Failure (message and ERROR_TYPES type are kept)
+   * @returns {Promise<void>}
+   */
+  async markFailed(job, index, error) {
+    Object.assign(job.items[index], {
+      status: 'failed',
+      error: error.message,
+      error_type: error.type || null,
+    });
+    await this.save(job);
+  }
+
+  /**
+   * Record an item skipped because it is known to have no transcript
+   * @param {Object} job - Job (mutated)
+   * @param {number} index - Item index
+   * @param {{reason: string, message: string}} record - Negative cache record
+   * @returns {Promise<void>}
+   */
+  async markSkipped(job, index, record) {
+    Object.assign(job.items[index], {
+      status: 'skipped',
+      error: record.message,
+      error_type: record.reason,
+    });
+    await this.save(job);
+  }
+
+  /**
+   * Record an item handed to the pending queue by an --offline run
+   * @param {Object} job - Job (mutated)
+   * @param {number} index - Item index
+   * @returns {Promise<void>}
+   */
+  async markQueued(job, index) {
+    Object.assign(job.items[index], { status: 'queued', error: null, error_type: null });
+    await this.save(job);
+  }
+
+  /**
+   * Mark job completed (no pending items left)
+   * @param {Object} job - Job (mutated)
+   * @returns {Promise<void>}
+   */
+  async complete(job) {
+    job.status = 'completed';
+    await this.save(job);
+  }
+
+  /**
+   * Build batch results for the whole job, in input order
+   * Same shape as TranscriptService.processBatch results
+   * @param {Object} job - Job
+   * @returns {Object} Batch results
+   */
+  static summarize(job) {
+    const results = ResultFactory.createEmptyBatchResults();
+
+    for (const item of job.items) {
+      if (item.status === 'done') {
+        results.processed++;
+        if (item.cached) {
+          results.cached++;
+        } else {
+          results.fetched++;
+        }
+        if (item.linked) {
+          results.linked++;
+        }
+      } else if (item.status === 'skipped') {
+        results.skipped++;
+      } else if (item.status === 'queued') {
+        results.queued++;
+      } else if (item.status === 'pending') {
+        results.deferred++;
+      } else if (item.status === 'failed') {
+        ResultFactory.addBatchError(
+          results,
+          item.url,
+          item.error || 'unknown error',
+          item.error_type || null
+        );
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Persist job atomically; writes are queued so concurrent workers never interleave
+   * @param {Object} job - Job
+   * @returns {Promise<void>}
+   */
+  async save(job) {
+    const write = this.writeQueue.then(async () => {
+      job.updated_at = new Date().toISOString();
+
+      const jobPath = this.getJobPath(job.id);
+      const tempPath = `${jobPath}.tmp`;
+
+      await fs.ensureDir(this.getJobsPath());
+      await fs.writeJson(tempPath, job, { spaces: 2 });
+      await fs.rename(tempPath, jobPath);
+    });
+
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Remove completed journals beyond MAX_COMPLETED_JOBS (oldest first)
+   * Unfinished journals are always kept so they can be resumed
+   * @returns {Promise<void>}
+   */
+  async pruneCompleted() {
+    const completed = (await this.list()).filter((job) => job.status === 'completed');
+
+    for (const job of completed.slice(JobJournal.MAX_COMPLETED_JOBS - 1)) {
+      await fs.remove(this.getJobPath(job.id)).catch(() => {});
+    }
+  }
+}
+
+module.exports = JobJournal;
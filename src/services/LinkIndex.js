@@ -0,0 +1,191 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Link Index
+ *
+ * Records every project link created to a central transcript in
+ * ~/.transcriptor/projects.json, so `transcriptor clean` and the
+ * auto-maintenance can remove the links of a deleted transcript and
+ * `transcriptor links` can show where a transcript is used. Kept apart from
+ * data.json, whose schema has no links field.
+ *
+ * Index format:
+ * {
+ *   "version": 1,
+ *   "videos": {
+ *     "dQw4w9WgXcQ": [{ "path", "project_dir", "lang", "mode", "linked_at": ISO timestamp }]
+ *   }
+ * }
+ *
+ * "mode" is the link mode used (see LinkManager.LINK_MODES; records written
+ * before link modes existed have none and are symlinks). Hard links and copies
+ * also carry "checksum", the SHA-256 of the transcript when it was linked, so
+ * maintenance can tell an outdated copy from one edited in the project.
+ *
+ * Links are keyed by video ID across languages and identified by absolute
+ * path. Writes are serialised and atomic (temp file + rename) because workers
+ * finish concurrently.
+ *
+ * @class LinkIndex
+ */
+class LinkIndex {
+  static FILENAME = 'projects.json';
+  static VERSION = 1;
+
+  /**
+   * @param {Object} pathResolver - Path resolution utility
+   */
+  constructor(pathResolver) {
+    this.paths = pathResolver;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * @returns {string} Absolute path to ~/.transcriptor/projects.json
+   */
+  getIndexPath() {
+    return path.join(this.paths.getStoragePath(), LinkIndex.FILENAME);
+  }
+
+  /**
+   * Links recorded for a video
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<Object[]>} Links {path, project_dir, lang, linked_at}
+   */
+  async list(videoId) {
+    const { videos } = await this._read();
+    return Object.hasOwn(videos, videoId) ? videos[videoId] : [];
+  }
+
+  /**
+   * Every recorded link
+   * @returns {Promise<Object>} videoId -> links
+   */
+  async listAll() {
+    return (await this._read()).videos;
+  }
+
+  /**
+   * Find the record of a link path
+   * @param {string} linkPath - Absolute link path
+   * @returns {Promise<{videoId: string, link: Object}|null>} Record, or null if not recorded
+   */
+  async find(linkPath) {
+    for (const [videoId, links] of Object.entries((await this._read()).videos)) {
+      const link = links.find((candidate) => candidate.path === linkPath);
+      if (link) {
+        return { videoId, link };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Record a link (replaces an earlier record of the same path)
+   * @param {string} videoId - YouTube video ID
+   * @param {string|null} lang - Language code or null for provider default
+   * @param {string} linkPath - Absolute link path
+   * @param {Object} [details={}] - Link details
+   * @param {string} [details.mode='symlink'] - Link mode
+   * @param {string|null} [details.checksum=null] - Transcript SHA-256 (hard links and copies)
+   * @param {string} [details.projectDir] - Project directory (default: parent of the link's
+   *   directory, as for ./transcripts)
+   * @returns {Promise<void>}
+   */
+  async add(videoId, lang, linkPath, { mode = 'symlink', checksum = null, projectDir } = {}) {
+    const record = {
+      path: linkPath,
+      project_dir: projectDir || path.dirname(path.dirname(linkPath)),
+      lang: lang || null,
+      mode,
+      ...(checksum ? { checksum } : {}),
+      linked_at: new Date().toISOString(),
+    };
+
+    await this._update((videos) => {
+      const links = (videos[videoId] || []).filter((link) => link.path !== linkPath);
+      videos[videoId] = [...links, record];
+      return true;
+    });
+  }
+
+  /**
+   * Forget links of a video
+   * @param {string} videoId - YouTube video ID
+   * @param {string[]} [linkPaths] - Paths to forget (all of the video's links if omitted)
+   * @returns {Promise<void>}
+   */
+  async remove(videoId, linkPaths) {
+    await this._update((videos) => {
+      if (!Object.hasOwn(videos, videoId)) {
+        return false;
+      }
+
+      const kept = linkPaths
+        ? videos[videoId].filter((link) => !linkPaths.includes(link.path))
+        : [];
+      if (kept.length === videos[videoId].length) {
+        return false;
+      }
+
+      if (kept.length === 0) {
+        delete videos[videoId];
+      } else {
+        videos[videoId] = kept;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Read the index file
+   * @private
+   * @returns {Promise<Object>} Index (empty if missing)
+   * @throws {Error} If file corrupted
+   */
+  async _read() {
+    const indexPath = this.getIndexPath();
+    if (!(await fs.pathExists(indexPath))) {
+      return { version: LinkIndex.VERSION, videos: {} };
+    }
+
+    const index = await fs.readJson(indexPath);
+    if (
+      !index ||
+      !index.videos ||
+      typeof index.videos !== 'object' ||
+      Array.isArray(index.videos)
+    ) {
+      throw new Error(`${LinkIndex.FILENAME} is corrupted`);
+    }
+
+    return index;
+  }
+
+  /**
+   * Read-modify-write under the index lock
+   * @private
+   * @param {Function} mutator - (videos) => boolean, true if the index changed
+   * @returns {Promise<void>}
+   */
+  async _update(mutator) {
+    const update = this.writeQueue.then(async () => {
+      const index = await this._read();
+      if (!mutator(index.videos)) {
+        return;
+      }
+
+      const indexPath = this.getIndexPath();
+      const tempPath = `${indexPath}.tmp`;
+      await fs.ensureDir(path.dirname(indexPath));
+      await fs.writeJson(tempPath, { ...index, version: LinkIndex.VERSION }, { spaces: 2 });
+      await fs.rename(tempPath, indexPath);
+    });
+
+    this.writeQueue = update.catch(() => {});
+    return update;
+  }
+}
+
+module.exports = LinkIndex;
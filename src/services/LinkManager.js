@@ -1,16 +1,41 @@
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
 const validators = require('../utils/validators');
+const ProjectConfig = require('../utils/ProjectConfig');
+const LinkLayout = require('../utils/LinkLayout');
+const LinkIndex = require('./LinkIndex');
 
 /**
  * Link Manager Service
  *
- * Manages symbolic link operations between central transcript storage
- * and project-local directories. Implements FR-4, TR-9.
+ * Manages link operations between central transcript storage and
+ * project-local directories. Implements FR-4, TR-9.
+ *
+ * A transcript appears in a project as an absolute symlink (default), a
+ * relative symlink, a hard link or a copy, per project (linkMode in
+ * .transcriptor.json) or globally (TRANSCRIPTOR_LINK_MODE). Where it appears
+ * follows the project's layout (see LinkLayout).
+ *
+ * Every link created is recorded in the link index (~/.transcriptor/projects.json)
+ * so it can be found again when its transcript is deleted.
  *
  * @class LinkManager
  */
 class LinkManager {
+  // Linked transcript filenames: tr_{id}[.{lang}]_{title}.md, legacy transcript_{id}.md, {id}.md
+  static LINKED_FILE_PATTERN =
+    /^(?:tr_|transcript_)?([A-Za-z0-9_-]{11})(?:\.([a-z]{2,3}(?:-[A-Za-z0-9]{2,8})?))?(?:_.*)?\.md$/;
+
+  static LINK_MODES = {
+    SYMLINK: 'symlink', // Absolute symlink into ~/.transcriptor
+    RELATIVE: 'relative', // Relative symlink, survives moving home and project together
+    HARDLINK: 'hardlink', // Same file as the central transcript (same file system only)
+    COPY: 'copy', // Independent file, refreshed by maintenance when the transcript changes
+  };
+
+  static LINK_MODE_ENV = 'TRANSCRIPTOR_LINK_MODE';
+
   /**
    * @param {StorageService} storageService - Storage layer dependency
    * @param {Object} pathResolver - Path resolution utility
@@ -26,19 +51,97 @@ class LinkManager {
 
     this.storage = storageService;
     this.paths = pathResolver;
+    this.index = new LinkIndex(pathResolver);
+  }
+
+  /**
+   * List transcripts linked in a project
+   * Recorded links that still exist, plus links in the project's links directory
+   * made before links were tracked (identified by filename)
+   *
+   * @param {string} projectDir - Absolute path to project directory
+   * @returns {Promise<Array<{videoId: string, lang: string|null, file: string}>>}
+   *   Linked transcripts, file relative to the links directory, in file order
+   */
+  async listLinked(projectDir) {
+    const absoluteProjectDir = path.resolve(projectDir);
+    const { dir } = await LinkLayout.load(absoluteProjectDir);
+    const linked = new Map();
+
+    for (const [videoId, links] of Object.entries(await this.index.listAll())) {
+      for (const link of links) {
+        const exists = await fs
+          .lstat(link.path)
+          .then(() => true)
+          .catch(() => false);
+        if (link.project_dir === absoluteProjectDir && exists) {
+          linked.set(link.path, { videoId, lang: link.lang, file: path.relative(dir, link.path) });
+        }
+      }
+    }
+
+    for (const file of await fs.readdir(dir).catch(() => [])) {
+      const match = LinkManager.LINKED_FILE_PATTERN.exec(file);
+      const filePath = path.join(dir, file);
+      if (match && !linked.has(filePath)) {
+        linked.set(filePath, { videoId: match[1], lang: match[2] || null, file });
+      }
+    }
+
+    return [...linked.values()].sort((a, b) => a.file.localeCompare(b.file));
+  }
+
+  /**
+   * Link mode of a project
+   * linkMode in the project's .transcriptor.json wins over TRANSCRIPTOR_LINK_MODE
+   *
+   * @param {string} projectDir - Project directory
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {Promise<string>} One of LINK_MODES (absolute symlink when not configured)
+   * @throws {Error} If the configured mode is unknown or .transcriptor.json is invalid
+   */
+  static async getLinkMode(projectDir, env = process.env) {
+    const config = await ProjectConfig.load(projectDir);
+    const [setting, configured] =
+      config.linkMode !== undefined
+        ? [`linkMode in ${ProjectConfig.getConfigPath(projectDir)}`, config.linkMode]
+        : [LinkManager.LINK_MODE_ENV, (env[LinkManager.LINK_MODE_ENV] || '').trim()];
+
+    if (configured === '') {
+      return LinkManager.LINK_MODES.SYMLINK;
+    }
+
+    const modes = Object.values(LinkManager.LINK_MODES);
+    if (!modes.includes(configured)) {
+      throw new Error(`Invalid ${setting}: ${configured} (expected ${modes.join(', ')})`);
+    }
+    return configured;
+  }
+
+  /**
+   * SHA-256 of a file's content
+   * @param {string} filePath - File path
+   * @returns {Promise<string>} Hex digest
+   */
+  static async checksum(filePath) {
+    return crypto
+      .createHash('sha256')
+      .update(await fs.readFile(filePath))
+      .digest('hex');
   }
 
   /**
-   * Create symbolic link for transcript in project directory
+   * Link transcript into project directory, in the project's link mode
    * Implements FR-4.1, TR-9 with cross-platform support
    * Supports metadata-based filenames
    *
    * @param {string} videoId - YouTube video identifier (11 chars)
    * @param {string} projectDir - Absolute path to project directory
+   * @param {string|null} [lang=null] - Language variant to link, null for default track
    * @returns {Promise<Object>} Result with success, path, replaced flags
    * @throws {Error} If validation fails or link creation fails
    */
-  async createLink(videoId, projectDir = process.cwd()) {
+  async createLink(videoId, projectDir = process.cwd(), lang = null) {
     // Security: Validate videoId format first
     if (!validators.isValidVideoId(videoId)) {
       throw new Error(`Invalid video ID format: ${videoId}`);
@@ -51,21 +154,20 @@ class LinkManager {
     }
 
     // Find existing transcript file (handles both old and new filename formats)
-    const sourcePath = await this.storage.getTranscriptPath(videoId);
+    const sourcePath = await this.storage.getTranscriptPath(videoId, lang);
     if (!sourcePath) {
       throw new Error(`Source transcript not found: ${videoId}`);
     }
 
-    // Use same filename for target as source
-    const sourceFilename = path.basename(sourcePath);
-    const targetDir = path.join(absoluteProjectDir, 'transcripts');
-    const targetPath = path.join(targetDir, sourceFilename);
-
     // Validate source exists
     if (!(await fs.pathExists(sourcePath))) {
       throw new Error(`Source transcript not found: ${videoId} at ${sourcePath}`);
     }
 
+    // Project layout decides the target (central filename by default)
+    const targetPath = await this.targetPathFor(videoId, absoluteProjectDir, lang, sourcePath);
+    const targetDir = path.dirname(targetPath);
+
     // Ensure target directory with race condition handling
     try {
       await fs.ensureDir(targetDir);
@@ -76,25 +178,30 @@ class LinkManager {
       }
     }
 
+    const mode = await LinkManager.getLinkMode(absoluteProjectDir);
+
     // Check target status
-    const validation = await this.validateTarget(targetPath);
+    const validation = await this.validateTarget(targetPath, sourcePath);
 
     if (!validation.canProceed) {
-      throw new Error(`Cannot create symlink: ${validation.message}\nPath: ${targetPath}`);
+      throw new Error(`Cannot create link: ${validation.message}\nPath: ${targetPath}`);
     }
 
-    // Log if overwriting existing symlink
-    if (validation.status === 'symlink' || validation.status === 'broken_symlink') {
+    // Log if overwriting an existing link (or unmodified copy)
+    if (validation.status !== 'none') {
       console.log(`[Link] Replacing existing link: ${targetPath}`);
     }
 
     try {
-      // fs-extra ensureSymlink handles platform differences and overwrites
-      // 'file' type ensures cross-platform compatibility per TR-9
-      await fs.ensureSymlink(sourcePath, targetPath, 'file');
+      const checksum = await this._writeLink(mode, sourcePath, targetPath);
 
-      // Track in registry AFTER successful link creation
-      await this._trackLink(videoId, targetPath);
+      // Track in the link index AFTER successful link creation
+      await this._trackLink(videoId, lang, targetPath, {
+        mode,
+        checksum,
+        projectDir: absoluteProjectDir,
+      });
+      await this._retireOldLinks(videoId, lang, absoluteProjectDir, targetPath);
 
       return {
         success: true,
@@ -103,7 +210,9 @@ class LinkManager {
       };
     } catch (error) {
       // Windows-specific guidance per TR-9 requirements
-      if (error.code === 'EPERM' && process.platform === 'win32') {
+      const isSymlink =
+        mode === LinkManager.LINK_MODES.SYMLINK || mode === LinkManager.LINK_MODES.RELATIVE;
+      if (error.code === 'EPERM' && process.platform === 'win32' && isSymlink) {
         throw new Error(
           'Symbolic link creation requires elevated privileges on Windows.\n' +
             'Solutions:\n' +
@@ -113,9 +222,16 @@ class LinkManager {
         );
       }
 
+      if (error.code === 'EXDEV') {
+        throw new Error(
+          `Hard link not possible for ${videoId}: ~/.transcriptor and the project are on ` +
+            'different file systems. Use linkMode "copy" or "relative" instead.'
+        );
+      }
+
       if (error.code === 'EINVAL') {
         throw new Error(
-          `Invalid path for symlink creation (${videoId}).\n` +
+          `Invalid path for link creation (${videoId}).\n` +
             `Source: ${sourcePath}\n` +
             `Target: ${targetPath}\n` +
             'Path may contain unsupported characters, null bytes, or create circular reference.'
@@ -123,31 +239,270 @@ class LinkManager {
       }
 
       // Platform-agnostic error
-      throw new Error(`Symlink creation failed for ${videoId}: ${error.message}`);
+      throw new Error(`Link creation failed for ${videoId} (${mode}): ${error.message}`);
     }
   }
 
+  /**
+   * Where a transcript is linked in a project
+   * Follows the project's layout; if the path is taken by another video's link,
+   * the video ID is appended to the filename
+   *
+   * @param {string} videoId - YouTube video identifier
+   * @param {string} projectDir - Absolute project directory
+   * @param {string|null} lang - Language variant
+   * @param {string} sourcePath - Central transcript
+   * @returns {Promise<string>} Absolute link path
+   * @throws {Error} If the project layout is invalid
+   */
+  async targetPathFor(videoId, projectDir, lang, sourcePath) {
+    const layout = await LinkLayout.load(projectDir);
+
+    let relativePath = path.basename(sourcePath);
+    if (layout.template) {
+      const registry = await this.storage.loadRegistry();
+      const entry = Object.hasOwn(registry, videoId) ? registry[videoId] : null;
+      relativePath = LinkLayout.expand(layout.template, LinkLayout.values(videoId, lang, entry));
+    }
+
+    // Security: Placeholder values are sanitized, this guards against anything missed
+    const targetPath = path.join(layout.dir, relativePath);
+    if (!LinkLayout.isInside(layout.dir, targetPath)) {
+      throw new Error(`Link path escapes ${layout.dir}: ${relativePath}`);
+    }
+
+    const owner = await this._linkOwner(targetPath);
+    if (!owner || (owner.videoId === videoId && owner.lang === lang)) {
+      return targetPath;
+    }
+
+    const idPart = lang ? `${videoId}.${lang}` : videoId;
+    return targetPath.replace(/\.md$/, `_${idPart}.md`);
+  }
+
+  /**
+   * Video linked at a path, from the link index or a symlink's central target
+   * @private
+   * @param {string} linkPath - Absolute link path
+   * @returns {Promise<{videoId: string, lang: string|null}|null>} Owner, or null if none known
+   */
+  async _linkOwner(linkPath) {
+    const recorded = await this.index.find(linkPath);
+    if (recorded) {
+      return { videoId: recorded.videoId, lang: recorded.link.lang };
+    }
+
+    const target = await this.resolveCentralTarget(linkPath).catch(() => null);
+    const match = target && LinkManager.LINKED_FILE_PATTERN.exec(path.basename(target));
+    return match ? { videoId: match[1], lang: match[2] || null } : null;
+  }
+
+  /**
+   * Remove links of a video left at an earlier path in the same project
+   * (layout changed), then empty directories they leave behind. Copies edited
+   * in the project are left in place and no longer tracked.
+   * @private
+   * @param {string} videoId - YouTube video identifier
+   * @param {string|null} lang - Language variant
+   * @param {string} projectDir - Absolute project directory
+   * @param {string} currentPath - Path just linked
+   * @returns {Promise<void>}
+   */
+  async _retireOldLinks(videoId, lang, projectDir, currentPath) {
+    try {
+      const old = (await this.index.list(videoId)).filter(
+        (link) => link.project_dir === projectDir && link.lang === lang && link.path !== currentPath
+      );
+      if (old.length === 0) {
+        return;
+      }
+
+      for (const link of old) {
+        const { state } = await this.linkState(videoId, link);
+        if (state === 'modified') {
+          console.warn(`[Link] Edited copy left in place, no longer tracked: ${link.path}`);
+        } else if (state !== 'missing' && state !== 'replaced') {
+          await this.removeLink(link.path, link.checksum || null);
+          await this._removeEmptyDirs(path.dirname(link.path), projectDir);
+          console.log(
+            `[Link] Moved ${path.relative(projectDir, link.path)} -> ${path.relative(projectDir, currentPath)}`
+          );
+        }
+      }
+
+      await this.index.remove(
+        videoId,
+        old.map((link) => link.path)
+      );
+    } catch (error) {
+      console.warn(`[Link] Could not remove earlier link of ${videoId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove empty directories from dir up to (not including) stopDir
+   * @private
+   * @param {string} dir - Innermost directory
+   * @param {string} stopDir - Directory never removed
+   * @returns {Promise<void>}
+   */
+  async _removeEmptyDirs(dir, stopDir) {
+    let current = dir;
+    while (LinkLayout.isInside(stopDir, current)) {
+      const entries = await fs.readdir(current).catch(() => null);
+      if (!entries || entries.length > 0) {
+        return;
+      }
+      await fs.rmdir(current);
+      current = path.dirname(current);
+    }
+  }
+
+  /**
+   * Remove directories a template created (e.g. {channel}/) once a removed
+   * link leaves them empty; the links directory itself is kept
+   * @private
+   * @param {Object} link - Link index record of the removed link
+   * @returns {Promise<void>}
+   */
+  async _pruneLinkDirs(link) {
+    const layout = await LinkLayout.load(link.project_dir).catch(() => null);
+    if (layout) {
+      await this._removeEmptyDirs(path.dirname(link.path), layout.dir);
+    }
+  }
+
+  /**
+   * Move a project's links to its current layout (after transcriptsDir or
+   * filenameTemplate changed)
+   *
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<{migrated: number, errors: Array<{path: string, error: string}>}>}
+   * @throws {Error} If the project layout is invalid
+   */
+  async migrateLayout(projectDir) {
+    const absoluteProjectDir = path.resolve(projectDir);
+    const results = { migrated: 0, errors: [] };
+    await LinkLayout.load(absoluteProjectDir);
+
+    for (const [videoId, links] of Object.entries(await this.index.listAll())) {
+      for (const link of links.filter((l) => l.project_dir === absoluteProjectDir)) {
+        try {
+          // Links of deleted transcripts are left to reconcileLinks
+          const sourcePath = await this.storage.getTranscriptPath(videoId, link.lang);
+          if (!sourcePath) {
+            continue;
+          }
+
+          const expected = await this.targetPathFor(
+            videoId,
+            absoluteProjectDir,
+            link.lang,
+            sourcePath
+          );
+          if (expected !== link.path) {
+            await this.createLink(videoId, absoluteProjectDir, link.lang);
+            results.migrated++;
+          }
+        } catch (error) {
+          results.errors.push({ path: link.path, error: error.message });
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Write a link in the given mode, atomically replacing whatever is at the
+   * (already validated) target path
+   * @private
+   * @param {string} mode - One of LINK_MODES
+   * @param {string} sourcePath - Central transcript
+   * @param {string} targetPath - Absolute link path
+   * @returns {Promise<string|null>} Transcript SHA-256 for hard links and copies, else null
+   */
+  async _writeLink(mode, sourcePath, targetPath) {
+    // Dot-prefixed, so never mistaken for a linked transcript
+    const tempPath = path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.tmp`);
+    await fs.remove(tempPath);
+
+    // Already a hard link to the transcript: renaming a second name of the same
+    // inode over it would do nothing and leave the temp file behind
+    if (
+      mode === LinkManager.LINK_MODES.HARDLINK &&
+      (await LinkManager._isSameFile(targetPath, sourcePath))
+    ) {
+      return LinkManager.checksum(targetPath);
+    }
+
+    let checksum = null;
+    try {
+      switch (mode) {
+        case LinkManager.LINK_MODES.RELATIVE:
+          await fs.symlink(path.relative(path.dirname(targetPath), sourcePath), tempPath, 'file');
+          break;
+        case LinkManager.LINK_MODES.HARDLINK:
+          await fs.link(sourcePath, tempPath);
+          checksum = await LinkManager.checksum(tempPath);
+          break;
+        case LinkManager.LINK_MODES.COPY:
+          await fs.copyFile(sourcePath, tempPath);
+          checksum = await LinkManager.checksum(tempPath);
+          break;
+        default:
+          // 'file' type ensures cross-platform compatibility per TR-9
+          await fs.symlink(sourcePath, tempPath, 'file');
+      }
+
+      await fs.rename(tempPath, targetPath);
+      // rename() is a no-op when both names already point to the same inode
+      await fs.remove(tempPath);
+    } catch (error) {
+      await fs.remove(tempPath).catch(() => {});
+      throw error;
+    }
+
+    return checksum;
+  }
+
+  /**
+   * Check whether a path is a hard link to a file (symlinks excluded)
+   * @private
+   * @param {string} filePath - Path to check (may be missing)
+   * @param {string} sourcePath - Existing file
+   * @returns {Promise<boolean>} True if both names share device and inode
+   */
+  static async _isSameFile(filePath, sourcePath) {
+    const stats = await fs.lstat(filePath).catch(() => null);
+    if (!stats || stats.isSymbolicLink()) {
+      return false;
+    }
+
+    const source = await fs.stat(sourcePath);
+    return stats.dev === source.dev && stats.ino === source.ino;
+  }
+
   /**
    * Validate target path before link creation
-   * Detects conflicts and broken links
+   * Detects conflicts and broken links. Symlinks, hard links to the transcript
+   * and unmodified copies made by createLink may be replaced; other files may not.
    *
    * @param {string} targetPath - Absolute path to target location
-   * @returns {Promise<Object>} Validation result with status and canProceed flag
+   * @param {string|null} [sourcePath=null] - Central transcript about to be linked
+   * @returns {Promise<Object>} Validation result with status and canProceed flag; existing
+   *   links also report their mode and whether they already serve sourcePath (linked)
    * @private
    */
-  async validateTarget(targetPath) {
+  async validateTarget(targetPath, sourcePath = null) {
     // Security: Validate path is absolute
     if (!path.isAbsolute(targetPath)) {
       throw new Error(`Target path must be absolute: ${targetPath}`);
     }
 
     try {
-      const exists = await fs.pathExists(targetPath);
-      if (!exists) {
-        return { status: 'none', canProceed: true };
-      }
-
-      const stats = await fs.lstat(targetPath); // lstat doesn't follow symlinks
+      // lstat doesn't follow symlinks, so broken ones are found too (ENOENT: nothing there)
+      const stats = await fs.lstat(targetPath);
 
       if (stats.isSymbolicLink()) {
         try {
@@ -156,12 +511,18 @@ class LinkManager {
           // Check if symlink is broken by trying to access the target
           const targetExists = await fs.pathExists(targetPath); // This follows symlink
 
+          const mode = path.isAbsolute(linkTarget)
+            ? LinkManager.LINK_MODES.SYMLINK
+            : LinkManager.LINK_MODES.RELATIVE;
+
           if (!targetExists) {
             return {
               status: 'broken_symlink',
               canProceed: true,
               message: 'Broken symlink will be replaced',
               existing: linkTarget,
+              mode,
+              linked: false,
             };
           }
 
@@ -170,6 +531,8 @@ class LinkManager {
             canProceed: true,
             existing: linkTarget,
             message: 'Valid symlink will be replaced if different source',
+            mode,
+            linked: path.resolve(path.dirname(targetPath), linkTarget) === sourcePath,
           };
         } catch (readlinkError) {
           // Symlink exists but readlink failed (permission issue)
@@ -180,11 +543,7 @@ class LinkManager {
           };
         }
       } else if (stats.isFile()) {
-        return {
-          status: 'file',
-          canProceed: false,
-          message: 'Regular file exists at target path - manual intervention required',
-        };
+        return await this._inspectFile(targetPath, stats, sourcePath);
       } else if (stats.isDirectory()) {
         return {
           status: 'directory',
@@ -226,32 +585,80 @@ class LinkManager {
   }
 
   /**
-   * Track link in registry after successful creation (DEPRECATED in Task 11.4)
-   * UPDATED Task 11.4: Links are no longer tracked in registry - links array removed from schema
-   * Symbolic links are still created in ./transcripts but not tracked in data.json
+   * Classify a regular file at a link path
+   * Hard links to the transcript and copies whose content still matches the
+   * checksum recorded when they were linked are ours to replace
+   * @private
+   * @param {string} targetPath - Absolute link path
+   * @param {fs.Stats} stats - lstat of targetPath
+   * @param {string|null} sourcePath - Central transcript about to be linked
+   * @returns {Promise<Object>} Validation result (see validateTarget)
+   */
+  async _inspectFile(targetPath, stats, sourcePath) {
+    const source = sourcePath ? await fs.stat(sourcePath).catch(() => null) : null;
+    if (source && source.dev === stats.dev && source.ino === stats.ino) {
+      return {
+        status: 'hardlink',
+        canProceed: true,
+        message: 'Hard link will be replaced',
+        mode: LinkManager.LINK_MODES.HARDLINK,
+        linked: true,
+      };
+    }
+
+    const recorded = await this.index.find(targetPath);
+    const checksum = recorded && recorded.link.checksum;
+    if (checksum && (await LinkManager.checksum(targetPath)) === checksum) {
+      const isCopy = recorded.link.mode === LinkManager.LINK_MODES.COPY;
+      return {
+        status: 'copy',
+        canProceed: true,
+        message: 'Unmodified copy will be replaced',
+        mode: recorded.link.mode,
+        linked: isCopy && source !== null && (await LinkManager.checksum(sourcePath)) === checksum,
+      };
+    }
+
+    return {
+      status: 'file',
+      canProceed: false,
+      message: recorded
+        ? 'Linked copy was edited in the project - manual intervention required'
+        : 'Regular file exists at target path - manual intervention required',
+    };
+  }
+
+  /**
+   * Record a created link in the link index
+   * The link itself exists at this point: an index write failure is reported,
+   * not thrown, and the link is picked up by the next maintenance run in its project
    *
    * @param {string} videoId - YouTube video identifier
+   * @param {string|null} lang - Language variant linked
    * @param {string} linkPath - Path to created link
+   * @param {Object} details - {mode, checksum, projectDir} (see LinkIndex.add)
    * @returns {Promise<void>}
    * @private
    */
-  async _trackLink(videoId, linkPath) {
-    // UPDATED Task 11.4: Links no longer tracked in registry
-    // Symbolic links are still created in ./transcripts but not tracked in data.json
-    // This method is now a no-op
-    const absolutePath = path.resolve(linkPath);
-    console.log(`[Link] Created (not tracked in registry): ${absolutePath}`);
+  async _trackLink(videoId, lang, linkPath, details) {
+    try {
+      await this.index.add(videoId, lang, path.resolve(linkPath), details);
+    } catch (error) {
+      console.warn(`[Link] Created but not tracked in ${LinkIndex.FILENAME}: ${error.message}`);
+    }
   }
 
   /**
    * Remove single symbolic link
-   * Idempotent - succeeds if link already deleted
+   * Idempotent - succeeds if link already deleted. A regular file (hard link
+   * or copy) is only removed when its content matches the given checksum.
    *
    * @param {string} linkPath - Absolute path to link
+   * @param {string|null} [checksum=null] - Checksum recorded when the file was linked
    * @returns {Promise<Object>} Result with success, path, skipped flags
-   * @throws {Error} If not a symlink or permission denied
+   * @throws {Error} If not a symlink (or unmodified linked file) or permission denied
    */
-  async removeLink(linkPath) {
+  async removeLink(linkPath, checksum = null) {
     // Security: Validate path is absolute
     if (!path.isAbsolute(linkPath)) {
       throw new Error(`Link path must be absolute: ${linkPath}`);
@@ -261,7 +668,10 @@ class LinkManager {
       // Verify it's actually a symlink before deletion (safety check)
       const stats = await fs.lstat(linkPath);
 
-      if (!stats.isSymbolicLink()) {
+      const isLinkedFile =
+        checksum !== null && stats.isFile() && (await LinkManager.checksum(linkPath)) === checksum;
+
+      if (!stats.isSymbolicLink() && !isLinkedFile) {
         throw new Error(`Path is not a symbolic link: ${linkPath}`);
       }
 
@@ -289,8 +699,34 @@ class LinkManager {
   }
 
   /**
-   * Remove all tracked links for a video ID
-   * Updates registry to remove successfully deleted links
+   * Remove a project symlink into central storage, forget its record and
+   * remove template directories it leaves empty. Regular files (hard links,
+   * copies) are never removed here.
+   *
+   * @param {string} videoId - YouTube video identifier the link serves
+   * @param {string} linkPath - Absolute link path
+   * @param {string} projectDir - Absolute project directory
+   * @returns {Promise<Object>} Result with success, path, skipped flags (see removeLink)
+   * @throws {Error} If the path is not a symlink into ~/.transcriptor or removal fails
+   */
+  async unlink(videoId, linkPath, projectDir) {
+    const stats = await fs.lstat(linkPath).catch(() => null);
+    if (stats && !(await this.resolveCentralTarget(linkPath))) {
+      throw new Error(`Not a link into ${this.paths.getTranscriptsPath()}: ${linkPath}`);
+    }
+
+    const result = await this.removeLink(linkPath);
+    await this.index.remove(videoId, [linkPath]);
+    await this._pruneLinkDirs({ path: linkPath, project_dir: projectDir });
+    return result;
+  }
+
+  /**
+   * Remove all tracked links for a video ID (every language)
+   * Only links still pointing into central storage (or unmodified hard links
+   * and copies) are deleted; links already gone or replaced by something else
+   * are skipped, copies edited in the project are reported as errors. The
+   * index keeps only links that failed to delete.
    *
    * @param {string} videoId - YouTube video identifier
    * @returns {Promise<Object>} Results with removed, skipped, errors counts
@@ -301,15 +737,10 @@ class LinkManager {
       throw new Error(`Invalid video ID format: ${videoId}`);
     }
 
-    const registry = await this.storage.loadRegistry();
-    const entry = registry[videoId];
+    const links = await this.index.list(videoId);
 
-    // Guard: Handle missing or empty entries
-    if (!entry) {
-      return { removed: 0, skipped: 0, errors: [], message: 'No registry entry found' };
-    }
-
-    if (!Array.isArray(entry.links) || entry.links.length === 0) {
+    // Guard: Handle videos never linked
+    if (links.length === 0) {
       return { removed: 0, skipped: 0, errors: [], message: 'No links to remove' };
     }
 
@@ -320,13 +751,24 @@ class LinkManager {
     };
 
     // Process all links (fail-safe: continue on errors)
-    for (const linkPath of entry.links) {
+    for (const link of links) {
+      const linkPath = link.path;
       try {
-        const result = await this.removeLink(linkPath);
+        const { state } = await this.linkState(videoId, link);
+        if (state === 'missing' || state === 'replaced') {
+          results.skipped++;
+          continue;
+        }
+        if (state === 'modified') {
+          throw new Error('Edited in the project since it was linked, left in place');
+        }
+
+        const result = await this.removeLink(linkPath, link.checksum || null);
         if (result.skipped) {
           results.skipped++;
         } else {
           results.removed++;
+          await this._pruneLinkDirs(link);
         }
       } catch (error) {
         results.errors.push({
@@ -337,25 +779,307 @@ class LinkManager {
       }
     }
 
-    // Update registry: Keep only links that failed to delete
+    // Update index: Keep only links that failed to delete
     const failedPaths = results.errors.map((e) => e.path);
-    entry.links = entry.links.filter((link) => failedPaths.includes(link));
+    const handled = links.map((link) => link.path).filter((p) => !failedPaths.includes(p));
 
-    // Save registry if any changes occurred
-    if (results.removed > 0 || results.skipped > 0) {
-      try {
-        await this.storage.saveRegistry(registry);
-      } catch (saveError) {
-        // Critical: Links removed but registry update failed
-        console.error(
-          `[Link] Links removed but registry update failed for ${videoId}: ${saveError.message}`
-        );
-        results.registryUpdateFailed = true;
+    try {
+      await this.index.remove(videoId, handled);
+    } catch (indexError) {
+      // Links removed but index update failed; the next maintenance run prunes them
+      console.error(
+        `[Link] Links removed but ${LinkIndex.FILENAME} update failed for ${videoId}: ${indexError.message}`
+      );
+      results.indexUpdateFailed = true;
+    }
+
+    return results;
+  }
+
+  /**
+   * Resolve where a project link points, if it points into central storage
+   *
+   * @param {string} linkPath - Absolute link path
+   * @returns {Promise<string|null>} Absolute target path (which may no longer exist), or
+   *   null if the path is missing, not a symlink or points elsewhere
+   */
+  async resolveCentralTarget(linkPath) {
+    let target;
+    try {
+      if (!(await fs.lstat(linkPath)).isSymbolicLink()) {
+        return null;
+      }
+      target = path.resolve(path.dirname(linkPath), await fs.readlink(linkPath));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const relative = path.relative(this.paths.getTranscriptsPath(), target);
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? target : null;
+  }
+
+  /**
+   * Current state of a recorded link
+   * - ok: serves the current central transcript
+   * - missing: nothing at the link path any more
+   * - replaced: something other than the link is there now
+   * - dangling: the central transcript is gone
+   * - outdated: hard link or copy of an earlier version of the transcript
+   * - modified: hard link or copy edited in the project since it was linked
+   *
+   * @param {string} videoId - YouTube video identifier
+   * @param {Object} link - Link index record
+   * @returns {Promise<{state: string, sourcePath: string|null}>} State and central transcript
+   */
+  async linkState(videoId, link) {
+    let stats;
+    try {
+      stats = await fs.lstat(link.path);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { state: 'missing', sourcePath: null };
+      }
+      throw error;
+    }
+
+    if (stats.isSymbolicLink()) {
+      const target = await this.resolveCentralTarget(link.path);
+      if (!target) {
+        return { state: 'replaced', sourcePath: null };
+      }
+      return { state: (await fs.pathExists(target)) ? 'ok' : 'dangling', sourcePath: target };
+    }
+
+    // A regular file is ours only if it was linked as one (records carry a checksum)
+    if (!stats.isFile() || !link.checksum) {
+      return { state: 'replaced', sourcePath: null };
+    }
+
+    const sourcePath = await this.storage.getTranscriptPath(videoId, link.lang);
+    const source = sourcePath ? await fs.stat(sourcePath) : null;
+    if (source && source.dev === stats.dev && source.ino === stats.ino) {
+      return { state: 'ok', sourcePath };
+    }
+
+    if ((await LinkManager.checksum(link.path)) !== link.checksum) {
+      return { state: 'modified', sourcePath };
+    }
+    if (!source) {
+      return { state: 'dangling', sourcePath: null };
+    }
+
+    // Transcripts are rewritten by rename, which leaves hard links on the old version
+    const isCurrentCopy =
+      link.mode === LinkManager.LINK_MODES.COPY &&
+      (await LinkManager.checksum(sourcePath)) === link.checksum;
+    return { state: isCurrentCopy ? 'ok' : 'outdated', sourcePath };
+  }
+
+  /**
+   * Bring the link index in line with the file system
+   * - Links into central storage found in projectDirs but missing from the index
+   *   (created before links were tracked) are recorded
+   * - Dangling links (central transcript gone) are relinked when the video's
+   *   transcript is still in central storage under another name (e.g. legacy
+   *   transcript_ links after the tr_ rename); the others are left in place and
+   *   reported, unless removeDangling is set (`transcriptor clean`)
+   * - Index records of links that were removed or replaced are dropped
+   * - Outdated hard links and copies are refreshed; edited ones are only reported
+   *
+   * @param {string[]} [projectDirs=[]] - Project directories to scan besides indexed ones
+   * @param {Object} [options={}] - Reconcile options
+   * @param {boolean} [options.removeDangling=false] - Delete dangling links that cannot be
+   *   relinked
+   * @returns {Promise<Object>} {adopted, relinked, dangling (left in place), removed (dangling
+   *   links deleted), stale, refreshed, modified, errors: [{path, error}]}
+   */
+  async reconcileLinks(projectDirs = [], options = {}) {
+    const { removeDangling = false } = options;
+    const results = {
+      adopted: 0,
+      relinked: 0,
+      dangling: 0,
+      removed: 0,
+      stale: 0,
+      refreshed: 0,
+      modified: 0,
+      errors: [],
+    };
+    const indexed = await this.index.listAll();
+
+    const tracked = new Set();
+    const dirs = new Set(projectDirs.map((dir) => path.resolve(dir)));
+    for (const links of Object.values(indexed)) {
+      for (const link of links) {
+        tracked.add(link.path);
+        dirs.add(link.project_dir);
+      }
+    }
+
+    // 1. Scan project links directories (and ./transcripts, where older links live)
+    const deleted = new Set();
+    const relinked = new Set();
+    const handling = { tracked, deleted, relinked, removeDangling };
+    for (const dir of dirs) {
+      const layout = await LinkLayout.load(dir).catch(() => null);
+      const scanned = new Set([path.join(dir, LinkLayout.DEFAULT_DIR)]);
+      if (layout) {
+        scanned.add(layout.dir);
+      }
+
+      for (const transcriptsDir of scanned) {
+        for (const file of await fs.readdir(transcriptsDir).catch(() => [])) {
+          await this._reconcileFile(path.join(transcriptsDir, file), dir, handling, results);
+        }
+      }
+    }
+
+    // 2. Check recorded links (hard links and copies are only found this way)
+    for (const [videoId, links] of Object.entries(indexed)) {
+      const gone = [];
+      for (const link of links) {
+        if (relinked.has(link.path)) {
+          continue; // Records already updated by the relink
+        }
+        if (deleted.has(link.path)) {
+          gone.push(link.path);
+          continue;
+        }
+        try {
+          const { state, sourcePath } = await this.linkState(videoId, link);
+          if (state === 'missing' || state === 'replaced') {
+            gone.push(link.path);
+            results.stale++;
+          } else if (state === 'dangling') {
+            if (await this._relinkDangling(videoId, link.lang, link.path, link.project_dir)) {
+              results.relinked++;
+            } else if (removeDangling) {
+              await this.removeLink(link.path, link.checksum || null);
+              await this._pruneLinkDirs(link);
+              gone.push(link.path);
+              results.removed++;
+              console.log(`[Link] Removed dangling link: ${link.path}`);
+            } else {
+              results.dangling++;
+              console.log(`[Link] Dangling link left in place: ${link.path}`);
+            }
+          } else if (state === 'outdated') {
+            const checksum = await this._writeLink(link.mode, sourcePath, link.path);
+            await this.index.add(videoId, link.lang, link.path, {
+              mode: link.mode,
+              checksum,
+              projectDir: link.project_dir,
+            });
+            results.refreshed++;
+            console.log(`[Link] Refreshed outdated ${link.mode}: ${link.path}`);
+          } else if (state === 'modified') {
+            results.modified++;
+            console.log(`[Link] Edited in project, not refreshed: ${link.path}`);
+          }
+        } catch (error) {
+          results.errors.push({ path: link.path, error: error.message });
+        }
+      }
+      if (gone.length > 0) {
+        await this.index.remove(videoId, gone);
       }
     }
 
     return results;
   }
+
+  /**
+   * Relink a dangling symlink whose video is still in central storage
+   * The new link follows the project's layout; the dangling one is removed if
+   * the new link did not take its place
+   * @private
+   * @param {string} videoId - YouTube video identifier
+   * @param {string|null} lang - Language variant
+   * @param {string} linkPath - Absolute path of the dangling link
+   * @param {string} projectDir - Absolute project directory
+   * @returns {Promise<boolean>} True if relinked, false if the transcript is not stored
+   */
+  async _relinkDangling(videoId, lang, linkPath, projectDir) {
+    const sourcePath = await this.storage.getTranscriptPath(videoId, lang);
+    if (!sourcePath || !(await fs.pathExists(sourcePath))) {
+      return false;
+    }
+    if (!(await fs.lstat(linkPath)).isSymbolicLink()) {
+      return false;
+    }
+
+    const result = await this.createLink(videoId, projectDir, lang);
+    if (result.path !== linkPath) {
+      await this.removeLink(linkPath);
+      await this.index.remove(videoId, [linkPath]);
+    }
+    console.log(`[Link] Relinked dangling link: ${linkPath} -> ${result.path}`);
+    return true;
+  }
+
+  /**
+   * Check one file of a project links directory (see reconcileLinks, step 1)
+   * Dangling symlinks into central storage are relinked, or reported (deleted
+   * with removeDangling); untracked working ones are recorded
+   * @private
+   * @param {string} linkPath - Absolute file path
+   * @param {string} projectDir - Absolute project directory
+   * @param {Object} handling - {tracked: recorded link paths, deleted and relinked: collect
+   *   handled paths, removeDangling}
+   * @param {Object} results - reconcileLinks results, updated in place
+   * @returns {Promise<void>}
+   */
+  async _reconcileFile(linkPath, projectDir, handling, results) {
+    const { tracked, deleted, relinked, removeDangling } = handling;
+    try {
+      const target = await this.resolveCentralTarget(linkPath);
+      if (!target) {
+        return;
+      }
+
+      if (!(await fs.pathExists(target))) {
+        if (relinked.has(linkPath) || deleted.has(linkPath)) {
+          return;
+        }
+
+        // The target's name is the most reliable source of the video ID
+        const video =
+          LinkManager.LINKED_FILE_PATTERN.exec(path.basename(target)) ||
+          LinkManager.LINKED_FILE_PATTERN.exec(path.basename(linkPath));
+        if (
+          video &&
+          (await this._relinkDangling(video[1], video[2] || null, linkPath, projectDir))
+        ) {
+          relinked.add(linkPath);
+          results.relinked++;
+        } else if (removeDangling) {
+          await this.removeLink(linkPath);
+          deleted.add(linkPath);
+          results.removed++;
+          console.log(`[Link] Removed dangling link: ${linkPath}`);
+        } else if (!tracked.has(linkPath)) {
+          // Tracked ones are reported by step 2
+          results.dangling++;
+          console.log(`[Link] Dangling link left in place: ${linkPath}`);
+        }
+        return;
+      }
+
+      const match = LinkManager.LINKED_FILE_PATTERN.exec(path.basename(linkPath));
+      if (!tracked.has(linkPath) && match) {
+        const mode = path.isAbsolute(await fs.readlink(linkPath))
+          ? LinkManager.LINK_MODES.SYMLINK
+          : LinkManager.LINK_MODES.RELATIVE;
+        await this.index.add(match[1], match[2] || null, linkPath, { mode, projectDir });
+        results.adopted++;
+      }
+    } catch (error) {
+      results.errors.push({ path: linkPath, error: error.message });
+    }
+  }
 }
 
 module.exports = LinkManager;
@@ -1,3 +1,5 @@
+const UnavailableCache = require('../utils/UnavailableCache');
+
 /**
  * Maintenance Service
  *
@@ -33,6 +35,12 @@ class MaintenanceService {
     if (typeof linkManager.removeAllLinks !== 'function') {
       throw new Error('LinkManager missing required removeAllLinks method');
     }
+    if (typeof linkManager.reconcileLinks !== 'function') {
+      throw new Error('LinkManager missing required reconcileLinks method');
+    }
+    if (typeof linkManager.migrateLayout !== 'function') {
+      throw new Error('LinkManager missing required migrateLayout method');
+    }
 
     this.storage = storageService;
     this.linkManager = linkManager;
@@ -41,20 +49,82 @@ class MaintenanceService {
   /**
    * Validate registry integrity (implements FR-7.1, TR-14)
    * Checks all registry entries have corresponding transcript files
-   * Removes orphaned entries and their links
+   * Removes orphaned entries and their links, then reconciles the link index
+   * (see LinkManager.reconcileLinks)
    *
    * SECURITY: Fail-safe operation - errors on individual entries don't stop validation
    * PERFORMANCE: Single registry save after all changes (atomic batch update)
    *
+   * @param {Object} [options={}] - Validation options
+   * @param {string[]} [options.projectDirs=[]] - Projects scanned for untracked links
    * @returns {Promise<Object>} Validation results with counts
    *   - checked: number of entries validated
    *   - orphaned: number of entries removed
    *   - linksRemoved: total symbolic links deleted
    *   - linksFailed: total link deletion failures
+   *   - linksAdopted: untracked links added to the link index
+   *   - linksRelinked: dangling links pointed at their transcript's current file
+   *   - linksDangling: dangling links left in place (transcript not stored; see
+   *     `transcriptor doctor`)
+   *   - linksStale: index records dropped (link removed or replaced by hand)
+   *   - linksRefreshed: outdated hard links and copies rewritten
+   *   - linksModified: hard links and copies edited in their project (left alone)
+   *   - linksMigrated: links of projectDirs moved to the project's current layout
    *   - errors: array of error details [{videoId, error}]
    *   - message: optional status message for special cases
    */
-  async validateIntegrity() {
+  async validateIntegrity(options = {}) {
+    const stats = await this._validateRegistry();
+    stats.linksAdopted = 0;
+    stats.linksRelinked = 0;
+    stats.linksDangling = 0;
+    stats.linksStale = 0;
+    stats.linksRefreshed = 0;
+    stats.linksModified = 0;
+    stats.linksMigrated = 0;
+
+    try {
+      const links = await this.linkManager.reconcileLinks(options.projectDirs || []);
+      stats.linksAdopted = links.adopted;
+      stats.linksRelinked = links.relinked;
+      stats.linksDangling = links.dangling;
+      stats.linksStale = links.stale;
+      stats.linksRefreshed = links.refreshed;
+      stats.linksModified = links.modified;
+      stats.linksFailed += links.errors.length;
+      links.errors.forEach((err) => {
+        console.warn(`[Maintenance] Link check failed for ${err.path}: ${err.error}`);
+      });
+    } catch (error) {
+      // FAIL-SAFE: An unreadable link index must not block processing
+      stats.errors.push({ videoId: null, error: `Link index: ${error.message}` });
+      console.warn(`[Maintenance] Link reconciliation failed: ${error.message}`);
+    }
+
+    // Layout changes (transcriptsDir, filenameTemplate) move existing links
+    for (const projectDir of options.projectDirs || []) {
+      try {
+        const migration = await this.linkManager.migrateLayout(projectDir);
+        stats.linksMigrated += migration.migrated;
+        stats.linksFailed += migration.errors.length;
+        migration.errors.forEach((err) => {
+          console.warn(`[Maintenance] Link move failed for ${err.path}: ${err.error}`);
+        });
+      } catch (error) {
+        stats.errors.push({ videoId: null, error: `${projectDir}: ${error.message}` });
+        console.warn(`[Maintenance] Link layout check failed: ${error.message}`);
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Remove registry entries whose transcript files are gone, with their links
+   * @private
+   * @returns {Promise<Object>} Validation results (see validateIntegrity)
+   */
+  async _validateRegistry() {
     // SECURITY: Initialize statistics with Object.create(null) to prevent prototype pollution
     const stats = Object.create(null);
     stats.checked = 0;
@@ -91,8 +161,16 @@ class MaintenanceService {
         continue;
       }
 
+      // Negative-cache-only entries have no file; they are dropped once every record expired
+      if (!UnavailableCache.holdsTranscripts(entry)) {
+        if (UnavailableCache.activeRecords(entry).length === 0) {
+          orphans.push({ videoId, entry });
+        }
+        continue;
+      }
+
       try {
-        const exists = await this.storage.transcriptExists(videoId);
+        const exists = await this._anyLanguageExists(videoId, entry);
 
         if (!exists) {
           orphans.push({ videoId, entry });
@@ -152,6 +230,30 @@ class MaintenanceService {
     return stats;
   }
 
+  /**
+   * Check whether at least one stored language of an entry still has its file
+   * An entry is only orphaned when every listed language is gone
+   *
+   * @param {string} videoId - Video ID
+   * @param {Object} entry - Registry entry (languages optional for legacy entries)
+   * @returns {Promise<boolean>} True if any language file exists
+   * @private
+   */
+  async _anyLanguageExists(videoId, entry) {
+    const StorageService = require('./StorageService');
+    const languages = Array.isArray(entry.languages)
+      ? entry.languages
+      : [StorageService.DEFAULT_LANGUAGE];
+
+    for (const key of languages) {
+      if (await this.storage.transcriptExists(videoId, StorageService.languageFromKey(key))) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
   /**
    * Remove orphaned registry entry and all its links
    *
@@ -19,6 +19,17 @@ class MetadataService {
       },
     });
 
+    this.client.interceptors.response.use(
+      async (response) => {
+        await this._recordUsage(response.config, response.status);
+        return response;
+      },
+      async (error) => {
+        await this._recordUsage(error.config, error.response?.status || error.code || 'ERROR');
+        throw error;
+      }
+    );
+
     this.OEMBED_ENDPOINT = 'https://www.youtube.com/oembed';
     this.FALLBACK_CHANNEL = 'Unknown Channel';
     this.FALLBACK_TITLE = 'Unknown Title';
@@ -26,6 +37,17 @@ class MetadataService {
     this.RETRY_DELAY_MS = 1000; // Exponential backoff base
     this.UNKNOWN_TITLE_RETRY_DELAY_MS = 3000; // 3 seconds for unknown_title retries (FR-2.6)
     this.MAX_UNKNOWN_TITLE_RETRIES = 3; // Maximum retry attempts for unknown_title (FR-2.6)
+    this.usageLedger = null;
+  }
+
+  /**
+   * Record oEmbed requests in the usage ledger
+   * Set by ProviderFactory; metadata requests are not billed and never count against the budget
+   *
+   * @param {UsageLedger|null} usageLedger - Ledger shared with the API client
+   */
+  setUsageLedger(usageLedger) {
+    this.usageLedger = usageLedger;
   }
 
   /**
@@ -48,7 +70,7 @@ class MetadataService {
 
     // Outer retry loop for unknown_title cases (FR-2.6, TR-34)
     for (let unknownTitleAttempt = 0; unknownTitleAttempt <= this.MAX_UNKNOWN_TITLE_RETRIES; unknownTitleAttempt++) {
-      const metadata = await this._fetchMetadataWithRetry(videoId);
+      const metadata = await this._fetchMetadataWithRetry(videoId, unknownTitleAttempt > 0);
 
       // Check if we got unknown_title after formatting
       if (metadata.title === 'unknown_title') {
@@ -84,15 +106,16 @@ class MetadataService {
    * Separated from outer unknown_title retry loop
    *
    * @param {string} videoId - YouTube video ID (11 chars)
+   * @param {boolean} [isRetry=false] - Repeated lookup after unknown_title (usage ledger)
    * @returns {Promise<{channel: string, title: string}>}
    * @private
    */
-  async _fetchMetadataWithRetry(videoId) {
+  async _fetchMetadataWithRetry(videoId, isRetry = false) {
     // Retry loop for 503 errors
     for (let attempt = 0; attempt < this.MAX_RETRIES; attempt++) {
       try {
         const oembedUrl = `${this.OEMBED_ENDPOINT}?url=https://youtu.be/${videoId}&format=json`;
-        const response = await this.client.get(oembedUrl);
+        const response = await this.client.get(oembedUrl, { isRetry: isRetry || attempt > 0 });
 
         // CRITICAL: Validate response structure
         if (!response.data || typeof response.data !== 'object') {
@@ -103,14 +126,7 @@ class MetadataService {
         const channel = response.data.author_name?.trim() || this.FALLBACK_CHANNEL;
         const title = response.data.title?.trim() || this.FALLBACK_TITLE;
 
-        // CRITICAL: Validate no path separators or control characters
-        const validatedMetadata = this.validateMetadata({ channel, title });
-
-        // CRITICAL: Format BOTH channel and title before returning (Task 11.2)
-        return {
-          channel: this.formatChannel(validatedMetadata.channel),
-          title: this.formatTitle(validatedMetadata.title),
-        };
+        return this.normalizeMetadata({ channel, title });
       } catch (error) {
         // Handle retries for 503 only
         if (error.response?.status === 503 && attempt < this.MAX_RETRIES - 1) {
@@ -138,6 +154,45 @@ class MetadataService {
     };
   }
 
+  /**
+   * Validate and format raw metadata for registry and filename use
+   * Shared by oEmbed responses and metadata already known from channel listings
+   *
+   * @param {Object} metadata - Raw {channel, title}
+   * @returns {{channel: string, title: string}} Formatted metadata
+   */
+  normalizeMetadata(metadata) {
+    // CRITICAL: Validate no path separators or control characters
+    const validatedMetadata = this.validateMetadata(metadata);
+
+    // CRITICAL: Format BOTH channel and title before returning (Task 11.2)
+    return {
+      channel: this.formatChannel(validatedMetadata.channel),
+      title: this.formatTitle(validatedMetadata.title),
+    };
+  }
+
+  /**
+   * Append a finished oEmbed request to the usage ledger
+   *
+   * @param {Object|undefined} config - Axios request config (isRetry set by the caller)
+   * @param {number|string} status - HTTP status or error code
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordUsage(config, status) {
+    if (!this.usageLedger || !config) {
+      return;
+    }
+
+    await this.usageLedger.record({
+      service: 'oembed',
+      endpoint: 'metadata',
+      status,
+      retry: config.isRetry,
+    });
+  }
+
   /**
    * Sleep utility for retry delays
    * Implements TR-34 retry delay mechanism
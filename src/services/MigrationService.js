@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const dateUtils = require('../utils/dateUtils');
+const UnavailableCache = require('../utils/UnavailableCache');
 
 /**
  * Migration Service
@@ -13,6 +14,8 @@ const dateUtils = require('../utils/dateUtils');
  * - Registry structure: Remove links field
  * - Filenames: {videoId}*.md -> transcript_{videoId}*.md -> tr_{videoId}*.md
  * - Metadata: Add fallback channel/title if missing
+ * - Transcript format: Flag entries cached before segments were kept as text-only
+ * - Languages: Entries cached before language selection hold the default track only
  *
  * @class MigrationService
  */
@@ -39,6 +42,15 @@ class MigrationService {
       if (entry.links !== undefined) {
         return true;
       }
+      // Check for missing transcript_format (cached before segments were kept)
+      // Entries holding only negative cache records have no transcript, hence no format
+      if (entry.transcript_format === undefined && UnavailableCache.holdsTranscripts(entry)) {
+        return true;
+      }
+      // Check for missing languages list (cached before language selection)
+      if (entry.languages === undefined) {
+        return true;
+      }
     }
     return false;
   }
@@ -60,6 +72,8 @@ class MigrationService {
       total: Object.keys(registry).length,
       datesConverted: 0,
       linksRemoved: 0,
+      formatsFlagged: 0,
+      languagesAdded: 0,
       filesRenamed: 0,
       errors: [],
     };
@@ -85,6 +99,8 @@ class MigrationService {
     console.log(`Total entries: ${stats.total}`);
     console.log(`Dates converted: ${stats.datesConverted}`);
     console.log(`Links fields removed: ${stats.linksRemoved}`);
+    console.log(`Flagged text-only: ${stats.formatsFlagged}`);
+    console.log(`Languages listed: ${stats.languagesAdded}`);
     console.log(`Files renamed: ${stats.filesRenamed}`);
     console.log(`Errors: ${stats.errors.length}`);
 
@@ -102,7 +118,7 @@ class MigrationService {
 
   /**
    * Migrate single registry entry
-   * Converts date format, removes links, ensures metadata fields
+   * Converts date format, removes links, ensures metadata fields, flags transcript format
    *
    * @param {string} videoId - Video ID
    * @param {Object} entry - Original entry
@@ -136,6 +152,19 @@ class MigrationService {
       console.warn(`  ${videoId}: Added fallback title`);
     }
 
+    // Entries cached before segments were kept only have transcript_only_text
+    if (migrated.transcript_format === undefined && UnavailableCache.holdsTranscripts(migrated)) {
+      migrated.transcript_format = 'text-only';
+      stats.formatsFlagged++;
+      console.log(`  ${videoId}: Flagged as text-only (no segments)`);
+    }
+
+    // Entries cached before language selection hold the provider's default track
+    if (migrated.languages === undefined) {
+      migrated.languages = ['default'];
+      stats.languagesAdded++;
+    }
+
     return migrated;
   }
 
@@ -326,8 +355,32 @@ class MigrationService {
         errors.push(`${videoId}: Links field still present after migration`);
       }
 
+      // Validate transcript format flag (negative-cache-only entries hold no transcript)
+      if (
+        UnavailableCache.holdsTranscripts(entry) &&
+        !['segments', 'text-only'].includes(entry.transcript_format)
+      ) {
+        errors.push(`${videoId}: Invalid transcript_format - ${entry.transcript_format}`);
+      }
+
+      // Validate languages list
+      if (
+        !Array.isArray(entry.languages) ||
+        (entry.languages.length === 0 && entry.unavailable === undefined)
+      ) {
+        errors.push(`${videoId}: Missing or empty languages list`);
+      }
+
       // Validate no unexpected fields
-      const allowedKeys = ['date_added', 'channel', 'title'];
+      const allowedKeys = [
+        'date_added',
+        'channel',
+        'title',
+        'transcript_format',
+        'languages',
+        'unavailable',
+        'note',
+      ];
       const entryKeys = Object.keys(entry);
       const unexpectedKeys = entryKeys.filter((key) => !allowedKeys.includes(key));
       if (unexpectedKeys.length > 0) {
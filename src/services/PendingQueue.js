@@ -0,0 +1,154 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Pending Queue
+ *
+ * Lines an --offline run could not serve from the central cache, kept in
+ * ~/.transcriptor/pending.json until the next online run processes them
+ * into the project directory they were requested for.
+ *
+ * Queue format (array, in the order lines were queued):
+ * [{ "url", "lang", "project_dir", "queued_at": ISO timestamp }]
+ *
+ * url is a video URL, or a playlist/channel line that could not be expanded
+ * offline. The same url/lang is queued once per project directory. Writes
+ * are serialised and atomic (temp file + rename) because workers finish
+ * concurrently.
+ *
+ * @class PendingQueue
+ */
+class PendingQueue {
+  static FILENAME = 'pending.json';
+
+  /**
+   * @param {Object} pathResolver - Path resolution utility
+   */
+  constructor(pathResolver) {
+    this.paths = pathResolver;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * @returns {string} Absolute path to ~/.transcriptor/pending.json
+   */
+  getQueuePath() {
+    return path.join(this.paths.getStoragePath(), PendingQueue.FILENAME);
+  }
+
+  /**
+   * Load queued lines
+   * @returns {Promise<Object[]>} Entries in queue order
+   */
+  async list() {
+    return this._read();
+  }
+
+  /**
+   * Queue a line for the next online run (no-op if already queued for the project)
+   * @param {string} url - Video URL or playlist/channel line
+   * @param {string|null} lang - Language code or null for provider default
+   * @param {string} projectDir - Absolute project directory
+   * @returns {Promise<boolean>} True if added, false if already queued
+   */
+  async add(url, lang, projectDir) {
+    let added = false;
+
+    await this._update((entries) => {
+      const exists = entries.some(
+        (entry) =>
+          entry.url === url && entry.lang === (lang || null) && entry.project_dir === projectDir
+      );
+      if (exists) {
+        return false;
+      }
+
+      entries.push({
+        url,
+        lang: lang || null,
+        project_dir: projectDir,
+        queued_at: new Date().toISOString(),
+      });
+      added = true;
+      return true;
+    });
+
+    return added;
+  }
+
+  /**
+   * Remove handled lines
+   * Called once the lines are covered by a batch's job journal (or finished, or
+   * dropped), so a crash or failed expansion before that point keeps them queued
+   * @param {Object[]} handled - Entries from list()
+   * @returns {Promise<void>}
+   */
+  async remove(handled) {
+    if (handled.length === 0) {
+      return;
+    }
+
+    const isHandled = (entry) =>
+      handled.some(
+        (item) =>
+          item.url === entry.url &&
+          item.lang === entry.lang &&
+          item.project_dir === entry.project_dir
+      );
+
+    await this._update((entries) => {
+      const kept = entries.filter((entry) => !isHandled(entry));
+      if (kept.length === entries.length) {
+        return false;
+      }
+      entries.splice(0, entries.length, ...kept);
+      return true;
+    });
+  }
+
+  /**
+   * Read the queue file
+   * @private
+   * @returns {Promise<Object[]>} Entries (empty if missing)
+   * @throws {Error} If file corrupted
+   */
+  async _read() {
+    const queuePath = this.getQueuePath();
+    if (!(await fs.pathExists(queuePath))) {
+      return [];
+    }
+
+    const entries = await fs.readJson(queuePath);
+    if (!Array.isArray(entries)) {
+      throw new Error(`${PendingQueue.FILENAME} is corrupted`);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Read-modify-write under the queue lock
+   * @private
+   * @param {Function} mutator - (entries) => boolean, true if the queue changed
+   * @returns {Promise<void>}
+   */
+  async _update(mutator) {
+    const update = this.writeQueue.then(async () => {
+      const entries = await this._read();
+      if (!mutator(entries)) {
+        return;
+      }
+
+      const queuePath = this.getQueuePath();
+      const tempPath = `${queuePath}.tmp`;
+      await fs.ensureDir(path.dirname(queuePath));
+      await fs.writeJson(tempPath, entries, { spaces: 2 });
+      await fs.rename(tempPath, queuePath);
+    });
+
+    this.writeQueue = update.catch(() => {});
+    return update;
+  }
+}
+
+module.exports = PendingQueue;
@@ -0,0 +1,278 @@
+const fs = require('fs-extra');
+const path = require('path');
+const LinkManager = require('./LinkManager');
+const LinkLayout = require('../utils/LinkLayout');
+
+/**
+ * Project Doctor
+ *
+ * Checks the transcript links of a project (`transcriptor doctor`) and relinks
+ * the broken ones. Scans ./transcripts, where older links live, and the
+ * project's transcriptsDir. Problems found:
+ *
+ * - broken: symlink whose target no longer exists
+ * - legacy: transcript_<id>_<title>.md name from before the tr_ rename
+ *   (see MigrationService.renameTranscriptFiles)
+ * - outside: symlink pointing somewhere else than ~/.transcriptor/transcripts
+ *   (e.g. another machine's home)
+ * - shadow: regular file with a transcript link name that is not a hard link or
+ *   copy made by transcriptor
+ *
+ * A file is recognised as a transcript link by its link index record, its name
+ * (tr_ or transcript_ prefix, or {id}.md) or its symlink target. Relinking
+ * uses the video ID (and language) parsed from the name and needs the
+ * transcript in central storage. Regular files are only replaced when their
+ * content is identical to the central transcript.
+ *
+ * @class ProjectDoctor
+ */
+class ProjectDoctor {
+  static LEGACY_PREFIX = 'transcript_';
+
+  // Names that identify a transcript link on their own: prefixed, or exactly {id}[.{lang}].md
+  static LINK_NAME_PATTERN = /^(?:tr_|transcript_|[A-Za-z0-9_-]{11}(?:\.[A-Za-z-]+)?\.md$)/;
+
+  /**
+   * @param {StorageService} storageService - Storage layer (may be read-only for examine)
+   * @param {Object} pathResolver - Path resolution utility
+   */
+  constructor(storageService, pathResolver) {
+    if (!storageService || !pathResolver) {
+      throw new Error('ProjectDoctor requires StorageService and PathResolver dependencies');
+    }
+
+    this.storage = storageService;
+    this.linkManager = new LinkManager(storageService, pathResolver);
+  }
+
+  /**
+   * Check a project's links without changing anything
+   *
+   * @param {string} projectDir - Absolute project directory
+   * @returns {Promise<Object>} Report
+   *   - checked: number of transcript links examined
+   *   - findings: [{path, videoId, lang, problems: string[], target, fixable, reason}] where
+   *     target is the symlink target (null for regular files) and reason explains why a
+   *     finding cannot be fixed
+   * @throws {Error} If the project's .transcriptor.json is invalid
+   */
+  async examine(projectDir) {
+    const absoluteProjectDir = path.resolve(projectDir);
+    const layout = await LinkLayout.load(absoluteProjectDir);
+    const report = { checked: 0, findings: [] };
+
+    // transcriptsDir may lie inside ./transcripts, so files are collected once
+    const files = new Set();
+    for (const dir of [path.join(absoluteProjectDir, LinkLayout.DEFAULT_DIR), layout.dir]) {
+      (await ProjectDoctor._listFiles(dir)).forEach((filePath) => files.add(filePath));
+    }
+
+    for (const filePath of [...files].sort()) {
+      const finding = await this._examineFile(filePath, layout);
+      if (!finding) {
+        continue;
+      }
+
+      report.checked++;
+      if (finding.problems.length > 0) {
+        report.findings.push(finding);
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Relink fixable findings
+   * The new link follows the project's layout and link mode; the old file is
+   * removed once the new link exists (unless the new link took its place).
+   *
+   * @param {Object[]} findings - Findings from examine()
+   * @param {string} projectDir - Absolute project directory
+   * @returns {Promise<Object>} {fixed: [{path, newPath}], errors: [{path, error}]}
+   */
+  async fix(findings, projectDir) {
+    const absoluteProjectDir = path.resolve(projectDir);
+    const results = { fixed: [], errors: [] };
+
+    for (const finding of findings.filter((item) => item.fixable)) {
+      try {
+        const newPath = await this._relink(finding, absoluteProjectDir);
+        results.fixed.push({ path: finding.path, newPath });
+      } catch (error) {
+        results.errors.push({ path: finding.path, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Examine one file
+   * @private
+   * @param {string} filePath - Absolute file path
+   * @param {Object} layout - Project layout (see LinkLayout.load)
+   * @returns {Promise<Object|null>} Finding (problems may be empty), or null if the file is
+   *   not a transcript link
+   */
+  async _examineFile(filePath, layout) {
+    const stats = await fs.lstat(filePath);
+    const name = path.basename(filePath);
+    const isSymlink = stats.isSymbolicLink();
+    const target = isSymlink
+      ? path.resolve(path.dirname(filePath), await fs.readlink(filePath))
+      : null;
+
+    const video = await this._identify(filePath, target);
+    if (!video) {
+      return null;
+    }
+
+    const finding = {
+      path: filePath,
+      ...video,
+      problems: [],
+      target,
+      fixable: false,
+      reason: null,
+    };
+    const sourcePath = await this.storage.getTranscriptPath(video.videoId, video.lang);
+    const cached = sourcePath !== null && (await fs.pathExists(sourcePath));
+
+    if (isSymlink) {
+      if (!(await fs.pathExists(filePath))) {
+        finding.problems.push('broken');
+      }
+      if (!(await this.linkManager.resolveCentralTarget(filePath))) {
+        finding.problems.push('outside');
+      }
+      if (name.startsWith(ProjectDoctor.LEGACY_PREFIX) && !layout.template) {
+        finding.problems.push('legacy');
+      }
+    } else if (stats.isFile() && !(await this._isLinkedFile(filePath, video.videoId))) {
+      finding.problems.push('shadow');
+      if (
+        cached &&
+        (await LinkManager.checksum(filePath)) !== (await LinkManager.checksum(sourcePath))
+      ) {
+        finding.reason =
+          'content differs from the central transcript, move the file away to relink';
+        return finding;
+      }
+    }
+
+    if (finding.problems.length > 0) {
+      finding.fixable = cached;
+      if (!cached) {
+        finding.reason =
+          `transcript not in ~/.transcriptor: fetch it with transcriptor add ${video.videoId}` +
+          `${video.lang ? ` --lang ${video.lang}` : ''}, then run transcriptor doctor --fix`;
+      }
+    }
+
+    return finding;
+  }
+
+  /**
+   * Work out which video a file serves: its link index record, its name, or
+   * the name of its symlink target
+   * @private
+   * @param {string} filePath - Absolute file path
+   * @param {string|null} target - Absolute symlink target, null for regular files
+   * @returns {Promise<{videoId: string, lang: string|null}|null>} Video, or null if unknown
+   */
+  async _identify(filePath, target) {
+    const recorded = await this.linkManager.index.find(filePath);
+    if (recorded) {
+      return { videoId: recorded.videoId, lang: recorded.link.lang };
+    }
+
+    const names = [path.basename(filePath), target && path.basename(target)].filter(Boolean);
+    for (const name of names) {
+      const match = ProjectDoctor.LINK_NAME_PATTERN.test(name)
+        ? LinkManager.LINKED_FILE_PATTERN.exec(name)
+        : null;
+      if (match) {
+        return { videoId: match[1], lang: match[2] || null };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a regular file is a hard link or copy made by transcriptor
+   * (edited copies included: they are reported by `transcriptor links`)
+   * @private
+   * @param {string} filePath - Absolute file path
+   * @param {string} videoId - Video the file serves
+   * @returns {Promise<boolean>} True if the link index records it as a hard link or copy
+   */
+  async _isLinkedFile(filePath, videoId) {
+    const recorded = await this.linkManager.index.find(filePath);
+    return Boolean(recorded && recorded.videoId === videoId && recorded.link.checksum);
+  }
+
+  /**
+   * Replace a finding by a link in the project's layout
+   * @private
+   * @param {Object} finding - Fixable finding
+   * @param {string} projectDir - Absolute project directory
+   * @returns {Promise<string>} Path of the new link
+   */
+  async _relink(finding, projectDir) {
+    const { videoId, lang } = finding;
+
+    if (finding.problems.includes('shadow')) {
+      // Checked again right before deleting: the file may have changed since examine()
+      const sourcePath = await this.storage.getTranscriptPath(videoId, lang);
+      if ((await LinkManager.checksum(finding.path)) !== (await LinkManager.checksum(sourcePath))) {
+        throw new Error('File changed since it was checked, not replaced');
+      }
+      await fs.remove(finding.path);
+    }
+
+    const result = await this.linkManager.createLink(videoId, projectDir, lang);
+    if (result.path !== finding.path && finding.target !== null) {
+      await this.linkManager.removeLink(finding.path);
+      const recorded = await this.linkManager.index.find(finding.path);
+      if (recorded) {
+        await this.linkManager.index.remove(recorded.videoId, [finding.path]);
+      }
+    }
+
+    return result.path;
+  }
+
+  /**
+   * Files below a directory, dot files and symlinked directories excluded
+   * @private
+   * @param {string} dir - Absolute directory (missing reads as empty)
+   * @returns {Promise<string[]>} Absolute file paths
+   */
+  static async _listFiles(dir) {
+    const files = [];
+    const pending = [dir];
+
+    while (pending.length > 0) {
+      const current = pending.pop();
+      const entries = await fs.readdir(current, { withFileTypes: true }).catch(() => []);
+
+      for (const entry of entries) {
+        const entryPath = path.join(current, entry.name);
+        if (entry.name.startsWith('.')) {
+          continue;
+        }
+        if (entry.isDirectory()) {
+          pending.push(entryPath);
+        } else {
+          files.push(entryPath);
+        }
+      }
+    }
+
+    return files;
+  }
+}
+
+module.exports = ProjectDoctor;
@@ -0,0 +1,227 @@
+const fs = require('fs-extra');
+const path = require('path');
+const LinkManager = require('./LinkManager');
+const LinkLayout = require('../utils/LinkLayout');
+const InputParser = require('../utils/InputParser');
+
+/**
+ * Project Sync
+ *
+ * Makes a project's links directory match its youtube.md (`transcriptor sync`):
+ * missing links of cached transcripts are created, broken or outdated ones
+ * repaired, and links of videos no longer listed removed. Nothing is fetched;
+ * listed videos without a cached transcript are reported.
+ *
+ * Only symbolic links into ~/.transcriptor are ever removed. Hard links and
+ * copies of unlisted videos are regular files and are reported instead, like
+ * other files in the links directory.
+ *
+ * @class ProjectSync
+ */
+class ProjectSync {
+  /**
+   * @param {StorageService} storageService - Storage layer (may be read-only for planning)
+   * @param {Object} pathResolver - Path resolution utility
+   */
+  constructor(storageService, pathResolver) {
+    if (!storageService || !pathResolver) {
+      throw new Error('ProjectSync requires StorageService and PathResolver dependencies');
+    }
+
+    this.storage = storageService;
+    this.linkManager = new LinkManager(storageService, pathResolver);
+  }
+
+  /**
+   * Work out what syncing a project would change, without touching the disk
+   *
+   * @param {Object[]} videos - Deduplicated records {videoId, lang} listed in youtube.md
+   * @param {string} projectDir - Absolute project directory
+   * @param {Object} [options={}] - Plan options
+   * @param {boolean} [options.complete=true] - videos is the full list; false when playlist or
+   *   channel lines were not expanded, so unlisted links may still be wanted and are kept
+   * @returns {Promise<Object>} Plan
+   *   - create: [{videoId, lang, targetPath}] cached, not linked yet
+   *   - repair: [{videoId, lang, targetPath, status}] broken, outdated or in another link mode
+   *   - upToDate: [{videoId, lang, targetPath}]
+   *   - remove: [{videoId, lang, linkPath}] symlinks of videos no longer listed (or at an
+   *     earlier path)
+   *   - kept: [{videoId, lang, linkPath, reason}] links that are not removed: unlisted ones
+   *     sync may not remove, and links of listed videos not cached yet
+   *   - conflicts: [{videoId, lang, targetPath, message}] link blocked by another file
+   *   - notFetched: [{videoId, lang}] listed, no cached transcript
+   * @throws {Error} If the project's .transcriptor.json is invalid
+   */
+  async plan(videos, projectDir, options = {}) {
+    const { complete = true } = options;
+    const plan = {
+      create: [],
+      repair: [],
+      upToDate: [],
+      remove: [],
+      kept: [],
+      conflicts: [],
+      notFetched: [],
+    };
+
+    const absoluteProjectDir = path.resolve(projectDir);
+    const linkMode = await LinkManager.getLinkMode(absoluteProjectDir);
+    const current = await this._currentLinks(absoluteProjectDir);
+
+    const listed = new Set();
+    const notFetched = new Set();
+    const expected = new Set();
+    for (const { videoId, lang } of videos) {
+      const key = InputParser.videoKey(videoId, lang);
+      listed.add(key);
+
+      const sourcePath = await this.storage.getTranscriptPath(videoId, lang);
+      if (!sourcePath || !(await fs.pathExists(sourcePath))) {
+        plan.notFetched.push({ videoId, lang });
+        notFetched.add(key);
+        continue;
+      }
+
+      const targetPath = await this.linkManager.targetPathFor(
+        videoId,
+        absoluteProjectDir,
+        lang,
+        sourcePath
+      );
+      expected.add(targetPath);
+
+      const validation = await this.linkManager.validateTarget(targetPath, sourcePath);
+      if (!validation.canProceed) {
+        plan.conflicts.push({ videoId, lang, targetPath, message: validation.message });
+      } else if (validation.linked && validation.mode === linkMode) {
+        plan.upToDate.push({ videoId, lang, targetPath });
+      } else if (validation.status === 'none') {
+        plan.create.push({ videoId, lang, targetPath });
+      } else {
+        plan.repair.push({ videoId, lang, targetPath, status: validation.status });
+      }
+    }
+
+    for (const [linkPath, { videoId, lang }] of current) {
+      if (expected.has(linkPath)) {
+        continue;
+      }
+
+      const item = { videoId, lang, linkPath };
+      const key = InputParser.videoKey(videoId, lang);
+      const isListed = listed.has(key);
+      const stats = await fs.lstat(linkPath);
+
+      if (notFetched.has(key)) {
+        // Still listed: its link works again once the transcript is fetched
+        plan.kept.push({ ...item, reason: 'listed, transcript not fetched yet' });
+      } else if (!isListed && !complete) {
+        plan.kept.push({ ...item, reason: 'may be listed by an unexpanded playlist or channel' });
+      } else if (!stats.isSymbolicLink()) {
+        plan.kept.push({ ...item, reason: 'hard link or copy, remove it by hand' });
+      } else if (!(await this.linkManager.resolveCentralTarget(linkPath))) {
+        plan.kept.push({ ...item, reason: 'symlink pointing outside ~/.transcriptor' });
+      } else {
+        plan.remove.push(item);
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Carry out a plan
+   * Removals run first, so a listed video can take over the path an unlisted
+   * one held. Links are created through LinkManager.createLink, which moves
+   * earlier links of the same video.
+   *
+   * @param {Object} plan - Result of plan()
+   * @param {string} projectDir - Absolute project directory
+   * @returns {Promise<Object>} {created, repaired, removed, errors: [{videoId, lang, path,
+   *   error}]}
+   */
+  async apply(plan, projectDir) {
+    const absoluteProjectDir = path.resolve(projectDir);
+    const results = { created: 0, repaired: 0, removed: 0, errors: [] };
+
+    for (const { videoId, lang, linkPath } of plan.remove) {
+      try {
+        const result = await this.linkManager.unlink(videoId, linkPath, absoluteProjectDir);
+        if (!result.skipped) {
+          results.removed++;
+        }
+      } catch (error) {
+        results.errors.push({ videoId, lang, path: linkPath, error: error.message });
+      }
+    }
+
+    const links = [
+      ...plan.create.map((item) => ({ ...item, counter: 'created' })),
+      ...plan.repair.map((item) => ({ ...item, counter: 'repaired' })),
+    ];
+    for (const { videoId, lang, targetPath, counter } of links) {
+      try {
+        await this.linkManager.createLink(videoId, absoluteProjectDir, lang);
+        results[counter]++;
+      } catch (error) {
+        results.errors.push({ videoId, lang, path: targetPath, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Links of a project: its link index records that still exist, plus
+   * symlinks into central storage anywhere below its links directory
+   * (untracked or made before links were tracked)
+   * @private
+   * @param {string} projectDir - Absolute project directory
+   * @returns {Promise<Map<string, {videoId: string, lang: string|null}>>} Link path -> video
+   */
+  async _currentLinks(projectDir) {
+    const links = new Map();
+
+    for (const [videoId, records] of Object.entries(await this.linkManager.index.listAll())) {
+      for (const link of records) {
+        const exists = await fs
+          .lstat(link.path)
+          .then(() => true)
+          .catch(() => false);
+        if (link.project_dir === projectDir && exists) {
+          links.set(link.path, { videoId, lang: link.lang });
+        }
+      }
+    }
+
+    const { dir } = await LinkLayout.load(projectDir);
+    const pending = [dir];
+    while (pending.length > 0) {
+      const current = pending.pop();
+      const entries = await fs.readdir(current, { withFileTypes: true }).catch(() => []);
+
+      for (const entry of entries) {
+        const entryPath = path.join(current, entry.name);
+        if (entry.name.startsWith('.') || links.has(entryPath)) {
+          continue;
+        }
+        if (entry.isDirectory()) {
+          pending.push(entryPath);
+          continue;
+        }
+
+        const target = entry.isSymbolicLink()
+          ? await this.linkManager.resolveCentralTarget(entryPath)
+          : null;
+        const match = target && LinkManager.LINKED_FILE_PATTERN.exec(path.basename(target));
+        if (match) {
+          links.set(entryPath, { videoId: match[1], lang: match[2] || null });
+        }
+      }
+    }
+
+    return links;
+  }
+}
+
+module.exports = ProjectSync;
@@ -97,8 +97,8 @@ class RegistryCache {
       date: registry[id].date_added,
       channel: registry[id].channel,
       title: registry[id].title,
-      links: registry[id].links,
-      linkCount: registry[id].links.length,
+      languages: registry[id].languages,
+      unavailable: registry[id].unavailable,
     }));
 
     this.dirty = false;
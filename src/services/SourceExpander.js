@@ -0,0 +1,281 @@
+const URLNormalizer = require('../utils/URLNormalizer');
+
+/**
+ * Source Expander
+ *
+ * Expands collection URLs listed in youtube.md (playlists and channels) into
+ * the individual video URLs they contain, so the batch handed to
+ * TranscriptService.processBatch only ever holds single-video URLs.
+ *
+ * Expansion is fail-safe: a collection that cannot be resolved is reported
+ * and skipped, the remaining lines are still processed.
+ *
+ * Listings are kept for the lifetime of the instance, so a collection named in
+ * several youtube.md files (`transcriptor --recursive`) costs one listing.
+ *
+ * @class SourceExpander
+ */
+class SourceExpander {
+  static CHANNEL_URL_PATTERNS = [
+    {
+      type: 'handle',
+      pattern: /^(?:https?:\/\/)?(?:www\.|m\.)?youtube\.com\/@([A-Za-z0-9._-]{3,30})(?:[/?#].*)?$/,
+    },
+    {
+      type: 'channelId',
+      pattern:
+        /^(?:https?:\/\/)?(?:www\.|m\.)?youtube\.com\/channel\/(UC[A-Za-z0-9_-]{22})(?:[/?#].*)?$/,
+    },
+    {
+      type: 'url',
+      pattern:
+        /^(?:https?:\/\/)?(?:www\.|m\.)?youtube\.com\/c\/([A-Za-z0-9._-]{1,100})(?:[/?#].*)?$/,
+    },
+  ];
+
+  /**
+   * @param {TranscriptProvider} provider - Transcript provider (optional listPlaylist, listChannel)
+   * @param {Object} [options={}] - Channel expansion limits
+   * @param {Date|null} [options.since=null] - Only expand channel uploads published on/after this date
+   * @param {number|null} [options.maxVideos=null] - Maximum uploads expanded per channel
+   */
+  constructor(provider, options = {}) {
+    if (!provider || typeof provider !== 'object') {
+      throw new Error('SourceExpander requires a transcript provider');
+    }
+
+    this.provider = provider;
+    this.since = options.since || null;
+    this.maxVideos = options.maxVideos || null;
+    this.listings = new Map();
+  }
+
+  /**
+   * Check if line is a playlist URL
+   * Watch URLs carrying list= point at a single video and are not expanded
+   * @param {string} url - URL to check
+   * @returns {boolean} True if playlist URL
+   */
+  static isPlaylistUrl(url) {
+    return URLNormalizer.isPlaylistOnly(url);
+  }
+
+  /**
+   * Check if line is a channel URL (@handle, /channel/UC..., /c/name)
+   * @param {string} url - URL to check
+   * @returns {boolean} True if channel URL
+   */
+  static isChannelUrl(url) {
+    return SourceExpander.parseChannelRef(url) !== null;
+  }
+
+  /**
+   * Check if line is any expandable collection URL
+   * @param {string} url - URL to check
+   * @returns {boolean} True if playlist or channel URL
+   */
+  static isCollectionUrl(url) {
+    return SourceExpander.isPlaylistUrl(url) || SourceExpander.isChannelUrl(url);
+  }
+
+  /**
+   * Extract playlist ID from playlist URL
+   * @param {string} url - Playlist URL
+   * @returns {string|null} Playlist ID or null if not a playlist URL
+   */
+  static extractPlaylistId(url) {
+    const record = URLNormalizer.normalize(url);
+    return record && !record.videoId ? record.playlistId : null;
+  }
+
+  /**
+   * Parse channel reference from channel URL
+   * Custom /c/ names are not handles, so the full URL is passed to the provider
+   * @param {string} url - Channel URL
+   * @returns {{type: string, value: string, label: string}|null} Channel reference or null
+   */
+  static parseChannelRef(url) {
+    if (typeof url !== 'string') {
+      return null;
+    }
+
+    // Line hints (lang=) are not part of the channel URL
+    const split = URLNormalizer.splitHints(url);
+    if (!split) {
+      return null;
+    }
+
+    const trimmed = split.reference;
+
+    for (const { type, pattern } of SourceExpander.CHANNEL_URL_PATTERNS) {
+      const match = trimmed.match(pattern);
+      if (!match) {
+        continue;
+      }
+
+      if (type === 'handle') {
+        return { type, value: match[1], label: `@${match[1]}` };
+      }
+      if (type === 'channelId') {
+        return { type, value: match[1], label: match[1] };
+      }
+      return { type, value: `https://www.youtube.com/c/${match[1]}`, label: `c/${match[1]}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Expand playlist and channel URLs into member video URLs
+   * Order is preserved: expanded videos take the position of their collection line.
+   * Videos already listed directly (or by an earlier collection) are not added twice.
+   * A lang= hint on a collection line is carried over to every expanded video.
+   *
+   * @param {string[]} urls - Parsed lines from youtube.md (videos, playlists, channels)
+   * @returns {Promise<Object>} Expansion result
+   *   - urls: video URLs in input order
+   *   - origins: Map videoId -> {kind, id, title} for videos added by expansion
+   *   - metadata: Map videoId -> {channel, title} already known from channel listings
+   *   - collections: array of {kind, id, title, added, skipped, error, line} (line: the
+   *     collection line as given)
+   */
+  async expand(urls) {
+    const expandedUrls = [];
+    const origins = new Map();
+    const metadata = new Map();
+    const collections = [];
+
+    // Collect directly listed video IDs first so expanded videos dedupe against every line
+    // Keyed by video ID and language: the same talk may be wanted in two languages
+    const knownIds = new Set();
+    for (const url of urls) {
+      const record = SourceExpander.isCollectionUrl(url) ? null : URLNormalizer.normalize(url);
+      if (record) {
+        knownIds.add(SourceExpander._videoKey(record.videoId, record.lang));
+      }
+    }
+
+    for (const url of urls) {
+      const collection = await this._resolveCollection(url);
+
+      if (!collection) {
+        expandedUrls.push(url);
+        continue;
+      }
+
+      collections.push(collection.summary);
+      const { lang } = URLNormalizer.splitHints(url);
+
+      for (const video of collection.videos) {
+        const key = SourceExpander._videoKey(video.videoId, lang);
+        if (knownIds.has(key)) {
+          collection.summary.skipped++;
+          continue;
+        }
+
+        knownIds.add(key);
+        origins.set(video.videoId, {
+          kind: collection.summary.kind,
+          id: collection.summary.id,
+          title: collection.summary.title,
+        });
+
+        if (collection.channelName && video.title) {
+          metadata.set(video.videoId, { channel: collection.channelName, title: video.title });
+        }
+
+        expandedUrls.push(
+          URLNormalizer.withHints(URLNormalizer.buildVideoUrl(video.videoId), { lang })
+        );
+        collection.summary.added++;
+      }
+
+      if (!collection.summary.error) {
+        console.log(
+          `[Expand] ${collection.summary.kind} ${collection.summary.id}: ` +
+            `${collection.summary.added} video(s) added, ${collection.summary.skipped} already listed`
+        );
+      }
+    }
+
+    return { urls: expandedUrls, origins, metadata, collections };
+  }
+
+  /**
+   * Dedupe key for a video in a given language
+   * @private
+   * @param {string} videoId - YouTube video ID
+   * @param {string|null} lang - Language code or null for default track
+   * @returns {string} Key
+   */
+  static _videoKey(videoId, lang) {
+    return lang ? `${videoId}:${lang}` : videoId;
+  }
+
+  /**
+   * List a collection once per instance
+   * @private
+   * @param {string} key - Collection key (kind and ID)
+   * @param {Function} list - Provider call returning the listing
+   * @returns {Promise<Object>} Listing (a failed listing fails again without a new request)
+   */
+  _list(key, list) {
+    if (!this.listings.has(key)) {
+      this.listings.set(key, list());
+    }
+    return this.listings.get(key);
+  }
+
+  /**
+   * Resolve a single line into its collection videos
+   * @private
+   * @param {string} url - Line from youtube.md
+   * @returns {Promise<Object|null>} {summary, videos, channelName} or null if not a collection
+   */
+  async _resolveCollection(url) {
+    const playlistId = SourceExpander.extractPlaylistId(url);
+    const channelRef = playlistId ? null : SourceExpander.parseChannelRef(url);
+
+    if (!playlistId && !channelRef) {
+      return null;
+    }
+
+    const summary = {
+      kind: playlistId ? 'playlist' : 'channel',
+      id: playlistId || channelRef.label,
+      title: null,
+      added: 0,
+      skipped: 0,
+      error: null,
+      line: url,
+    };
+
+    const method = playlistId ? 'listPlaylist' : 'listChannel';
+
+    try {
+      if (typeof this.provider[method] !== 'function') {
+        throw new Error(`${this.provider.name || 'Current'} provider cannot list ${summary.kind}s`);
+      }
+
+      if (playlistId) {
+        const playlist = await this._list(`playlist:${playlistId}`, () =>
+          this.provider.listPlaylist(playlistId)
+        );
+        summary.title = playlist.title;
+        return { summary, videos: playlist.videos, channelName: null };
+      }
+
+      const channel = await this._list(`channel:${channelRef.label}`, () =>
+        this.provider.listChannel(channelRef, { since: this.since, maxVideos: this.maxVideos })
+      );
+      summary.title = channel.channelName;
+      return { summary, videos: channel.videos, channelName: channel.channelName };
+    } catch (error) {
+      summary.error = error.message;
+      console.error(`[Expand] Failed to expand ${summary.kind} ${summary.id}: ${error.message}`);
+      return { summary, videos: [], channelName: null };
+    }
+  }
+}
+
+module.exports = SourceExpander;
@@ -13,7 +13,18 @@ const RegistryCache = require('./RegistryCache');
  * @class StorageService
  */
 class StorageService {
-  static ALLOWED_ENTRY_KEYS = ['date_added', 'channel', 'title'];
+  static ALLOWED_ENTRY_KEYS = [
+    'date_added',
+    'channel',
+    'title',
+    'transcript_format',
+    'languages',
+    'unavailable',
+    'note',
+  ];
+  static TRANSCRIPT_FORMATS = ['segments', 'text-only'];
+  static SEGMENTS_SUFFIX = '.segments.json';
+  static DEFAULT_LANGUAGE = 'default'; // Registry key for the provider's default track
   static REGISTRY_WRITE_OPTIONS = {
     spaces: 2,
     encoding: 'utf8',
@@ -21,13 +32,36 @@ class StorageService {
   };
   static MAX_TRANSCRIPT_SIZE_BYTES = 10 * 1024 * 1024; // 10MB (TR specs)
 
+  /**
+   * Registry language key for a requested language
+   * @param {string|null} lang - Language code or null for provider default
+   * @returns {string} Language code or 'default'
+   */
+  static languageKey(lang) {
+    return lang || StorageService.DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Requested language for a registry language key (inverse of languageKey)
+   * @param {string} key - Registry language key
+   * @returns {string|null} Language code or null for provider default
+   */
+  static languageFromKey(key) {
+    return key === StorageService.DEFAULT_LANGUAGE ? null : key;
+  }
+
   /**
    * @param {Object} pathResolver - Path resolution utility
+   * @param {Object} [options={}] - Storage options
+   * @param {boolean} [options.readOnly=false] - Never write to disk (e.g. --dry-run): no
+   *   directory creation, no migration, saves and deletes throw
    */
-  constructor(pathResolver) {
+  constructor(pathResolver, options = {}) {
     this.paths = pathResolver;
+    this.readOnly = Boolean(options.readOnly);
     this.initialized = false;
     this.cache = new RegistryCache();
+    this.registryQueue = Promise.resolve();
   }
 
   /**
@@ -43,6 +77,11 @@ class StorageService {
     }
     this.initialized = true;
 
+    // Read-only: missing storage simply reads as empty
+    if (this.readOnly) {
+      return;
+    }
+
     const storagePath = this.paths.getStoragePath();
     const transcriptsPath = this.paths.getTranscriptsPath();
     const registryPath = this.paths.getRegistryPath();
@@ -92,6 +131,12 @@ class StorageService {
     const migrationService = new MigrationService(this, this.paths);
 
     if (migrationService.needsMigration(registryData)) {
+      if (this.readOnly) {
+        throw new Error(
+          'Registry uses an old format and must be migrated (not possible read-only)'
+        );
+      }
+
       console.log('Old registry format detected - migration required');
 
       let backupPath;
@@ -311,9 +356,68 @@ class StorageService {
       }
     }
 
+    // Format optional (entries flagged by migration) but must be a known value if present
+    if (
+      entry.transcript_format !== undefined &&
+      !StorageService.TRANSCRIPT_FORMATS.includes(entry.transcript_format)
+    ) {
+      return false;
+    }
+
+    // Languages optional (entries flagged by migration) but must list valid, unique keys
+    // Empty only for entries holding negative cache records alone (see UnavailableCache)
+    if (
+      entry.languages !== undefined &&
+      !this.areLanguagesValid(entry.languages, entry.unavailable !== undefined)
+    ) {
+      return false;
+    }
+
+    // Negative cache records optional
+    if (entry.unavailable !== undefined && !this.areUnavailableRecordsValid(entry.unavailable)) {
+      return false;
+    }
+
     return true;
   }
 
+  /**
+   * Validate registry languages list
+   * @private
+   */
+  areLanguagesValid(languages, allowEmpty = false) {
+    if (!Array.isArray(languages) || (languages.length === 0 && !allowEmpty)) {
+      return false;
+    }
+    if (new Set(languages).size !== languages.length) {
+      return false;
+    }
+    return languages.every(
+      (key) => key === StorageService.DEFAULT_LANGUAGE || validators.isValidLanguageCode(key)
+    );
+  }
+
+  /**
+   * Validate negative cache records: {languageKey: {reason, message, checked_at}}
+   * @private
+   */
+  areUnavailableRecordsValid(unavailable) {
+    if (!this.isPlainObject(unavailable) || Object.keys(unavailable).length === 0) {
+      return false;
+    }
+
+    return Object.entries(unavailable).every(
+      ([key, record]) =>
+        (key === StorageService.DEFAULT_LANGUAGE || validators.isValidLanguageCode(key)) &&
+        this.isPlainObject(record) &&
+        typeof record.reason === 'string' &&
+        record.reason.trim() !== '' &&
+        typeof record.message === 'string' &&
+        typeof record.checked_at === 'string' &&
+        !isNaN(new Date(record.checked_at).getTime())
+    );
+  }
+
   /**
    * Validate entry has only allowed keys (no extra fields)
    * @private
@@ -335,6 +439,7 @@ class StorageService {
    * @throws {Error} If data invalid or write fails
    */
   async saveRegistry(data) {
+    this._assertWritable('save registry');
     await this.initialize();
 
     // Guard: Validate before attempting write
@@ -356,6 +461,27 @@ class StorageService {
     }
   }
 
+  /**
+   * Serialised read-modify-write of the registry
+   * Concurrent workers queue here so one update never overwrites another's
+   * entry with a stale copy of data.json
+   *
+   * @param {Function} mutator - (registry) => result; mutates registry in place (may be async)
+   * @returns {Promise<*>} Mutator result
+   * @throws {Error} If load, mutator or save fails (the queue keeps running)
+   */
+  async updateRegistry(mutator) {
+    const update = this.registryQueue.then(async () => {
+      const registry = await this.loadRegistry();
+      const result = await mutator(registry);
+      await this.saveRegistry(registry);
+      return result;
+    });
+
+    this.registryQueue = update.catch(() => {});
+    return update;
+  }
+
   /**
    * Atomic write using temporary file pattern (implements TR-8)
    * Writes to .tmp file then renames for crash-safety
@@ -374,6 +500,26 @@ class StorageService {
     }
   }
 
+  /**
+   * Atomic text write using the same temporary file pattern as atomicWriteJson
+   * Used for project files outside the repository (youtube.md with --annotate)
+   * @param {string} targetPath - Absolute file path
+   * @param {string} text - File content
+   * @returns {Promise<void>}
+   */
+  async atomicWriteText(targetPath, text) {
+    const tempPath = `${targetPath}.tmp`;
+
+    try {
+      await fs.writeFile(tempPath, text, 'utf8');
+      await this.verifyTemporaryFile(tempPath);
+      await this.replaceTargetFile(tempPath, targetPath);
+    } catch (error) {
+      await this.cleanupTemporaryFile(tempPath);
+      throw error;
+    }
+  }
+
   /**
    * Write data to temporary file
    * @private
@@ -431,6 +577,18 @@ class StorageService {
     }
   }
 
+  /**
+   * Guard write operations in read-only mode
+   * @private
+   * @param {string} operation - Operation name for error context
+   * @throws {Error} If storage is read-only
+   */
+  _assertWritable(operation) {
+    if (this.readOnly) {
+      throw new Error(`Cannot ${operation}: storage opened read-only`);
+    }
+  }
+
   /**
    * Ensure storage initialized and video ID valid
    * @private
@@ -455,14 +613,18 @@ class StorageService {
    * Build transcript filename from video ID and metadata
    * CRITICAL: Implements FR-2.4, TR-23 metadata-based naming
    * UPDATED: Uses tr_ prefix for filenames
+   * Language-specific transcripts carry the code after the ID: tr_{videoId}.{lang}_{title}.md
    * @param {string} videoId - YouTube video ID
    * @param {Object} metadata - {channel, title} (optional for backward compatibility)
+   * @param {string|null} [lang=null] - Language code or null for provider default
    * @returns {string} Filename: tr_{videoId}_{formattedTitle}.md or tr_{videoId}.md
    */
-  async buildFilename(videoId, metadata) {
+  async buildFilename(videoId, metadata, lang = null) {
+    const idPart = lang ? `${videoId}.${lang}` : videoId;
+
     // Backward compatibility: old format if no metadata (with tr_ prefix)
     if (!metadata || !metadata.title) {
-      return `tr_${videoId}.md`;
+      return `tr_${idPart}.md`;
     }
 
     // Format title for filesystem safety
@@ -471,15 +633,15 @@ class StorageService {
     const formattedTitle = metadataService.formatTitle(metadata.title);
 
     // Construct base filename with tr_ prefix
-    let filename = `tr_${videoId}_${formattedTitle}.md`;
+    let filename = `tr_${idPart}_${formattedTitle}.md`;
 
     // CRITICAL: Validate total length < 255 (filesystem limit)
     // Account for prefix: 3 chars for "tr_"
     if (filename.length > 255) {
       // Truncate formatted title to fit
-      const maxTitleLength = 255 - 3 - videoId.length - 4; // 3 for "tr_", 4 for "_.md"
+      const maxTitleLength = 255 - 3 - idPart.length - 4; // 3 for "tr_", 4 for "_.md"
       const truncatedTitle = formattedTitle.substring(0, maxTitleLength);
-      filename = `tr_${videoId}_${truncatedTitle}.md`;
+      filename = `tr_${idPart}_${truncatedTitle}.md`;
     }
 
     // CRITICAL: Handle filename collisions (different videos, same sanitized title)
@@ -529,12 +691,14 @@ class StorageService {
   /**
    * Build metadata header for transcript file
    * CRITICAL: Implements FR-11, TR-27 metadata header
-   * @param {Object} metadata - {channel, title}
+   * @param {Object} metadata - {channel, title, note}; note (text around the link in
+   *   youtube.md) is added as a header line when set
    * @param {string} videoId - Video ID
+   * @param {string|null} [lang=null] - Language code, added as a header line when set
    * @returns {string} Formatted header
    */
-  buildMetadataHeader(metadata, videoId) {
-    const { channel, title } = metadata;
+  buildMetadataHeader(metadata, videoId, lang = null) {
+    const { channel, title, note = null } = metadata;
 
     // Validate inputs
     if (!channel || !title || !videoId) {
@@ -555,7 +719,9 @@ class StorageService {
       `Channel: ${channel}`,
       `Title: ${title}`,
       `Youtube ID: ${videoId}`,
+      ...(lang ? [`Language: ${lang}`] : []),
       `URL: ${shortUrl}`,
+      ...(note ? [`Note: ${note}`] : []),
       ``,
       `## Content`,
       ``,
@@ -657,10 +823,13 @@ class StorageService {
    * @param {string} videoId - YouTube video ID
    * @param {string} content - Transcript text content
    * @param {Object} metadata - {channel, title} (optional for backward compatibility)
+   * @param {Array|null} [segments=null] - Timestamped segments written to the JSON sidecar
+   * @param {string|null} [lang=null] - Language code or null for provider default
    * @returns {Promise<string>} Absolute path to saved file
    * @throws {Error} If video ID invalid, content invalid, or write fails
    */
-  async saveTranscript(videoId, content, metadata) {
+  async saveTranscript(videoId, content, metadata, segments = null, lang = null) {
+    this._assertWritable('save transcript');
     await this._ensureInitializedWithValidId(videoId, 'save transcript');
 
     // Guard: Validate content type and non-empty
@@ -671,7 +840,7 @@ class StorageService {
     // Build file content with optional metadata header
     let fileContent = content;
     if (metadata && metadata.channel && metadata.title) {
-      const header = this.buildMetadataHeader(metadata, videoId);
+      const header = this.buildMetadataHeader(metadata, videoId, lang);
       fileContent = `${header}\n${content}\n`;
     }
 
@@ -684,7 +853,7 @@ class StorageService {
     }
 
     // Build filename with collision detection
-    const filename = await this.buildFilename(videoId, metadata);
+    const filename = await this.buildFilename(videoId, metadata, lang);
     const transcriptPath = path.join(this.paths.getTranscriptsPath(), filename);
 
     // Ensure directory exists with explicit race handling
@@ -709,24 +878,80 @@ class StorageService {
       throw new Error(`Failed to write transcript ${videoId}: ${error.message}`);
     }
 
+    await this._writeSegments(transcriptPath, videoId, segments);
+
     // CRITICAL: Invalidate registry cache after file write
     this.cache.invalidate();
 
     return transcriptPath;
   }
 
+  /**
+   * Set the note line in a cached transcript's header
+   * Added after the URL line, replacing an existing note; files without the
+   * metadata header (legacy) are left unchanged
+   *
+   * @param {string} videoId - YouTube video ID
+   * @param {string} note - Note text (single line)
+   * @param {string|null} [lang=null] - Language code or null for provider default
+   * @returns {Promise<boolean>} True if the file was rewritten
+   * @throws {Error} If the transcript is missing or the write fails
+   */
+  async setTranscriptNote(videoId, note, lang = null) {
+    this._assertWritable('update transcript note');
+
+    const transcriptPath = await this.getTranscriptPath(videoId, lang);
+    if (!transcriptPath) {
+      throw new Error(`Transcript not found: ${videoId}`);
+    }
+
+    const lines = (await fs.readFile(transcriptPath, 'utf8')).split('\n');
+    const contentIndex = lines.indexOf('## Content');
+    const urlIndex = lines.findIndex(
+      (line, index) => index < contentIndex && line.startsWith('URL: ')
+    );
+    if (contentIndex === -1 || urlIndex === -1) {
+      return false;
+    }
+
+    const header = lines.slice(0, contentIndex).filter((line) => !line.startsWith('Note: '));
+    header.splice(header.indexOf(lines[urlIndex]) + 1, 0, `Note: ${note}`);
+
+    const tempPath = `${transcriptPath}.tmp`;
+    try {
+      await fs.writeFile(tempPath, [...header, ...lines.slice(contentIndex)].join('\n'), 'utf8');
+      await fs.rename(tempPath, transcriptPath);
+    } catch (error) {
+      await fs.remove(tempPath).catch(() => {});
+      throw new Error(`Failed to write transcript ${videoId}: ${error.message}`);
+    }
+
+    return true;
+  }
+
   /**
    * Get transcript file path (searches for metadata-based filenames)
    * UPDATED Task 11.3: Searches NEW pattern first, falls back to OLD
+   * Language-specific transcripts only exist with the tr_ prefix
    * @param {string} videoId - YouTube video ID
+   * @param {string|null} [lang=null] - Language code or null for provider default
    * @returns {Promise<string|null>} File path or null if not found
    */
-  async getTranscriptPath(videoId) {
+  async getTranscriptPath(videoId, lang = null) {
     const transcriptsPath = this.paths.getTranscriptsPath();
 
     try {
       const files = await fs.readdir(transcriptsPath);
 
+      if (lang) {
+        const langMatch = files.find(
+          (file) =>
+            (file.startsWith(`tr_${videoId}.${lang}_`) && file.endsWith('.md')) ||
+            file === `tr_${videoId}.${lang}.md`
+        );
+        return langMatch ? path.join(transcriptsPath, langMatch) : null;
+      }
+
       // PRIORITY 1: Search for NEW pattern first (tr_ prefix)
       let match = files.find(
         (file) =>
@@ -764,13 +989,14 @@ class StorageService {
    * Supports both old and new filename formats
    *
    * @param {string} videoId - YouTube video ID
+   * @param {string|null} [lang=null] - Language code or null for provider default
    * @returns {Promise<string>} Transcript content
    * @throws {Error} If video ID invalid, file not found, or read fails
    */
-  async readTranscript(videoId) {
+  async readTranscript(videoId, lang = null) {
     await this._ensureInitializedWithValidId(videoId, 'read transcript');
 
-    const transcriptPath = await this.getTranscriptPath(videoId);
+    const transcriptPath = await this.getTranscriptPath(videoId, lang);
 
     if (!transcriptPath) {
       throw new Error(`Transcript not found: ${videoId}`);
@@ -790,19 +1016,97 @@ class StorageService {
     }
   }
 
+  /**
+   * Build segments sidecar path for a transcript file
+   * tr_{videoId}_{title}.md -> tr_{videoId}_{title}.segments.json
+   * @param {string} transcriptPath - Absolute path to transcript .md file
+   * @returns {string} Absolute path to sidecar
+   */
+  getSegmentsPath(transcriptPath) {
+    return transcriptPath.replace(/\.md$/, StorageService.SEGMENTS_SUFFIX);
+  }
+
+  /**
+   * Write (or clear) the segments sidecar next to a transcript file
+   * A stale sidecar is removed when the new transcript has no segments,
+   * so the sidecar always matches the .md it sits next to
+   * @private
+   * @param {string} transcriptPath - Absolute path to transcript .md file
+   * @param {string} videoId - YouTube video ID
+   * @param {Array|null} segments - Timestamped segments
+   * @returns {Promise<void>}
+   * @throws {Error} If sidecar write fails
+   */
+  async _writeSegments(transcriptPath, videoId, segments) {
+    const segmentsPath = this.getSegmentsPath(transcriptPath);
+
+    if (!Array.isArray(segments) || segments.length === 0) {
+      await fs.remove(segmentsPath).catch(() => {});
+      return;
+    }
+
+    try {
+      await this.atomicWriteJson(segmentsPath, { videoId, segments });
+    } catch (error) {
+      throw new Error(`Failed to write segments for ${videoId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read timestamped segments for a transcript
+   * Enables deep links, subtitle export and time-range quoting
+   *
+   * @param {string} videoId - YouTube video ID
+   * @param {string|null} [lang=null] - Language code or null for provider default
+   * @returns {Promise<Array<{startMs: number, endMs: number, text: string}>|null>}
+   *   Segments, or null if the transcript is text-only (no sidecar)
+   * @throws {Error} If video ID invalid, transcript missing, or sidecar corrupted
+   */
+  async readSegments(videoId, lang = null) {
+    await this._ensureInitializedWithValidId(videoId, 'read segments');
+
+    const transcriptPath = await this.getTranscriptPath(videoId, lang);
+
+    if (!transcriptPath) {
+      throw new Error(`Transcript not found: ${videoId}`);
+    }
+
+    const segmentsPath = this.getSegmentsPath(transcriptPath);
+
+    let data;
+    try {
+      data = await fs.readJson(segmentsPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      if (error instanceof SyntaxError) {
+        throw new Error(`Segments file corrupted for ${videoId}: ${error.message}`);
+      }
+      this._handleReadError(error, videoId, 'reading segments for');
+    }
+
+    if (!this.isPlainObject(data) || !Array.isArray(data.segments)) {
+      throw new Error(`Segments file has invalid structure: ${videoId}`);
+    }
+
+    return data.segments;
+  }
+
   /**
    * Check if transcript file exists
    * Fast existence check for cache-first strategy
    * Supports both old and new filename formats
    *
    * @param {string} videoId - YouTube video ID
+   * @param {string|null} [lang=null] - Language code or null for provider default
    * @returns {Promise<boolean>} True if exists and valid, false otherwise
    * @throws {Error} If video ID format invalid
    */
-  async transcriptExists(videoId) {
+  async transcriptExists(videoId, lang = null) {
     await this._ensureInitializedWithValidId(videoId, 'check transcript existence');
 
-    const transcriptPath = await this.getTranscriptPath(videoId);
+    const transcriptPath = await this.getTranscriptPath(videoId, lang);
 
     if (!transcriptPath) {
       return false;
@@ -817,30 +1121,61 @@ class StorageService {
   }
 
   /**
-   * Delete transcript file (implements FR-6.2)
+   * Delete transcript file and its segments sidecar (implements FR-6.2)
    * Idempotent operation - succeeds if file already deleted
    * Does not modify registry or links (separation of concerns)
    * Supports both old and new filename formats
+   * Removes every stored language of the video
    *
    * @param {string} videoId - YouTube video ID
    * @returns {Promise<void>}
    * @throws {Error} If video ID invalid or permission denied
    */
   async deleteTranscript(videoId) {
+    this._assertWritable('delete transcript');
     await this._ensureInitializedWithValidId(videoId, 'delete transcript');
 
-    const transcriptPath = await this.getTranscriptPath(videoId);
+    const transcriptPaths = await this.getAllTranscriptPaths(videoId);
 
-    if (!transcriptPath) {
-      // File already deleted - idempotent
-      return;
+    for (const transcriptPath of transcriptPaths) {
+      try {
+        await fs.unlink(transcriptPath);
+        await fs.remove(this.getSegmentsPath(transcriptPath));
+      } catch (error) {
+        this._handleDeleteError(error, videoId);
+      }
+    }
+  }
+
+  /**
+   * Get every transcript file stored for a video (default track and all languages)
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<string[]>} Absolute file paths (empty if none)
+   */
+  async getAllTranscriptPaths(videoId) {
+    const transcriptsPath = this.paths.getTranscriptsPath();
+    const paths = [];
+
+    const defaultPath = await this.getTranscriptPath(videoId);
+    if (defaultPath) {
+      paths.push(defaultPath);
     }
 
     try {
-      await fs.unlink(transcriptPath);
+      const files = await fs.readdir(transcriptsPath);
+      const languagePattern = new RegExp(`^tr_${videoId}\\.([A-Za-z0-9-]+)(?:_.*)?\\.md$`);
+
+      for (const file of files) {
+        const match = languagePattern.exec(file);
+        if (match && validators.isValidLanguageCode(match[1])) {
+          paths.push(path.join(transcriptsPath, file));
+        }
+      }
     } catch (error) {
-      this._handleDeleteError(error, videoId);
+      console.warn(`Error listing transcripts for ${videoId}: ${error.message}`);
     }
+
+    return paths;
   }
 
   /**
@@ -3,12 +3,18 @@ const validators = require('../utils/validators');
 const LinkManager = require('./LinkManager');
 const ConsoleFormatter = require('../utils/ConsoleFormatter');
 const ResultFactory = require('../utils/ResultFactory');
+const ErrorHandler = require('../utils/ErrorHandler');
+const UnavailableCache = require('../utils/UnavailableCache');
 const { LOG_MESSAGES } = require('../utils/LogMessages');
-const {
-  VIDEO_ID_LENGTH,
-  VIDEO_ID_PATTERN,
-  YOUTUBE_URL_PATTERNS,
-} = require('../utils/YouTubeConstants');
+const URLNormalizer = require('../utils/URLNormalizer');
+const StorageService = require('./StorageService');
+const TranscriptProvider = require('../providers/TranscriptProvider');
+const WorkerPool = require('../utils/WorkerPool');
+const JobJournal = require('./JobJournal');
+const FailureQueue = require('./FailureQueue');
+const PendingQueue = require('./PendingQueue');
+const { VIDEO_ID_LENGTH, VIDEO_ID_PATTERN } = require('../utils/YouTubeConstants');
+const { ERROR_TYPES } = require('../constants/APIClientConstants');
 
 /**
  * Transcript Service
@@ -21,21 +27,23 @@ const {
 class TranscriptService {
   /**
    * @param {StorageService} storageService - Storage layer dependency
-   * @param {APIClient} apiClient - API integration dependency
-   * @param {MetadataService} metadataService - Metadata collection dependency
+   * @param {TranscriptProvider} provider - Transcript and metadata source (see src/providers)
+   * @param {MetadataService} metadataService - Metadata formatting dependency
    * @param {Object} pathResolver - Path resolution utility
    */
-  constructor(storageService, apiClient, metadataService, pathResolver) {
+  constructor(storageService, provider, metadataService, pathResolver) {
     // Validate dependencies
-    if (!storageService || !apiClient || !metadataService || !pathResolver) {
+    if (!storageService || !provider || !metadataService || !pathResolver) {
       throw new Error(
-        'TranscriptService requires StorageService, APIClient, MetadataService, and PathResolver dependencies'
+        'TranscriptService requires StorageService, TranscriptProvider, MetadataService, and PathResolver dependencies'
       );
     }
 
+    TranscriptProvider.assertProvider(provider);
+
     // CRITICAL: Validate MetadataService instance has required methods
-    if (typeof metadataService.fetchVideoMetadata !== 'function') {
-      throw new Error('MetadataService must implement fetchVideoMetadata method');
+    if (typeof metadataService.normalizeMetadata !== 'function') {
+      throw new Error('MetadataService must implement normalizeMetadata method');
     }
 
     if (typeof metadataService.formatTitle !== 'function') {
@@ -43,9 +51,12 @@ class TranscriptService {
     }
 
     this.storage = storageService;
-    this.api = apiClient;
+    this.provider = provider;
     this.metadata = metadataService; // NEW DEPENDENCY
     this.linkManager = new LinkManager(storageService, pathResolver);
+    this.jobJournal = new JobJournal(pathResolver);
+    this.failureQueue = new FailureQueue(pathResolver);
+    this.pendingQueue = new PendingQueue(pathResolver);
 
     // Statistics tracking
     this.stats = {
@@ -65,11 +76,19 @@ class TranscriptService {
    * Implements FR-2.2 cache checking, TR-6 algorithm
    * Enhanced: Verifies both registry entry AND file existence for coherence
    *
+   * Cache key is video ID + language: a French track does not satisfy an English request
+   *
    * @param {string} videoId - YouTube video identifier (11 chars, alphanumeric+dash)
+   * @param {string|null} [lang=null] - Language code or null for provider default
+   * @param {Object} [options={}] - Check options
+   * @param {boolean} [options.countStats=true] - Count the check as a cache hit/miss (false for
+   *   --dry-run planning)
    * @returns {Promise<boolean>} True if transcript cached, false if needs fetch
    * @throws {Error} If videoId format invalid
    */
-  async isCached(videoId) {
+  async isCached(videoId, lang = null, options = {}) {
+    const { countStats = true } = options;
+
     // Validate input format (11-char YouTube ID)
     if (!videoId || typeof videoId !== 'string' || videoId.trim() === '') {
       throw new Error('Video ID required for cache check');
@@ -83,7 +102,7 @@ class TranscriptService {
     }
 
     // Start timer on first cache check
-    if (this.stats.startTime === null) {
+    if (countStats && this.stats.startTime === null) {
       this.stats.startTime = Date.now();
     }
 
@@ -91,16 +110,19 @@ class TranscriptService {
       // Load current registry state
       const registry = await this.storage.loadRegistry();
 
-      // Check existence in registry (prototype-safe)
-      const inRegistry = Object.prototype.hasOwnProperty.call(registry, trimmedId);
+      // Check existence in registry (prototype-safe) for the requested language
+      const inRegistry =
+        Object.prototype.hasOwnProperty.call(registry, trimmedId) &&
+        this._hasLanguage(registry[trimmedId], lang);
+      const label = this._cacheLabel(trimmedId, lang);
 
       // ENHANCEMENT: Verify file actually exists (detect orphaned registry entries)
       let isCachedAndValid = false;
       if (inRegistry) {
-        const transcriptFileExists = await this.storage.transcriptExists(trimmedId);
+        const transcriptFileExists = await this.storage.transcriptExists(trimmedId, lang);
 
         if (!transcriptFileExists) {
-          console.warn(LOG_MESSAGES.CACHE_ORPHANED(trimmedId));
+          console.warn(LOG_MESSAGES.CACHE_ORPHANED(label));
           isCachedAndValid = false;
         } else {
           isCachedAndValid = true;
@@ -108,12 +130,15 @@ class TranscriptService {
       }
 
       // Update statistics
+      if (!countStats) {
+        return isCachedAndValid;
+      }
       if (isCachedAndValid) {
         this.stats.cacheHits++;
-        console.log(LOG_MESSAGES.CACHE_HIT_COUNT(trimmedId, this.stats.cacheHits));
+        console.log(LOG_MESSAGES.CACHE_HIT_COUNT(label, this.stats.cacheHits));
       } else {
         this.stats.cacheMisses++;
-        console.log(LOG_MESSAGES.CACHE_MISS_COUNT(trimmedId, this.stats.cacheMisses));
+        console.log(LOG_MESSAGES.CACHE_MISS_COUNT(label, this.stats.cacheMisses));
       }
 
       return isCachedAndValid;
@@ -173,11 +198,11 @@ class TranscriptService {
 
     // Cache miss or invalid cache - fetch from API
     console.log(LOG_MESSAGES.TRANSCRIPT_FETCHING(trimmedId));
-    const text = await this.api.fetchTranscript(trimmedUrl);
+    const { text, segments } = await this.provider.fetchTranscript(trimmedUrl);
 
     // Persist immediately per FR-2.3
-    await this.saveTranscript(trimmedId, text);
-    await this.registerTranscript(trimmedId);
+    await this.saveTranscript(trimmedId, text, segments);
+    await this.registerTranscript(trimmedId, null, this._transcriptFormat(segments));
 
     return text;
   }
@@ -188,14 +213,15 @@ class TranscriptService {
    *
    * @param {string} videoId - YouTube video identifier
    * @param {string} text - Transcript content
+   * @param {Array|null} [segments=null] - Timestamped segments for the sidecar
    * @returns {Promise<void>}
    * @throws {Error} If save fails
    */
-  async saveTranscript(videoId, text) {
+  async saveTranscript(videoId, text, segments = null) {
     console.log(LOG_MESSAGES.TRANSCRIPT_SAVING(videoId));
 
     try {
-      await this.storage.saveTranscript(videoId, text);
+      await this.storage.saveTranscript(videoId, text, null, segments);
       console.log(LOG_MESSAGES.TRANSCRIPT_SAVED(videoId));
     } catch (error) {
       console.error(LOG_MESSAGES.TRANSCRIPT_SAVE_FAILED(videoId), error.message);
@@ -208,43 +234,30 @@ class TranscriptService {
    * Creates or updates registry entry with metadata
    *
    * @param {string} videoId - YouTube video identifier
-   * @param {Object} metadata - {channel, title} (optional for backward compatibility)
+   * @param {Object} metadata - {channel, title, note} (optional for backward compatibility)
+   * @param {string} [transcriptFormat='text-only'] - 'segments' when a segments sidecar was saved
+   * @param {string|null} [lang=null] - Language code stored, null for provider default
    * @returns {Promise<void>}
    * @throws {Error} If registry update fails
    */
-  async registerTranscript(videoId, metadata) {
+  async registerTranscript(videoId, metadata, transcriptFormat = 'text-only', lang = null) {
     console.log(LOG_MESSAGES.TRANSCRIPT_REGISTERING(videoId));
 
-    try {
-      // Load current registry
-      const registry = await this.storage.loadRegistry();
-
-      // UPDATED Task 11.1: Use YYMMDDTHHMM format instead of YYYY-MM-DD
-      const { generateDateAdded } = require('../utils/dateUtils');
-      const dateAdded = generateDateAdded();
-
-      // Create or update entry
-      if (!registry[videoId]) {
-        // UPDATED Task 11.4: Removed links array from registry structure
-        // New entry - initialize with date and metadata
-        registry[videoId] = {
-          date_added: dateAdded,
-          channel: metadata && metadata.channel ? metadata.channel : '',
-          title: metadata && metadata.title ? metadata.title : '',
-        };
-
-        console.log(LOG_MESSAGES.TRANSCRIPT_ENTRY_CREATED(videoId));
-      } else {
-        // Existing entry - update metadata if provided (metadata may change over time)
-        if (metadata && metadata.channel && metadata.title) {
-          registry[videoId].channel = metadata.channel;
-          registry[videoId].title = metadata.title;
-        }
-        console.log(LOG_MESSAGES.TRANSCRIPT_ENTRY_EXISTS(videoId));
-      }
+    // UPDATED Task 11.1: Use YYMMDDTHHMM format instead of YYYY-MM-DD
+    const { generateDateAdded } = require('../utils/dateUtils');
 
-      // Save updated registry atomically (TR-8, TR-16)
-      await this.storage.saveRegistry(registry);
+    try {
+      // Serialised so parallel workers never overwrite each other's entries (TR-8, TR-16)
+      await this.storage.updateRegistry((registry) => {
+        this._applyRegistration(
+          registry,
+          videoId,
+          metadata,
+          transcriptFormat,
+          lang,
+          generateDateAdded()
+        );
+      });
       console.log(LOG_MESSAGES.TRANSCRIPT_REGISTERED(videoId));
     } catch (error) {
       console.error(LOG_MESSAGES.TRANSCRIPT_REGISTER_FAILED(videoId), error.message);
@@ -252,6 +265,101 @@ class TranscriptService {
     }
   }
 
+  /**
+   * Create or update a registry entry in place
+   * @private
+   * @param {Object} registry - Loaded registry (mutated)
+   * @param {string} videoId - YouTube video identifier
+   * @param {Object} metadata - {channel, title, note} or null
+   * @param {string} transcriptFormat - 'segments' or 'text-only'
+   * @param {string|null} lang - Language code stored, null for provider default
+   * @param {string} dateAdded - YYMMDDTHHMM timestamp for new entries
+   */
+  _applyRegistration(registry, videoId, metadata, transcriptFormat, lang, dateAdded) {
+    // Create or update entry
+    if (!registry[videoId]) {
+      // UPDATED Task 11.4: Removed links array from registry structure
+      // New entry - initialize with date and metadata
+      registry[videoId] = {
+        date_added: dateAdded,
+        channel: metadata && metadata.channel ? metadata.channel : '',
+        title: metadata && metadata.title ? metadata.title : '',
+        transcript_format: transcriptFormat,
+        languages: [StorageService.languageKey(lang)],
+      };
+
+      console.log(LOG_MESSAGES.TRANSCRIPT_ENTRY_CREATED(videoId));
+    } else {
+      // Existing entry - update metadata if provided (metadata may change over time)
+      if (metadata && metadata.channel && metadata.title) {
+        registry[videoId].channel = metadata.channel;
+        registry[videoId].title = metadata.title;
+      }
+      // Format of the track fetched last; sidecars are per language (export reads them directly)
+      registry[videoId].transcript_format = transcriptFormat;
+
+      const languages = registry[videoId].languages || [StorageService.DEFAULT_LANGUAGE];
+      const languageKey = StorageService.languageKey(lang);
+      registry[videoId].languages = languages.includes(languageKey)
+        ? languages
+        : [...languages, languageKey];
+
+      // A fetched transcript supersedes the negative cache record for its language
+      const unavailable = registry[videoId].unavailable;
+      if (unavailable && unavailable[languageKey]) {
+        delete unavailable[languageKey];
+        if (Object.keys(unavailable).length === 0) {
+          delete registry[videoId].unavailable;
+        }
+      }
+      console.log(LOG_MESSAGES.TRANSCRIPT_ENTRY_EXISTS(videoId));
+    }
+
+    // Latest note from youtube.md wins; runs without a note keep the previous one
+    if (metadata && metadata.note) {
+      registry[videoId].note = metadata.note;
+    }
+  }
+
+  /**
+   * Active negative cache record for a video/language
+   * @param {string} videoId - YouTube video ID
+   * @param {string|null} [lang=null] - Language code or null for provider default
+   * @returns {Promise<Object|null>} {reason, message, checked_at} or null if not known unavailable
+   */
+  async getUnavailable(videoId, lang = null) {
+    const registry = await this.storage.loadRegistry();
+    const entry = Object.prototype.hasOwnProperty.call(registry, videoId)
+      ? registry[videoId]
+      : undefined;
+
+    return UnavailableCache.activeRecord(entry, StorageService.languageKey(lang));
+  }
+
+  /**
+   * Record that the provider has no transcript for a video/language
+   * Videos not in the registry get an entry holding the record only (languages: [])
+   * @param {string} videoId - YouTube video ID
+   * @param {Error} error - Permanent failure (NO_TRANSCRIPT, INVALID_REQUEST)
+   * @param {string|null} [lang=null] - Language code or null for provider default
+   * @returns {Promise<void>}
+   */
+  async markUnavailable(videoId, error, lang = null) {
+    const { generateDateAdded } = require('../utils/dateUtils');
+    const record = UnavailableCache.createRecord(error);
+    const languageKey = StorageService.languageKey(lang);
+
+    await this.storage.updateRegistry((registry) => {
+      if (!registry[videoId]) {
+        registry[videoId] = { date_added: generateDateAdded(), languages: [] };
+      }
+      registry[videoId].unavailable = {
+        ...(registry[videoId].unavailable || {}),
+        [languageKey]: record,
+      };
+    });
+  }
+
   /**
    * Get current cache statistics
    * @returns {Object} Cache performance metrics
@@ -302,9 +410,11 @@ class TranscriptService {
    *
    * @param {string} videoId - YouTube video ID
    * @param {string} videoUrl - Full YouTube URL
-   * @returns {Promise<{transcript: string, metadata: {channel, title}}>}
+   * @param {Object|null} knownMetadata - Raw {channel, title} already known (skips metadata lookup)
+   * @param {string|null} [lang=null] - Language code or null for provider default
+   * @returns {Promise<{transcript: string, segments: Array, metadata: {channel, title}}>}
    */
-  async _fetchTranscriptAndMetadata(videoId, videoUrl) {
+  async _fetchTranscriptAndMetadata(videoId, videoUrl, knownMetadata = null, lang = null) {
     try {
       // CRITICAL: Track fetch duration for both operations
       const transcriptStartTime = Date.now();
@@ -312,12 +422,11 @@ class TranscriptService {
 
       // Execute both fetches in parallel with individual timing
       const [transcriptResult, metadataResult] = await Promise.all([
-        this.api.fetchTranscript(videoUrl).then((transcript) => {
+        this.provider.fetchTranscript(videoUrl, lang).then((transcript) => {
           this.stats.transcriptFetchDuration += Date.now() - transcriptStartTime;
           return transcript;
         }),
-        this.metadata
-          .fetchVideoMetadata(videoId)
+        this._resolveMetadata(videoId, knownMetadata)
           .then((metadata) => {
             this.stats.metadataFetchDuration += Date.now() - metadataStartTime;
             return metadata;
@@ -339,7 +448,11 @@ class TranscriptService {
         this.stats.metadataFailed++;
       }
 
-      return { transcript: transcriptResult, metadata: metadataResult };
+      return {
+        transcript: transcriptResult.text,
+        segments: transcriptResult.segments,
+        metadata: metadataResult,
+      };
     } catch (error) {
       // If transcript fetch fails, propagate error (fatal)
       // This catch only triggers if transcript API fails
@@ -350,18 +463,40 @@ class TranscriptService {
     }
   }
 
+  /**
+   * Resolve metadata for a video
+   * Uses metadata already known from a channel listing when complete,
+   * otherwise falls back to the provider's metadata lookup
+   * @private
+   * @param {string} videoId - YouTube video ID
+   * @param {Object|null} knownMetadata - Raw {channel, title} or null
+   * @returns {Promise<{channel: string, title: string}>} Formatted metadata
+   */
+  async _resolveMetadata(videoId, knownMetadata) {
+    if (knownMetadata && knownMetadata.channel && knownMetadata.title) {
+      console.log(`[TranscriptService] Using known metadata for ${videoId}`);
+      return this.metadata.normalizeMetadata(knownMetadata);
+    }
+
+    return this.provider.fetchMetadata(videoId);
+  }
+
   /**
    * Retrieve transcript from cache or API with metadata
    * Implements FR-2.2 cache priority, TR-25 parallel fetch
    * @private
+   * @param {string} videoId - YouTube video ID
+   * @param {string} videoUrl - Full YouTube URL
+   * @param {Object} [options={}] - {knownMetadata, lang, note}
    */
-  async _getOrFetchTranscript(videoId, videoUrl) {
-    const isCached = await this.isCached(videoId);
+  async _getOrFetchTranscript(videoId, videoUrl, options = {}) {
+    const { knownMetadata = null, lang = null, note = null } = options;
+    const isCached = await this.isCached(videoId, lang);
 
     // Guard: Return cached transcript if available
     if (isCached) {
       try {
-        const transcript = await this.storage.readTranscript(videoId);
+        const transcript = await this.storage.readTranscript(videoId, lang);
 
         // Defensive: Validate content not empty
         if (!transcript || transcript.trim() === '') {
@@ -372,6 +507,10 @@ class TranscriptService {
           // For cached transcripts, extract metadata from file header if present
           // Otherwise use fallback values (backward compatibility)
           const metadata = this._extractMetadataFromTranscript(transcript);
+          if (note && metadata.note !== note) {
+            await this._updateNote(videoId, note, lang);
+            metadata.note = note;
+          }
           return { transcript, metadata, wasCached: true };
         }
       } catch (error) {
@@ -385,35 +524,97 @@ class TranscriptService {
     // - Not cached (isCached = false)
     // - Cache read failed (caught exception)
     // - Cached file empty (validation failed)
-    const { transcript, metadata } = await this._fetchTranscriptAndMetadata(videoId, videoUrl);
-    await this.storage.saveTranscript(videoId, transcript, metadata);
-    await this.registerTranscript(videoId, metadata);
+    const fetched = await this._fetchTranscriptAndMetadata(videoId, videoUrl, knownMetadata, lang);
+    const { transcript, segments } = fetched;
+    const metadata = note ? { ...fetched.metadata, note } : fetched.metadata;
+    await this.storage.saveTranscript(videoId, transcript, metadata, segments, lang);
+    await this.registerTranscript(videoId, metadata, this._transcriptFormat(segments), lang);
     console.log(LOG_MESSAGES.FETCH_SAVED(videoId));
 
     return { transcript, metadata, wasCached: false };
   }
 
+  /**
+   * Attach a youtube.md note to an already cached video (registry and transcript header)
+   * A failure is logged and does not fail the video
+   * @private
+   * @param {string} videoId - YouTube video ID
+   * @param {string} note - Note text
+   * @param {string|null} lang - Language variant whose header is updated
+   * @returns {Promise<void>}
+   */
+  async _updateNote(videoId, note, lang) {
+    try {
+      await this.storage.setTranscriptNote(videoId, note, lang);
+      await this.storage.updateRegistry((registry) => {
+        if (registry[videoId]) {
+          registry[videoId].note = note;
+        }
+      });
+    } catch (error) {
+      console.warn(LOG_MESSAGES.NOTE_UPDATE_FAILED(videoId, error.message));
+    }
+  }
+
+  /**
+   * Check whether a registry entry holds the requested language
+   * Legacy entries without a languages list hold the default track only
+   * @private
+   * @param {Object} entry - Registry entry
+   * @param {string|null} lang - Language code or null for provider default
+   * @returns {boolean} True if language stored
+   */
+  _hasLanguage(entry, lang) {
+    const languages =
+      entry && Array.isArray(entry.languages) ? entry.languages : [StorageService.DEFAULT_LANGUAGE];
+    return languages.includes(StorageService.languageKey(lang));
+  }
+
+  /**
+   * Log label for a video/language pair
+   * @private
+   * @param {string} videoId - YouTube video ID
+   * @param {string|null} lang - Language code or null
+   * @returns {string} "videoId" or "videoId [lang]"
+   */
+  _cacheLabel(videoId, lang) {
+    return lang ? `${videoId} [${lang}]` : videoId;
+  }
+
+  /**
+   * Registry transcript_format value for fetched segments
+   * @private
+   * @param {Array|null} segments - Segments returned by the API
+   * @returns {string} 'segments' or 'text-only'
+   */
+  _transcriptFormat(segments) {
+    return Array.isArray(segments) && segments.length > 0 ? 'segments' : 'text-only';
+  }
+
   /**
    * Extract metadata from transcript file header
    * @private
    * @param {string} transcript - Transcript content
-   * @returns {Object} Metadata {channel, title}
+   * @returns {Object} Metadata {channel, title, note} (note null when absent)
    */
   _extractMetadataFromTranscript(transcript) {
     const lines = transcript.split('\n');
     let channel = 'Unknown Channel';
     let title = 'Unknown Title';
+    let note = null;
 
-    for (const line of lines.slice(0, 10)) {
-      // Check first 10 lines
+    for (const line of lines.slice(0, 12)) {
+      // Check header lines only
       if (line.startsWith('Channel: ')) {
         channel = line.substring(9).trim();
       } else if (line.startsWith('Title: ')) {
         title = line.substring(7).trim();
+      } else if (line.startsWith('Note: ')) {
+        note = line.substring(6).trim();
       }
     }
 
-    return { channel, title };
+    return { channel, title, note };
   }
 
   /**
@@ -428,19 +629,24 @@ class TranscriptService {
    * @param {string} videoId - YouTube video identifier (11 chars)
    * @param {string} videoUrl - Full YouTube URL for API
    * @param {string} projectDir - Project directory for symlink (defaults to cwd)
+   * @param {Object} [options={}] - Per-video options
+   * @param {Object|null} [options.knownMetadata=null] - Raw {channel, title} already known
+   * @param {string|null} [options.lang=null] - Language code or null for provider default
+   * @param {string|null} [options.note=null] - Text around the link in youtube.md
    * @returns {Promise<Object>} Processing result with success, videoId, cached, linked flags
    * @throws {Error} If videoId invalid or transcript fetch fails
    */
-  async processVideo(videoId, videoUrl, projectDir = process.cwd()) {
+  async processVideo(videoId, videoUrl, projectDir = process.cwd(), options = {}) {
     // Validate inputs
     validators.assertValidVideoId(videoId);
     const absoluteProjectDir = path.resolve(projectDir);
+    const { lang = null } = options;
 
     // Step 1-3: Get or fetch transcript with metadata
-    const { wasCached, metadata } = await this._getOrFetchTranscript(videoId, videoUrl);
+    const { wasCached, metadata } = await this._getOrFetchTranscript(videoId, videoUrl, options);
 
     // Step 4: Create link (metadata used for filename by LinkManager)
-    const linkResult = await this.linkManager.createLink(videoId, absoluteProjectDir);
+    const linkResult = await this.linkManager.createLink(videoId, absoluteProjectDir, lang);
     console.log(LOG_MESSAGES.LINK_CREATED(linkResult.path));
     this.stats.linksCreated++;
 
@@ -473,7 +679,7 @@ class TranscriptService {
    * Extract YouTube video ID from URL
    * Implements TR-5 URL parsing algorithm
    *
-   * @param {string} url - YouTube URL (youtu.be or youtube.com format)
+   * @param {string} url - Any form accepted by URLNormalizer (watch, youtu.be, shorts, bare ID, ...)
    * @returns {string} Video ID (11 chars)
    * @throws {Error} If URL invalid or videoId cannot be extracted
    */
@@ -484,19 +690,10 @@ class TranscriptService {
 
     const trimmedUrl = url.trim();
 
-    // TR-5: YouTube URL pattern matching
-    const patterns = Object.values(YOUTUBE_URL_PATTERNS);
-
-    for (const pattern of patterns) {
-      const match = trimmedUrl.match(pattern);
-      if (match && match[1]) {
-        const videoId = match[1];
-
-        // TR-5: Validate format per YouTube specification
-        if (videoId.length === VIDEO_ID_LENGTH && VIDEO_ID_PATTERN.test(videoId)) {
-          return videoId;
-        }
-      }
+    // TR-5: Shared canonical parser (validates ID format per YouTube specification)
+    const videoId = URLNormalizer.extractVideoId(trimmedUrl);
+    if (videoId) {
+      return videoId;
     }
 
     throw new Error(
@@ -505,16 +702,41 @@ class TranscriptService {
     );
   }
 
+  /**
+   * Normalize batch item into {url, metadata, lang, note}
+   * Batch items are plain URLs or objects carrying metadata already known
+   * Plain URLs take their language from a lang= line hint
+   * @private
+   * @param {string|Object} item - URL string or {url, metadata, lang, note}
+   * @returns {{url: string, metadata: Object|null, lang: string|null, note: string|null}}
+   *   Normalized item
+   */
+  _normalizeBatchItem(item) {
+    if (item && typeof item === 'object') {
+      return {
+        url: item.url,
+        metadata: item.metadata || null,
+        lang: item.lang || null,
+        note: item.note || null,
+      };
+    }
+    const record = URLNormalizer.normalize(item);
+    return { url: item, metadata: null, lang: record ? record.lang : null, note: null };
+  }
+
   /**
    * Process single URL in batch context
    * @private
    */
-  async _processSingleUrl(url, projectDir) {
+  async _processSingleUrl(url, projectDir, options = {}) {
     const videoId = this.extractVideoId(url);
     console.log(LOG_MESSAGES.PROCESS_START(videoId, url));
 
-    const wasCached = await this.isCached(videoId);
-    const result = await this.processVideo(videoId, url, projectDir);
+    // API only accepts watch/youtu.be URLs, so shorts, embeds and bare IDs go out canonical
+    const videoUrl = URLNormalizer.buildVideoUrl(videoId);
+
+    const wasCached = await this.isCached(videoId, options.lang || null);
+    const result = await this.processVideo(videoId, videoUrl, projectDir, options);
 
     console.log(LOG_MESSAGES.PROCESS_SUCCESS(videoId, wasCached, result.linked));
 
@@ -525,24 +747,6 @@ class TranscriptService {
     };
   }
 
-  /**
-   * Aggregate single URL result into batch results
-   * @private
-   */
-  _aggregateBatchResult(results, urlResult) {
-    results.processed++;
-
-    if (urlResult.wasCached) {
-      results.cached++;
-    } else {
-      results.fetched++;
-    }
-
-    if (urlResult.linked) {
-      results.linked++;
-    }
-  }
-
   /**
    * Display batch processing summary
    * @private
@@ -565,12 +769,23 @@ class TranscriptService {
   /**
    * Process multiple video URLs from input file
    * Implements FR-1.1, FR-2.3, TR-7 complete workflow
+   * Progress is journaled in ~/.transcriptor/jobs so the run can be resumed (see JobJournal)
    *
-   * @param {string[]} videoUrls - Array of YouTube URLs
+   * @param {Array<string|Object>} videoUrls - YouTube URLs, or {url, metadata, lang, note} items
+   *   when channel/title are already known (e.g. from a channel listing) or youtube.md has a note
    * @param {string} projectDir - Target directory for links (defaults to cwd)
-   * @returns {Promise<Object>} Batch results with success/failure counts
+   * @param {Object} [options={}] - Batch options
+   * @param {number} [options.concurrency=1] - URLs processed in parallel
+   * @param {boolean} [options.force=false] - Fetch videos known to have no transcript anyway
+   * @param {boolean} [options.offline=false] - Link cached videos only, queue the rest
+   * @param {Function} [options.onItemFinished] - async (journalItem) => void, awaited as each video
+   *   finishes (status done, failed, skipped or queued; still pending if deferred)
+   * @param {Function} [options.onJournaled] - async (job) => void, awaited once the job journal
+   *   is written, before any video is processed
+   * @returns {Promise<Object>} Batch results with success/failure counts (errors in input order);
+   *   videos not fetched because --max-api-calls ran out stay pending in the job (deferred)
    */
-  async processBatch(videoUrls, projectDir = process.cwd()) {
+  async processBatch(videoUrls, projectDir = process.cwd(), options = {}) {
     // Guard: Validate inputs
     if (!Array.isArray(videoUrls)) {
       throw new Error('videoUrls must be an array');
@@ -581,27 +796,202 @@ class TranscriptService {
       return ResultFactory.createEmptyBatchResults();
     }
 
-    const results = ResultFactory.createEmptyBatchResults();
     const absoluteProjectDir = path.resolve(projectDir);
+    const items = videoUrls.map((item) => this._normalizeBatchItem(item));
 
-    console.log(LOG_MESSAGES.BATCH_START(videoUrls.length));
-    console.log(LOG_MESSAGES.BATCH_PROJECT_DIR(absoluteProjectDir));
+    // Journal first, so an interrupted run can be resumed from this point
+    const job = await this.jobJournal.create(items, absoluteProjectDir);
+    console.log(LOG_MESSAGES.JOB_STARTED(job.id));
+    if (options.onJournaled) {
+      await options.onJournaled(job);
+    }
 
-    // Sequential processing per BR-2
-    for (const url of videoUrls) {
-      try {
-        const urlResult = await this._processSingleUrl(url, absoluteProjectDir);
-        this._aggregateBatchResult(results, urlResult);
-      } catch (error) {
-        ResultFactory.addBatchError(results, url, error.message);
-        console.error(LOG_MESSAGES.PROCESS_FAILED(url, error.message));
+    return this._runJob(job, options);
+  }
+
+  /**
+   * Continue an interrupted batch from its job journal
+   * Only items still pending are processed; the summary covers the whole job
+   *
+   * @param {Object} job - Job loaded from JobJournal
+   * @param {Object} [options={}] - Batch options
+   * @param {number} [options.concurrency=1] - URLs processed in parallel
+   * @param {boolean} [options.force=false] - Fetch videos known to have no transcript anyway
+   * @param {boolean} [options.offline=false] - Link cached videos only, queue the rest
+   * @returns {Promise<Object>} Batch results for the whole job (errors in input order)
+   */
+  async resumeJob(job, options = {}) {
+    const pending = JobJournal.pendingIndexes(job).length;
+    console.log(LOG_MESSAGES.JOB_RESUMED(job.id, pending, job.items.length));
+
+    return this._runJob(job, options);
+  }
+
+  /**
+   * Process pending journal items with the worker pool
+   * @private
+   * @param {Object} job - Job (mutated as items finish)
+   * @param {Object} options - {concurrency, force, offline, onItemFinished}
+   * @returns {Promise<Object>} Batch results for the whole job
+   */
+  async _runJob(job, options) {
+    const pool = new WorkerPool(options.concurrency || WorkerPool.DEFAULT_CONCURRENCY);
+    const pendingIndexes = JobJournal.pendingIndexes(job);
+
+    console.log(LOG_MESSAGES.BATCH_START(pendingIndexes.length));
+    console.log(LOG_MESSAGES.BATCH_PROJECT_DIR(job.project_dir));
+    if (pool.concurrency > 1) {
+      console.log(LOG_MESSAGES.BATCH_CONCURRENCY(pool.concurrency));
+    }
+
+    // Sequential per BR-2 unless --concurrency given
+    await pool.map(pendingIndexes, async (index) => {
+      await this._processJobItem(job, index, options);
+      if (options.onItemFinished) {
+        await options.onItemFinished(job.items[index]);
       }
+    });
+
+    const deferred = JobJournal.pendingIndexes(job).length;
+    if (deferred > 0) {
+      console.warn(LOG_MESSAGES.BUDGET_STOPPED(deferred, job.id));
+    } else {
+      await this._recordJobOutcome(() => this.jobJournal.complete(job));
     }
 
-    this._displayBatchSummary(videoUrls.length, results);
+    // Summarised from the journal: input order, independent of completion order
+    const results = JobJournal.summarize(job);
+    this._displayBatchSummary(job.items.length, results);
 
     return results;
   }
+
+  /**
+   * Process one journal item and record its outcome
+   * Never throws: failures are journaled and queued for `transcriptor retry`
+   * @private
+   * @param {Object} job - Job (mutated)
+   * @param {number} index - Item index
+   * @param {Object} options - {force, offline}
+   * @returns {Promise<void>}
+   */
+  async _processJobItem(job, index, options) {
+    const { url, metadata, lang, note, video_id: videoId } = job.items[index];
+    try {
+      // Known to have no transcript: skip until the negative cache record expires
+      const unavailable =
+        options.force || !videoId ? null : await this.getUnavailable(videoId, lang);
+      if (unavailable) {
+        console.log(
+          LOG_MESSAGES.UNAVAILABLE_SKIPPED(
+            this._cacheLabel(videoId, lang),
+            UnavailableCache.describe(unavailable.reason)
+          )
+        );
+        await this._recordJobOutcome(() => this.jobJournal.markSkipped(job, index, unavailable));
+        return;
+      }
+
+      // Offline: only the central cache can serve, everything else waits for an online run
+      if (options.offline && videoId && !(await this.storage.transcriptExists(videoId, lang))) {
+        await this._queueOffline(job, index);
+        return;
+      }
+
+      const urlResult = await this._processSingleUrl(url, job.project_dir, {
+        knownMetadata: metadata,
+        lang,
+        note,
+      });
+      await this._recordJobOutcome(() => this.jobJournal.markDone(job, index, urlResult));
+      await this._recordJobOutcome(
+        () => this.failureQueue.resolve(job.items[index].video_id, lang),
+        LOG_MESSAGES.FAILURE_QUEUE_WRITE_FAILED
+      );
+    } catch (error) {
+      // Cached file turned out unreadable and the offline provider refused to fetch it
+      if (error.type === ERROR_TYPES.OFFLINE) {
+        await this._queueOffline(job, index);
+        return;
+      }
+
+      // Budget used up: leave the item pending for `transcriptor resume`, cached items go on
+      if (error.type === ERROR_TYPES.BUDGET_EXHAUSTED) {
+        console.warn(LOG_MESSAGES.BUDGET_EXHAUSTED(this._cacheLabel(videoId, lang)));
+        return;
+      }
+
+      console.error(LOG_MESSAGES.PROCESS_FAILED(url, error.message));
+      await this._recordJobOutcome(() => this.jobJournal.markFailed(job, index, error));
+      await this._recordFailure(job, index, error);
+    }
+  }
+
+  /**
+   * Queue an uncached item for the next online run (--offline)
+   * @private
+   * @param {Object} job - Job
+   * @param {number} index - Item index
+   * @returns {Promise<void>}
+   */
+  async _queueOffline(job, index) {
+    const item = job.items[index];
+    console.log(LOG_MESSAGES.OFFLINE_QUEUED(this._cacheLabel(item.video_id, item.lang)));
+
+    await this._recordJobOutcome(
+      () => this.pendingQueue.add(item.url, item.lang, job.project_dir),
+      LOG_MESSAGES.PENDING_QUEUE_WRITE_FAILED
+    );
+    await this._recordJobOutcome(() => this.jobJournal.markQueued(job, index));
+  }
+
+  /**
+   * Queue a failed item for `transcriptor retry`
+   * Items without a video ID cannot be retried and are not queued
+   * @private
+   * @param {Object} job - Job
+   * @param {number} index - Failed item index
+   * @param {Error} error - Failure
+   * @returns {Promise<void>}
+   */
+  async _recordFailure(job, index, error) {
+    const item = job.items[index];
+    if (!item.video_id) {
+      return;
+    }
+
+    if (ErrorHandler.isPermanentError(error)) {
+      console.log(LOG_MESSAGES.FAILURE_PERMANENT(item.video_id, error.type));
+    }
+
+    if (UnavailableCache.isEnabled() && UnavailableCache.shouldRecord(error)) {
+      await this._recordJobOutcome(
+        () => this.markUnavailable(item.video_id, error, item.lang),
+        LOG_MESSAGES.UNAVAILABLE_WRITE_FAILED
+      );
+    }
+
+    await this._recordJobOutcome(
+      () => this.failureQueue.record(item, job.project_dir, error),
+      LOG_MESSAGES.FAILURE_QUEUE_WRITE_FAILED
+    );
+  }
+
+  /**
+   * Write journal or failure queue progress without failing the batch
+   * A bookkeeping write error only costs resumability/retries, never transcripts
+   * @private
+   * @param {Function} write - Async write
+   * @param {Function} [failureMessage=LOG_MESSAGES.JOB_WRITE_FAILED] - Warning builder
+   * @returns {Promise<void>}
+   */
+  async _recordJobOutcome(write, failureMessage = LOG_MESSAGES.JOB_WRITE_FAILED) {
+    try {
+      await write();
+    } catch (error) {
+      console.warn(failureMessage(error.message));
+    }
+  }
 }
 
 module.exports = TranscriptService;
@@ -0,0 +1,217 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { LOG_MESSAGES } = require('../utils/LogMessages');
+
+/**
+ * Usage Ledger
+ *
+ * Appends one line per outgoing API request to ~/.transcriptor/usage.jsonl so
+ * billed calls can be counted after the fact (`transcriptor usage`), and
+ * enforces the per-run call budget given with --max-api-calls.
+ *
+ * Line format (JSON Lines, one request per line, append-only):
+ * { "timestamp": ISO timestamp, "service": "scrapecreators" | "oembed",
+ *   "endpoint": "transcript" | "playlist" | "channel" | "channel_videos" | "metadata",
+ *   "status": HTTP status or error code, "retry": true for repeated attempts }
+ *
+ * Only Scrape Creators requests are billed and count against the budget;
+ * oEmbed metadata lookups are recorded for completeness. Appends are
+ * serialised because workers finish concurrently, and a failed append is
+ * logged without failing the request it describes.
+ *
+ * @class UsageLedger
+ */
+class UsageLedger {
+  static FILENAME = 'usage.jsonl';
+  static BILLED_SERVICE = 'scrapecreators';
+  static PERIODS = ['day', 'week', 'month'];
+
+  /**
+   * @param {Object} pathResolver - Path resolution utility
+   * @param {Object} [options={}] - Ledger options
+   * @param {number|null} [options.maxApiCalls=null] - Billed calls allowed this run (null = unlimited)
+   */
+  constructor(pathResolver, options = {}) {
+    this.paths = pathResolver;
+    this.maxApiCalls = options.maxApiCalls || null;
+    this.billedCalls = 0;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * @returns {string} Absolute path to ~/.transcriptor/usage.jsonl
+   */
+  getLedgerPath() {
+    return path.join(this.paths.getStoragePath(), UsageLedger.FILENAME);
+  }
+
+  /**
+   * Check --max-api-calls value
+   * @param {*} value - Candidate budget
+   * @returns {boolean} True if positive integer
+   */
+  static isValidBudget(value) {
+    return Number.isInteger(value) && value > 0;
+  }
+
+  /**
+   * Claim one billed call from the run's budget
+   * Called before the request is sent, so concurrent workers never overshoot
+   * @returns {boolean} False if the budget is used up (request must not be sent)
+   */
+  reserveCall() {
+    if (this.maxApiCalls !== null && this.billedCalls >= this.maxApiCalls) {
+      return false;
+    }
+
+    this.billedCalls++;
+    return true;
+  }
+
+  /**
+   * Append a request to the ledger
+   * @param {Object} call - Request details
+   * @param {string} call.service - 'scrapecreators' or 'oembed'
+   * @param {string} call.endpoint - Endpoint name
+   * @param {number|string} call.status - HTTP status or error code
+   * @param {boolean} [call.retry=false] - True for repeated attempts
+   * @returns {Promise<void>}
+   */
+  async record({ service, endpoint, status, retry = false }) {
+    const line = JSON.stringify({
+      timestamp: new Date().toISOString(),
+      service,
+      endpoint,
+      status,
+      retry: Boolean(retry),
+    });
+
+    const append = this.writeQueue.then(async () => {
+      const ledgerPath = this.getLedgerPath();
+      await fs.ensureDir(path.dirname(ledgerPath));
+      await fs.appendFile(ledgerPath, `${line}\n`);
+    });
+
+    this.writeQueue = append.catch(() => {});
+
+    try {
+      await append;
+    } catch (error) {
+      console.warn(LOG_MESSAGES.USAGE_WRITE_FAILED(error.message));
+    }
+  }
+
+  /**
+   * Load every recorded request
+   * Unparseable lines (e.g. cut off by a crash) are skipped
+   * @returns {Promise<Object[]>} Entries in recording order
+   */
+  async list() {
+    const ledgerPath = this.getLedgerPath();
+    if (!(await fs.pathExists(ledgerPath))) {
+      return [];
+    }
+
+    const content = await fs.readFile(ledgerPath, 'utf8');
+    const entries = [];
+
+    for (const line of content.split('\n')) {
+      if (line.trim() === '') {
+        continue;
+      }
+      try {
+        const entry = JSON.parse(line);
+        if (entry && typeof entry.timestamp === 'string') {
+          entries.push(entry);
+        }
+      } catch {
+        // Partial line - ignore
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Local calendar key of a timestamp for a period
+   * Weeks are ISO weeks (Monday first), e.g. 2026-W42
+   * @param {Date} date - Timestamp
+   * @param {string} period - 'day', 'week' or 'month'
+   * @returns {string} Period key (sorts chronologically)
+   */
+  static periodKey(date, period) {
+    const pad = (value) => String(value).padStart(2, '0');
+
+    if (period === 'month') {
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+    }
+
+    if (period === 'week') {
+      // ISO week belongs to the year of its Thursday
+      const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+      thursday.setDate(thursday.getDate() + 3 - ((thursday.getDay() + 6) % 7));
+      const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+      const week =
+        1 +
+        Math.round(
+          ((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7
+        );
+      return `${thursday.getFullYear()}-W${pad(week)}`;
+    }
+
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Count requests per period
+   * @param {Object[]} entries - Entries from list()
+   * @param {string} period - 'day', 'week' or 'month'
+   * @returns {Object[]} Rows {period, billed, transcripts, listings, metadata, retries, errors},
+   *   oldest first
+   */
+  static summarize(entries, period) {
+    const rows = new Map();
+
+    for (const entry of entries) {
+      const date = new Date(entry.timestamp);
+      if (isNaN(date.getTime())) {
+        continue;
+      }
+
+      const key = UsageLedger.periodKey(date, period);
+      if (!rows.has(key)) {
+        rows.set(key, {
+          period: key,
+          billed: 0,
+          transcripts: 0,
+          listings: 0,
+          metadata: 0,
+          retries: 0,
+          errors: 0,
+        });
+      }
+
+      const row = rows.get(key);
+      if (entry.service === UsageLedger.BILLED_SERVICE) {
+        row.billed++;
+      }
+      if (entry.endpoint === 'transcript') {
+        row.transcripts++;
+      } else if (entry.endpoint === 'metadata') {
+        row.metadata++;
+      } else {
+        row.listings++;
+      }
+      if (entry.retry) {
+        row.retries++;
+      }
+      if (!(typeof entry.status === 'number' && entry.status >= 200 && entry.status < 300)) {
+        row.errors++;
+      }
+    }
+
+    return [...rows.values()].sort((a, b) => a.period.localeCompare(b.period));
+  }
+}
+
+module.exports = UsageLedger;
@@ -79,9 +79,83 @@ class ConsoleFormatter {
       'From cache': results.cached ?? 0,
       'Fetched new': results.fetched ?? 0,
       'Links created': results.linked ?? 0,
+      ...(results.skipped > 0 ? { 'Skipped (unavailable)': results.skipped } : {}),
+      ...(results.queued > 0 ? { 'Queued (offline)': results.queued } : {}),
+      ...(results.deferred > 0 ? { 'Deferred (API budget)': results.deferred } : {}),
       Failed: results.failed ?? 0,
     };
   }
+
+  /**
+   * Display batch processing report: results box, errors and closing message
+   * Implements user feedback requirements from FR-8.1
+   * Shared by the main run and `transcriptor resume` so both read the same
+   *
+   * @param {Object} results - Batch processing results from TranscriptService
+   * @param {number} totalUrls - Total number of URLs submitted
+   */
+  static displayBatchReport(results, totalUrls) {
+    if (!results) {
+      return;
+    }
+
+    console.log(''); // Blank line before results
+
+    ConsoleFormatter.displayBox(
+      'Processing Complete',
+      ConsoleFormatter.formatBatchResults(results, totalUrls)
+    );
+
+    // Display errors if any (with sanitized URLs)
+    if (results.errors && results.errors.length > 0) {
+      console.log('Errors encountered:');
+      results.errors.forEach((err, index) => {
+        // Security: Sanitize URL before logging
+        const sanitizedUrl = err.url ? ConsoleFormatter.sanitizeForLog(err.url) : 'unknown';
+        const sanitizedError = err.error ? err.error.substring(0, 200) : 'unknown error';
+
+        console.log(`  ${index + 1}. ${sanitizedUrl}`);
+        console.log(`     ${sanitizedError}`);
+      });
+      console.log();
+    }
+
+    if (results.skipped > 0) {
+      console.log(
+        `${results.skipped} video(s) skipped as known to have no transcript (--force to check again).`
+      );
+    }
+
+    if (results.queued > 0) {
+      console.log(`${results.queued} video(s) not cached, queued for the next online run.`);
+    }
+
+    // Success/failure message
+    const errorCount = results.errors ? results.errors.length : 0;
+    if (errorCount === 0) {
+      console.log('All URLs processed successfully!\n');
+    } else if (results.processed > 0) {
+      console.log(
+        `Completed with ${errorCount} error(s). ${results.processed} URL${results.processed !== 1 ? 's' : ''} processed successfully.\n`
+      );
+    } else {
+      console.log(`All URLs failed to process. Please check errors above.\n`);
+    }
+  }
+
+  /**
+   * Sanitize string for safe logging
+   * Prevents log injection attacks
+   *
+   * @param {string} str - String to sanitize
+   * @returns {string} Sanitized string (max 100 chars, printable ASCII only)
+   */
+  static sanitizeForLog(str) {
+    if (typeof str !== 'string') {
+      return 'invalid';
+    }
+    return str.substring(0, 100).replace(/[^\x20-\x7E]/g, '');
+  }
 }
 
 module.exports = ConsoleFormatter;
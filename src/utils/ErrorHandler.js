@@ -78,12 +78,25 @@ class ErrorHandler {
   static isSkippableError(error) {
     return [
       ERROR_TYPES.INVALID_REQUEST,
+      ERROR_TYPES.NO_TRANSCRIPT,
       ERROR_TYPES.SERVER_ERROR,
       ERROR_TYPES.TIMEOUT,
       ERROR_TYPES.NETWORK,
       ERROR_TYPES.VALIDATION,
     ].includes(error.type);
   }
+
+  /**
+   * Check if error will not go away by trying again later
+   * (no captions, video unavailable or invalid). Everything else, including
+   * untyped errors, counts as transient.
+   * @param {Error|string|null} error - Error, or error type string
+   * @returns {boolean} True if error is permanent
+   */
+  static isPermanentError(error) {
+    const type = error && typeof error === 'object' ? error.type : error;
+    return [ERROR_TYPES.INVALID_REQUEST, ERROR_TYPES.NO_TRANSCRIPT].includes(type);
+  }
 }
 
 module.exports = ErrorHandler;
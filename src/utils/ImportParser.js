@@ -0,0 +1,345 @@
+const URLNormalizer = require('./URLNormalizer');
+
+/**
+ * Import Parser
+ *
+ * Extracts watched or saved videos from exports of other tools, for
+ * `transcriptor import`:
+ *
+ * - Google Takeout watch history (`watch-history.json`)
+ * - Google Takeout playlists (`playlists/*.csv`), old and new column layouts
+ * - Netscape bookmark files, as exported by every major browser
+ *
+ * Every reference goes through URLNormalizer, so an export is read exactly
+ * like youtube.md would be. Entries that are not YouTube videos (channels,
+ * searches, ads, removed videos) are dropped.
+ *
+ * @class ImportParser
+ */
+class ImportParser {
+  static FORMATS = {
+    WATCH_HISTORY: 'watch-history',
+    PLAYLIST_CSV: 'playlist-csv',
+    BOOKMARKS: 'bookmarks',
+  };
+
+  // Takeout histories of heavy users run to tens of megabytes
+  static MAX_FILE_SIZE = 64 * 1024 * 1024;
+
+  // Takeout prefixes titles with the action; other locales are left alone
+  static WATCHED_PREFIX = 'Watched ';
+
+  static HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  /**
+   * Detect the export format from the file content
+   *
+   * @param {string} content - File content
+   * @returns {string|null} One of FORMATS, or null if not recognised
+   */
+  static detectFormat(content) {
+    const head = content
+      .replace(/^\uFEFF/, '')
+      .trimStart()
+      .slice(0, 512);
+
+    if (head.startsWith('[') || head.startsWith('{')) {
+      return ImportParser.FORMATS.WATCH_HISTORY;
+    }
+    if (/<!DOCTYPE NETSCAPE-Bookmark-file-1>|<DL>/i.test(head)) {
+      return ImportParser.FORMATS.BOOKMARKS;
+    }
+    if (/video id/i.test(head.split(/\r?\n/).slice(0, 10).join('\n'))) {
+      return ImportParser.FORMATS.PLAYLIST_CSV;
+    }
+    return null;
+  }
+
+  /**
+   * Parse an export
+   *
+   * @param {string} content - File content
+   * @param {string} format - One of FORMATS
+   * @returns {Object[]} Entries {videoId, url, title, channel, date, folders} in file order;
+   *   title, channel and date are null when the export does not provide them
+   * @throws {Error} If the content does not match the format
+   */
+  static parse(content, format) {
+    const text = content.replace(/^\uFEFF/, '');
+
+    switch (format) {
+      case ImportParser.FORMATS.WATCH_HISTORY:
+        return ImportParser.parseWatchHistory(text);
+      case ImportParser.FORMATS.PLAYLIST_CSV:
+        return ImportParser.parsePlaylistCsv(text);
+      case ImportParser.FORMATS.BOOKMARKS:
+        return ImportParser.parseBookmarks(text);
+      default:
+        throw new Error(`Unsupported import format: ${format}`);
+    }
+  }
+
+  /**
+   * Parse a Takeout watch history (JSON array of activity records)
+   *
+   * @param {string} content - watch-history.json content
+   * @returns {Object[]} Entries
+   * @throws {Error} If the content is not a JSON array
+   *
+   * @example
+   * // [{ "title": "Watched Never Gonna Give You Up",
+   * //    "titleUrl": "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+   * //    "subtitles": [{ "name": "Rick Astley" }], "time": "2024-03-01T20:15:00.000Z" }]
+   */
+  static parseWatchHistory(content) {
+    let records;
+    try {
+      records = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid watch history JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(records)) {
+      throw new Error('Invalid watch history: expected a JSON array of activity records');
+    }
+
+    const entries = [];
+    for (const record of records) {
+      // Removed videos have no titleUrl; ads are flagged in details
+      const isAd = Array.isArray(record && record.details) && record.details.length > 0;
+      if (!record || typeof record.titleUrl !== 'string' || isAd) {
+        continue;
+      }
+
+      const entry = ImportParser._entry(record.titleUrl);
+      if (!entry) {
+        continue;
+      }
+
+      const channel = Array.isArray(record.subtitles) && record.subtitles[0];
+      const title = typeof record.title === 'string' ? record.title : '';
+      if (title.startsWith(ImportParser.WATCHED_PREFIX)) {
+        entry.title = title.slice(ImportParser.WATCHED_PREFIX.length).trim() || null;
+      }
+      entry.channel = channel && typeof channel.name === 'string' ? channel.name : null;
+      entry.date = ImportParser._parseDate(record.time);
+      entries.push(entry);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse a Takeout playlist CSV
+   * Handles the current layout (`Video ID,Playlist Video Creation Timestamp`) and
+   * the older one (playlist details, a blank line, then `Video Id,Time Added`)
+   *
+   * @param {string} content - CSV content
+   * @returns {Object[]} Entries
+   * @throws {Error} If no video ID column is found
+   */
+  static parsePlaylistCsv(content) {
+    const rows = content.split(/\r?\n/).map((line) => ImportParser._parseCsvLine(line));
+    const headerIndex = rows.findIndex((row) => row.some((cell) => /^video id$/i.test(cell)));
+    if (headerIndex === -1) {
+      throw new Error('Invalid playlist CSV: no "Video ID" column');
+    }
+
+    const header = rows[headerIndex].map((cell) => cell.toLowerCase());
+    const idColumn = header.indexOf('video id');
+    const dateColumn = header.findIndex((cell) => /time added|timestamp/.test(cell));
+
+    const entries = [];
+    for (const row of rows.slice(headerIndex + 1)) {
+      const entry = ImportParser._entry(row[idColumn] || '');
+      if (!entry) {
+        continue;
+      }
+      entry.date = dateColumn === -1 ? null : ImportParser._parseDate(row[dateColumn]);
+      entries.push(entry);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse a Netscape bookmark file
+   * Each bookmark keeps the path of folders it sits in (outermost first)
+   *
+   * @param {string} content - Bookmarks HTML
+   * @returns {Object[]} Entries
+   */
+  static parseBookmarks(content) {
+    const tokens = /<H3\b[^>]*>([\s\S]*?)<\/H3>|<A\b([^>]*)>([\s\S]*?)<\/A>|<(\/?)DL\b[^>]*>/gi;
+    const folders = [];
+    const entries = [];
+    let heading = null;
+
+    for (const [, folder, attributes, text, closing] of content.matchAll(tokens)) {
+      if (folder !== undefined) {
+        heading = ImportParser._decodeHtml(folder);
+      } else if (attributes !== undefined) {
+        const href = /\bHREF\s*=\s*"([^"]*)"/i.exec(attributes);
+        const entry = href && ImportParser._entry(ImportParser._decodeHtml(href[1]));
+        if (!entry) {
+          continue;
+        }
+
+        const added = /\bADD_DATE\s*=\s*"(\d+)"/i.exec(attributes);
+        entry.title = ImportParser._decodeHtml(text) || null;
+        entry.date = added ? new Date(Number(added[1]) * 1000) : null;
+        entry.folders = [...folders];
+        entries.push(entry);
+      } else if (closing) {
+        folders.pop();
+      } else {
+        // A list opens the folder named by the preceding heading (the root list has none)
+        folders.push(heading);
+        heading = null;
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Keep entries within a date range and/or bookmark folder
+   * Undated entries are dropped as soon as a date bound is given
+   *
+   * @param {Object[]} entries - Parsed entries
+   * @param {Object} [filters={}] - Filters
+   * @param {Date|null} [filters.since=null] - Earliest date (inclusive)
+   * @param {Date|null} [filters.until=null] - Latest date (exclusive)
+   * @param {string|null} [filters.folder=null] - Folder name, matched case-insensitively at
+   *   any depth (subfolders included)
+   * @returns {Object[]} Matching entries
+   */
+  static filter(entries, { since = null, until = null, folder = null } = {}) {
+    const wanted = folder ? folder.trim().toLowerCase() : null;
+
+    return entries.filter((entry) => {
+      if (since || until) {
+        if (!entry.date || (since && entry.date < since) || (until && entry.date >= until)) {
+          return false;
+        }
+      }
+      if (wanted) {
+        return entry.folders.some((name) => name && name.trim().toLowerCase() === wanted);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Keep the first entry of each video
+   * (watch histories are newest first, so that is the latest viewing)
+   *
+   * @param {Object[]} entries - Entries
+   * @returns {Object[]} Entries with unique video IDs, in order
+   */
+  static deduplicate(entries) {
+    const seen = new Set();
+    return entries.filter((entry) => {
+      if (seen.has(entry.videoId)) {
+        return false;
+      }
+      seen.add(entry.videoId);
+      return true;
+    });
+  }
+
+  /**
+   * Build an entry for a video reference
+   * @private
+   * @param {string} reference - URL or bare video ID from the export
+   * @returns {Object|null} Entry, or null if the reference is not a video
+   */
+  static _entry(reference) {
+    const record = URLNormalizer.normalize(reference.trim());
+    if (!record || !record.videoId) {
+      return null;
+    }
+
+    return {
+      videoId: record.videoId,
+      url: URLNormalizer.buildVideoUrl(record.videoId),
+      title: null,
+      channel: null,
+      date: null,
+      folders: [],
+    };
+  }
+
+  /**
+   * Parse an ISO 8601 timestamp
+   * @private
+   * @param {*} value - Timestamp from the export
+   * @returns {Date|null} Date, or null if missing or invalid
+   */
+  static _parseDate(value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return null;
+    }
+    const date = new Date(value.trim());
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Split one CSV line into cells (RFC 4180 quoting, no embedded line breaks)
+   * @private
+   * @param {string} line - CSV line
+   * @returns {string[]} Trimmed cells
+   */
+  static _parseCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  /**
+   * Strip tags and decode entities of bookmark text
+   * @private
+   * @param {string} html - HTML fragment
+   * @returns {string} Plain text
+   */
+  static _decodeHtml(html) {
+    return html
+      .replace(/<[^>]*>/g, '')
+      .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+          const code =
+            name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+          return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        }
+        return ImportParser.HTML_ENTITIES[name.toLowerCase()] ?? entity;
+      })
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
+
+module.exports = ImportParser;
@@ -0,0 +1,395 @@
+const URLNormalizer = require('./URLNormalizer');
+const ConsoleFormatter = require('./ConsoleFormatter');
+const validators = require('./validators');
+const URLParser = require('./URLParser');
+const SourceExpander = require('../services/SourceExpander');
+
+/**
+ * Input Parser
+ *
+ * Turns youtube.md content into the lines a batch is built from: video
+ * references plus playlist/channel lines (expanded later by SourceExpander),
+ * and deduplicates video references by video ID and language.
+ * Shared by `transcriptor` (process) and `transcriptor watch`.
+ *
+ * youtube.md is read as markdown notes: a line may be just a reference (with
+ * an optional lang= hint), or YouTube links may appear anywhere in list items,
+ * `[title](url)` links, autolinks, tables and prose. The text around such a
+ * link becomes the video's note. Links inside fenced code blocks and HTML
+ * comments (`<!-- ... -->`, possibly spanning lines) are ignored.
+ *
+ * A bare 11-character video ID that reads as an ordinary word ("Conclusions")
+ * is only taken as a video when the input is explicitly a list of videos
+ * (acceptBareIds: `transcriptor add`, stdin); see URLNormalizer.isWordLike.
+ *
+ * Lines may be markdown list items or checkboxes (`- [ ] url`) and may carry
+ * a status annotation written by --annotate (`url ✓ tr_<id>_<title>.md`);
+ * both are stripped before the reference is validated.
+ *
+ * @class InputParser
+ */
+class InputParser {
+  static MAX_URL_LENGTH = 2048;
+
+  // Status markers written by --annotate: done, failed/skipped, waiting (queued or deferred)
+  static STATUS_MARKERS = { done: '✓', failed: '✗', waiting: '…' };
+
+  // [prefix: indent, list bullet, checkbox] [body: reference and hints] [status annotation]
+  static LINE_PATTERN = /^(\s*(?:[-*+]\s+(?:\[[ xX]\]\s+)?)?)(.*?)(?:\s+([✓✗…]\s.*))?$/u;
+
+  // Opening or closing fence of a code block (``` or ~~~)
+  static FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+
+  static COMMENT_OPEN = '<!--';
+  static COMMENT_CLOSE = '-->';
+
+  // [text](url "title") | <url> | bare URL (YouTube hosts may omit the scheme)
+  static LINK_PATTERN =
+    /\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)|<(https?:\/\/[^>\s]+)>|(https?:\/\/[^\s<>()[\]|"'`]+|(?<![\w./-])(?:(?:www|m|music)\.)?(?:youtube\.com|youtu\.be)\/[^\s<>()[\]|"'`]+)/gi;
+
+  static NOTE_MAX_LENGTH = 200;
+
+  /**
+   * Split a youtube.md line into its markdown prefix, reference and status annotation
+   *
+   * @param {string} line - Raw line
+   * @returns {{prefix: string, body: string, status: string|null}} Parts; body is trimmed
+   *
+   * @example
+   * InputParser.splitLine('- [x] https://youtu.be/dQw4w9WgXcQ lang=fr ✓ tr_dQw4w9WgXcQ.fr_x.md');
+   * // { prefix: '- [x] ', body: 'https://youtu.be/dQw4w9WgXcQ lang=fr', status: '✓ tr_...' }
+   */
+  static splitLine(line) {
+    const [, prefix, body, status] = InputParser.LINE_PATTERN.exec(line);
+    return { prefix, body: body.trim(), status: status || null };
+  }
+
+  /**
+   * Parse URLs from file content
+   * Implements FR-1.1 URL extraction and validation
+   *
+   * @param {string} content - File content
+   * @param {Object} [options={}] - Parse options (see parseInput)
+   * @returns {string[]} Array of valid YouTube URLs
+   */
+  static parseUrls(content, options = {}) {
+    return InputParser.parseInput(content, options).urls;
+  }
+
+  /**
+   * Parse URLs and the notes written around them from file content
+   *
+   * @param {string} content - File content
+   * @param {Object} [options={}] - Parse options
+   * @param {boolean} [options.acceptBareIds=false] - Take every bare 11-character ID as a
+   *   video, word-like ones included (explicit inputs: `transcriptor add`, stdin)
+   * @returns {{urls: string[], notes: Map<string, string>}} References in file order (with
+   *   lang= hints, at most URLParser.MAX_URL_COUNT) and videoId -> note for videos whose line
+   *   carries text (first line wins)
+   */
+  static parseInput(content, options = {}) {
+    // Handle both Unix (LF) and Windows (CRLF) line endings
+    const lines = content.split(/\r?\n/);
+    const fenced = InputParser.fencedLines(lines);
+    const visible = InputParser.stripComments(lines, fenced);
+    const urls = [];
+    const notes = new Map();
+
+    for (let index = 0; index < lines.length; index++) {
+      if (fenced.has(index)) {
+        continue;
+      }
+
+      if (urls.length >= URLParser.MAX_URL_COUNT) {
+        console.warn(
+          `Maximum URL count (${URLParser.MAX_URL_COUNT}) reached. Remaining lines will be ignored.`
+        );
+        break;
+      }
+
+      const { references, note, invalid } = InputParser.parseLine(visible[index], options);
+      if (invalid) {
+        // Skip invalid URLs with sanitized logging (prevent log injection)
+        const sanitized = ConsoleFormatter.sanitizeForLog(invalid);
+        console.log(`Skipping invalid URL: ${sanitized}`);
+        continue;
+      }
+
+      for (const reference of references.slice(0, URLParser.MAX_URL_COUNT - urls.length)) {
+        urls.push(reference);
+        const videoId = note ? URLNormalizer.extractVideoId(reference) : null;
+        if (videoId && !notes.has(videoId)) {
+          notes.set(videoId, note);
+        }
+      }
+    }
+
+    return { urls, notes };
+  }
+
+  /**
+   * Extract YouTube references from a single line
+   * FR-1.1: a line that is exactly a reference is taken as is; otherwise every
+   * YouTube link in it is extracted and the remaining text becomes the note.
+   * A lone token that is not a YouTube reference is reported as invalid;
+   * prose without YouTube links is ignored. HTML comments opened on the line
+   * are dropped first (use stripComments for comments spanning lines).
+   *
+   * @param {string} line - Raw line (outside code blocks)
+   * @param {Object} [options={}] - Parse options
+   * @param {boolean} [options.acceptBareIds=false] - Take word-like bare IDs as videos
+   * @returns {{references: string[], note: string|null, invalid: string|null}} Parsed line
+   *
+   * @example
+   * InputParser.parseLine('- [Great talk](https://youtu.be/dQw4w9WgXcQ) by Rick lang=fr');
+   * // { references: ['https://youtu.be/dQw4w9WgXcQ lang=fr'], note: 'Great talk by Rick', invalid: null }
+   *
+   * InputParser.parseLine('<!-- https://youtu.be/dQw4w9WgXcQ -->');
+   * // { references: [], note: null, invalid: null }
+   */
+  static parseLine(line, options = {}) {
+    const { acceptBareIds = false } = options;
+    const [uncommented] = InputParser.stripComments([line]);
+    const { body } = InputParser.splitLine(uncommented);
+    const none = { references: [], note: null, invalid: null };
+
+    // Skip empty lines, comments and headings
+    if (body === '' || body.startsWith('#')) {
+      return none;
+    }
+
+    // Accept every video form URLNormalizer knows plus playlist/channel URLs (expanded later)
+    if (InputParser._isReference(body, acceptBareIds)) {
+      return { ...none, references: [body] };
+    }
+
+    // lang= hints apply to every link on the line; a malformed hint rejects the line
+    const hints = [...body.matchAll(/(?:^|\s)lang=(\S*)/g)].map((match) => match[1]);
+    const lang = hints.length > 0 ? hints[hints.length - 1] : null;
+    if (lang !== null && !validators.isValidLanguageCode(lang)) {
+      return { ...none, invalid: body };
+    }
+
+    const references = [];
+    let rest = body;
+
+    for (const match of body.matchAll(InputParser.LINK_PATTERN)) {
+      const [text, label, target, autolink, bare] = match;
+      const url = InputParser._trimUrl(target || autolink || bare);
+      if (!InputParser._isReference(url)) {
+        continue;
+      }
+
+      references.push(URLNormalizer.withHints(url, { lang }));
+
+      // Link text stays in the note unless it merely repeats the URL
+      const keepLabel = label && !InputParser._isReference(label.trim());
+      rest = rest.replace(bare ? url : text, keepLabel ? label : ' ');
+    }
+
+    // Table rows (separator rows included) are structure, not typos
+    if (references.length === 0) {
+      return /\s/.test(body) || body.startsWith('|') ? none : { ...none, invalid: body };
+    }
+
+    return { ...none, references, note: InputParser._buildNote(rest) };
+  }
+
+  /**
+   * Indexes of lines inside fenced code blocks (fence lines included)
+   * An unclosed fence runs to the end of the file, as in markdown
+   *
+   * @param {string[]} lines - File lines
+   * @returns {Set<number>} Fenced line indexes
+   */
+  static fencedLines(lines) {
+    const fenced = new Set();
+    let fence = null;
+
+    lines.forEach((line, index) => {
+      const match = InputParser.FENCE_PATTERN.exec(line);
+
+      if (fence) {
+        fenced.add(index);
+        const closes =
+          match &&
+          match[1][0] === fence[0] &&
+          match[1].length >= fence.length &&
+          line.trim() === match[1];
+        if (closes) {
+          fence = null;
+        }
+      } else if (match) {
+        fence = match[1];
+        fenced.add(index);
+      }
+    });
+
+    return fenced;
+  }
+
+  /**
+   * Lines with their HTML comments (`<!-- ... -->`) removed
+   * A comment may span lines; an unclosed comment runs to the end of the file,
+   * as in markdown. Fenced lines are kept as they are (comments are literal text
+   * in code blocks).
+   *
+   * @param {string[]} lines - File lines
+   * @param {Set<number>} [fenced=new Set()] - Fenced line indexes (see fencedLines)
+   * @returns {string[]} Lines in the same order, comment text replaced by a space
+   */
+  static stripComments(lines, fenced = new Set()) {
+    const { COMMENT_OPEN, COMMENT_CLOSE } = InputParser;
+    let open = false;
+
+    return lines.map((line, index) => {
+      if (fenced.has(index)) {
+        return line;
+      }
+
+      let visible = '';
+      let rest = line;
+      while (rest !== '') {
+        const delimiter = open ? COMMENT_CLOSE : COMMENT_OPEN;
+        const at = rest.indexOf(delimiter);
+        if (at === -1) {
+          visible += open ? '' : rest;
+          break;
+        }
+
+        visible += open ? ' ' : rest.slice(0, at);
+        rest = rest.slice(at + delimiter.length);
+        open = !open;
+      }
+      return visible;
+    });
+  }
+
+  /**
+   * Check if text is a video, playlist or channel reference
+   * @private
+   * @param {string} text - Candidate (may carry lang= hints)
+   * @param {boolean} [acceptBareIds=false] - Take word-like bare IDs as videos
+   * @returns {boolean} True if the whole text is a reference
+   */
+  static _isReference(text, acceptBareIds = false) {
+    if (!acceptBareIds && URLNormalizer.isWordLike(text)) {
+      return false;
+    }
+    return InputParser.isYouTubeUrl(text) || SourceExpander.isCollectionUrl(text);
+  }
+
+  /**
+   * Drop sentence punctuation that follows a bare URL in prose
+   * @private
+   * @param {string} url - Matched URL
+   * @returns {string} URL without trailing punctuation
+   */
+  static _trimUrl(url) {
+    return url.replace(/[.,;:!?*_]+$/, '');
+  }
+
+  /**
+   * Turn the text left around a line's links into a single-line note
+   * Table rows keep their cells, separated by " - "
+   * @private
+   * @param {string} text - Line body with YouTube links removed
+   * @returns {string|null} Note or null if nothing meaningful is left
+   */
+  static _buildNote(text) {
+    let note = text.replace(/(?:^|\s)lang=\S*/g, ' ');
+
+    if (note.trim().startsWith('|')) {
+      note = note
+        .split('|')
+        .map((cell) => cell.trim())
+        .filter(Boolean)
+        .join(' - ');
+    }
+
+    note = note
+      .replace(/\p{Cc}/gu, '')
+      .replace(/\s+/g, ' ')
+      .replace(/ ([,.;:!?])/g, '$1')
+      .replace(/^[\s:;,\-–—]+|[\s:;,\-–—]+$/g, '');
+
+    if (note.length > InputParser.NOTE_MAX_LENGTH) {
+      note = `${note.slice(0, InputParser.NOTE_MAX_LENGTH - 3).trimEnd()}...`;
+    }
+
+    return note || null;
+  }
+
+  /**
+   * Check if string is a valid YouTube video reference
+   * Any form accepted by URLNormalizer: watch, youtu.be, shorts, live, embed, bare ID
+   * @param {string} url - URL to validate
+   * @returns {boolean} True if valid YouTube video reference
+   */
+  static isYouTubeUrl(url) {
+    // Security: Basic format validation before processing
+    if (typeof url !== 'string' || url.length === 0 || url.length > InputParser.MAX_URL_LENGTH) {
+      return false;
+    }
+
+    return URLNormalizer.extractVideoId(url) !== null;
+  }
+
+  /**
+   * Normalize URLs and remove duplicate videos while preserving order
+   * Duplicates are detected by video ID and language, so youtu.be, shorts and watch
+   * forms of the same video (or different t= offsets) are processed once per language
+   *
+   * @param {string[]} urls - Video URLs (collections already expanded)
+   * @param {string|null} [defaultLang=null] - Language for lines without a lang= hint
+   * @returns {Object[]} Canonical records {videoId, startSeconds, playlistId, lang, sourceLine}
+   */
+  static deduplicateVideos(urls, defaultLang = null) {
+    const seen = new Set();
+    const unique = [];
+    let duplicates = 0;
+    let invalid = 0;
+
+    for (const url of urls) {
+      const record = URLNormalizer.normalize(url);
+      if (!record || !record.videoId) {
+        invalid++;
+        continue;
+      }
+
+      record.lang = record.lang || defaultLang;
+      const key = InputParser.videoKey(record.videoId, record.lang);
+
+      if (!seen.has(key)) {
+        seen.add(key);
+        unique.push(record);
+      } else {
+        // Sanitize URL for logging
+        const sanitized = ConsoleFormatter.sanitizeForLog(url);
+        console.log(`Skipping duplicate video ${record.videoId}: ${sanitized}`);
+        duplicates++;
+      }
+    }
+
+    if (duplicates > 0) {
+      console.log(`Removed ${duplicates} duplicate URL${duplicates !== 1 ? 's' : ''}`);
+    }
+    if (invalid > 0) {
+      console.log(`Skipped ${invalid} line${invalid !== 1 ? 's' : ''} without a video`);
+    }
+
+    return unique;
+  }
+
+  /**
+   * Dedupe key for a video in a given language
+   * @param {string} videoId - YouTube video ID
+   * @param {string|null} lang - Language code or null for default track
+   * @returns {string} videoId or videoId:lang
+   */
+  static videoKey(videoId, lang) {
+    return lang ? `${videoId}:${lang}` : videoId;
+  }
+}
+
+module.exports = InputParser;
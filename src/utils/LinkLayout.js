@@ -0,0 +1,175 @@
+const path = require('path');
+const ProjectConfig = require('./ProjectConfig');
+const { toIsoDate } = require('./dateUtils');
+
+/**
+ * Link Layout
+ *
+ * Where a project's transcripts are linked, from its .transcriptor.json:
+ *
+ *   {
+ *     "transcriptsDir": "notes/videos",
+ *     "filenameTemplate": "{channel}/{date}_{title}.md"
+ *   }
+ *
+ * transcriptsDir defaults to `transcripts`. Without filenameTemplate a link
+ * has the name of the central transcript (tr_{id}[.{lang}]_{title}.md).
+ * Template placeholders:
+ *
+ * - {id}: video ID
+ * - {title}, {channel}: formatted like central filenames (lowercase, a-z 0-9 _ -)
+ * - {date}: date the transcript was added, YYYY-MM-DD
+ * - {lang}: language code, or `default` for the provider's default track
+ *
+ * Both settings are relative paths with `/` separators that may not climb out
+ * of the project (no `..`, no absolute paths). Placeholder values never contain
+ * separators or dots, so an expanded template stays inside transcriptsDir.
+ *
+ * @class LinkLayout
+ */
+class LinkLayout {
+  static DEFAULT_DIR = 'transcripts';
+  static PLACEHOLDERS = ['id', 'title', 'channel', 'date', 'lang'];
+  static MAX_TEMPLATE_LENGTH = 512;
+  static MAX_SEGMENT_LENGTH = 255;
+
+  /**
+   * Load a project's layout
+   *
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<{dir: string, template: string|null}>} Absolute links directory and
+   *   filename template (null for central filenames)
+   * @throws {Error} If .transcriptor.json or one of the settings is invalid
+   */
+  static async load(projectDir) {
+    const absoluteProjectDir = path.resolve(projectDir);
+    const config = await ProjectConfig.load(absoluteProjectDir);
+    const configPath = ProjectConfig.getConfigPath(absoluteProjectDir);
+
+    const dir =
+      config.transcriptsDir === undefined ? LinkLayout.DEFAULT_DIR : config.transcriptsDir;
+    const dirError = LinkLayout._validatePath(dir);
+    if (dirError) {
+      throw new Error(`Invalid transcriptsDir in ${configPath}: ${dirError}`);
+    }
+
+    const template = config.filenameTemplate === undefined ? null : config.filenameTemplate;
+    const templateError = template === null ? null : LinkLayout.validateTemplate(template);
+    if (templateError) {
+      throw new Error(`Invalid filenameTemplate in ${configPath}: ${templateError}`);
+    }
+
+    return { dir: path.join(absoluteProjectDir, ...dir.split('/')), template };
+  }
+
+  /**
+   * Check a filename template
+   *
+   * @param {*} template - Template from .transcriptor.json
+   * @returns {string|null} Problem description, or null if valid
+   */
+  static validateTemplate(template) {
+    const pathError = LinkLayout._validatePath(template);
+    if (pathError) {
+      return pathError;
+    }
+    if (template.length > LinkLayout.MAX_TEMPLATE_LENGTH) {
+      return `longer than ${LinkLayout.MAX_TEMPLATE_LENGTH} characters`;
+    }
+    if (!template.endsWith('.md')) {
+      return 'must end with .md';
+    }
+
+    for (const [, name] of template.matchAll(/\{([^{}]*)\}/g)) {
+      if (!LinkLayout.PLACEHOLDERS.includes(name)) {
+        return `unknown placeholder {${name}} (expected ${LinkLayout.PLACEHOLDERS.map((p) => `{${p}}`).join(', ')})`;
+      }
+    }
+    if (/[{}]/.test(template.replace(/\{[a-z]+\}/g, ''))) {
+      return 'unbalanced braces';
+    }
+
+    return null;
+  }
+
+  /**
+   * Placeholder values of a video
+   *
+   * @param {string} videoId - YouTube video ID
+   * @param {string|null} lang - Language code or null for provider default
+   * @param {Object|null} entry - Registry entry ({title, channel, date_added})
+   * @returns {Object} Placeholder name -> value
+   */
+  static values(videoId, lang, entry) {
+    const MetadataService = require('../services/MetadataService');
+    const metadataService = new MetadataService();
+    const { title, channel, date_added: dateAdded } = entry || {};
+
+    return {
+      id: videoId,
+      title: metadataService.formatTitle(title),
+      channel: channel ? metadataService.formatChannel(channel) : 'unknown_channel',
+      date: toIsoDate(dateAdded) || 'unknown-date',
+      lang: lang || 'default',
+    };
+  }
+
+  /**
+   * Expand a template
+   *
+   * @param {string} template - Valid filename template
+   * @param {Object} values - Placeholder values (see values())
+   * @returns {string} Relative path below the links directory (platform separators)
+   * @throws {Error} If an expanded path segment is too long
+   */
+  static expand(template, values) {
+    const segments = template
+      .split('/')
+      .map((segment) => segment.replace(/\{([a-z]+)\}/g, (match, name) => values[name]));
+
+    const tooLong = segments.find((segment) => segment.length > LinkLayout.MAX_SEGMENT_LENGTH);
+    if (tooLong) {
+      throw new Error(
+        `Link path segment exceeds ${LinkLayout.MAX_SEGMENT_LENGTH} characters: ${tooLong}`
+      );
+    }
+
+    return path.join(...segments);
+  }
+
+  /**
+   * Check that a path lies strictly inside a directory
+   *
+   * @param {string} dir - Absolute directory
+   * @param {string} target - Absolute path
+   * @returns {boolean} True if target is below dir
+   */
+  static isInside(dir, target) {
+    const relative = path.relative(dir, target);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
+  /**
+   * Check a relative path setting (traversal and platform safety)
+   * @private
+   * @param {*} value - Setting value
+   * @returns {string|null} Problem description, or null if valid
+   */
+  static _validatePath(value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return 'expected a non-empty string';
+    }
+    if (value.includes('\\') || value.includes('\0')) {
+      return 'use / as separator (no backslashes)';
+    }
+    if (value.startsWith('/') || /^[A-Za-z]:/.test(value)) {
+      return 'must be relative to the project directory';
+    }
+    if (value.split('/').some((segment) => segment === '' || segment === '.' || segment === '..')) {
+      return 'empty, "." and ".." path segments are not allowed';
+    }
+    return null;
+  }
+}
+
+module.exports = LinkLayout;
@@ -15,6 +15,8 @@ const LOG_MESSAGES = {
   TRANSCRIPT_EMPTY_CACHED: (videoId) =>
     `[Transcript] Cached file empty for ${videoId} - refetching`,
   TRANSCRIPT_READ_FAILED: (videoId) => `[Transcript] Cache read failed for ${videoId}:`,
+  NOTE_UPDATE_FAILED: (videoId, message) =>
+    `[Transcript] Could not save note for ${videoId}: ${message}`,
   TRANSCRIPT_FETCHING: (videoId) => `[Transcript] Fetching from API for ${videoId}`,
   TRANSCRIPT_SAVING: (videoId) => `[Transcript] Saving to storage: ${videoId}`,
   TRANSCRIPT_SAVED: (videoId) => `[Transcript] Saved successfully: ${videoId}`,
@@ -37,6 +39,28 @@ const LOG_MESSAGES = {
 
   BATCH_START: (count) => `[Process] Starting batch processing for ${count} URLs`,
   BATCH_PROJECT_DIR: (dir) => `[Process] Project directory: ${dir}`,
+  BATCH_CONCURRENCY: (count) => `[Process] Processing up to ${count} URLs in parallel`,
+  JOB_STARTED: (jobId) => `[Job] ${jobId} started (resume with: transcriptor resume ${jobId})`,
+  JOB_RESUMED: (jobId, pending, total) =>
+    `[Job] Resuming ${jobId}: ${pending} of ${total} URLs pending`,
+  JOB_WRITE_FAILED: (errorMessage) => `[Job] Failed to update job journal: ${errorMessage}`,
+  FAILURE_PERMANENT: (videoId, type) =>
+    `[Failures] ${videoId} failed permanently (${type}), retry will skip it`,
+  UNAVAILABLE_SKIPPED: (label, reason) =>
+    `[Process] Skipping ${label}: ${reason} (use --force to check again)`,
+  UNAVAILABLE_WRITE_FAILED: (errorMessage) =>
+    `[Process] Failed to record unavailable video: ${errorMessage}`,
+  OFFLINE_QUEUED: (label) => `[Process] ${label} not cached, queued for the next online run`,
+  PENDING_QUEUE_WRITE_FAILED: (errorMessage) =>
+    `[Process] Failed to queue video for the next online run: ${errorMessage}`,
+  FAILURE_QUEUE_WRITE_FAILED: (errorMessage) =>
+    `[Failures] Failed to update failure queue: ${errorMessage}`,
+  USAGE_WRITE_FAILED: (errorMessage) => `[Usage] Failed to record API call: ${errorMessage}`,
+  BUDGET_EXHAUSTED: (label) =>
+    `[Process] ${label} deferred: API call budget used up (--max-api-calls)`,
+  BUDGET_STOPPED: (deferred, jobId) =>
+    `[Job] API call budget used up, ${deferred} video(s) left pending ` +
+    `(continue with: transcriptor resume ${jobId})`,
 };
 
 module.exports = { LOG_MESSAGES };
@@ -112,6 +112,30 @@ class Logger {
     return this.level >= LogLevel.VERBOSE;
   }
 
+  /**
+   * Run a function with console.log and console.warn muted
+   * Errors (console.error) are still shown; nothing is muted in verbose mode
+   *
+   * @param {Function} fn - Function to run (may be async)
+   * @returns {Promise<any>} Result of fn
+   */
+  async muted(fn) {
+    if (this.isVerbose()) {
+      return fn();
+    }
+
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+
+    try {
+      return await fn();
+    } finally {
+      console.log = log;
+      console.warn = warn;
+    }
+  }
+
   /**
    * Check if quiet mode enabled
    * @returns {boolean} True if quiet
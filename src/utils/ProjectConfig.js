@@ -0,0 +1,74 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Project Config
+ *
+ * Reads the optional per-project settings file, `.transcriptor.json` in the
+ * project directory (next to youtube.md):
+ *
+ *   {
+ *     "linkMode": "copy",
+ *     "transcriptsDir": "notes/videos",
+ *     "filenameTemplate": "{channel}/{date}_{title}.md"
+ *   }
+ *
+ * The file is read on every use, so edits apply to the next link created.
+ * Settings are validated by the component that uses them (LinkManager for
+ * linkMode, LinkLayout for transcriptsDir and filenameTemplate).
+ *
+ * @class ProjectConfig
+ */
+class ProjectConfig {
+  static FILENAME = '.transcriptor.json';
+  static MAX_FILE_SIZE = 64 * 1024;
+
+  /**
+   * Absolute path of a project's settings file
+   * @param {string} projectDir - Project directory
+   * @returns {string} Settings file path
+   */
+  static getConfigPath(projectDir) {
+    return path.join(path.resolve(projectDir), ProjectConfig.FILENAME);
+  }
+
+  /**
+   * Load a project's settings
+   *
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<Object>} Settings (empty object if the project has no settings file)
+   * @throws {Error} If the file is unreadable, too large or not a JSON object
+   */
+  static async load(projectDir) {
+    const configPath = ProjectConfig.getConfigPath(projectDir);
+
+    let content;
+    try {
+      const stats = await fs.stat(configPath);
+      if (stats.size > ProjectConfig.MAX_FILE_SIZE) {
+        throw new Error(`exceeds ${ProjectConfig.MAX_FILE_SIZE / 1024}KB limit`);
+      }
+      content = await fs.readFile(configPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw new Error(`Cannot read ${configPath}: ${error.message}`);
+    }
+
+    let config;
+    try {
+      config = JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${configPath}: ${error.message}`);
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(`Invalid ${configPath}: expected a JSON object`);
+    }
+
+    return config;
+  }
+}
+
+module.exports = ProjectConfig;
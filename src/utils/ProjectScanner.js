@@ -0,0 +1,52 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Project Scanner
+ *
+ * Finds project directories (directories holding a youtube.md) below a root,
+ * for `transcriptor --recursive`. Dependency and VCS directories are skipped
+ * and symbolic links are not followed, so the walk cannot loop.
+ *
+ * @class ProjectScanner
+ */
+class ProjectScanner {
+  static INPUT_FILE = 'youtube.md';
+  static SKIPPED_DIRS = new Set(['node_modules', '.git']);
+
+  /**
+   * List project directories below root (root included)
+   * Unreadable directories are reported and skipped
+   *
+   * @param {string} root - Absolute root directory
+   * @returns {Promise<string[]>} Absolute project directories, sorted
+   */
+  static async findProjects(root) {
+    const projects = [];
+    const pending = [root];
+
+    while (pending.length > 0) {
+      const dir = pending.pop();
+
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        console.warn(`[Scan] Skipping ${dir}: ${error.message}`);
+        continue;
+      }
+
+      for (const entry of entries) {
+        if (entry.isFile() && entry.name === ProjectScanner.INPUT_FILE) {
+          projects.push(dir);
+        } else if (entry.isDirectory() && !ProjectScanner.SKIPPED_DIRS.has(entry.name)) {
+          pending.push(path.join(dir, entry.name));
+        }
+      }
+    }
+
+    return projects.sort();
+  }
+}
+
+module.exports = ProjectScanner;
@@ -19,6 +19,7 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs-extra');
+const LinkLayout = require('./LinkLayout');
 
 class RAGExecutor {
   /**
@@ -87,7 +88,8 @@ class RAGExecutor {
    *   commandType: string     // Type of command executed ('default' or 'gemini')
    * }
    *
-   * @throws {Error} Only if transcripts directory doesn't exist or invalid commandType
+   * @throws {Error} Only if transcripts directory doesn't exist, .transcriptor.json is invalid
+   *   or invalid commandType
    */
   static async execute(projectDir = process.cwd(), commandType = 'default') {
     // TR-48: Validate command type
@@ -98,7 +100,7 @@ class RAGExecutor {
       );
     }
 
-    const transcriptsDir = path.resolve(projectDir, 'transcripts');
+    const { dir: transcriptsDir } = await LinkLayout.load(projectDir);
 
     // TR-39: Validate working directory exists
     const dirExists = await fs.pathExists(transcriptsDir);
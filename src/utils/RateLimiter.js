@@ -0,0 +1,105 @@
+/**
+ * Rate Limiter
+ *
+ * Token bucket shared by every request an APIClient makes, so concurrent
+ * workers together stay under the provider's request rate. A server-side
+ * rate limit (429 / Retry-After) pauses the whole bucket: no worker sends
+ * another request until the pause ends.
+ *
+ * Callers are served first come, first served.
+ *
+ * @class RateLimiter
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Bucket configuration
+   * @param {number} options.requestsPerSecond - Sustained refill rate
+   * @param {number} options.burst - Bucket capacity (requests allowed back to back)
+   * @throws {Error} If options not positive numbers
+   */
+  constructor({ requestsPerSecond, burst }) {
+    if (!(requestsPerSecond > 0) || !(burst >= 1)) {
+      throw new Error('RateLimiter requires requestsPerSecond > 0 and burst >= 1');
+    }
+
+    this.rate = requestsPerSecond;
+    this.capacity = burst;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait for a request slot
+   * @returns {Promise<void>} Resolves when the caller may send one request
+   */
+  acquire() {
+    const turn = this.queue.then(() => this._take());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Stop handing out slots for a while (server asked us to back off)
+   * Overlapping pauses extend to the latest end time; the bucket restarts empty
+   * @param {number} delayMs - Pause length in milliseconds
+   */
+  pauseFor(delayMs) {
+    const until = Date.now() + delayMs;
+    if (until <= this.pausedUntil) {
+      return;
+    }
+
+    console.warn(`[RateLimit] Pausing all requests for ${delayMs}ms`);
+    this.pausedUntil = until;
+    this.tokens = 0;
+    this.lastRefill = until;
+  }
+
+  /**
+   * Take one token, sleeping until paused time ends and a token is available
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _take() {
+    for (;;) {
+      const now = Date.now();
+
+      if (now < this.pausedUntil) {
+        await this._sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      this._refill(now);
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await this._sleep(Math.ceil(((1 - this.tokens) * 1000) / this.rate));
+    }
+  }
+
+  /**
+   * Add tokens earned since last refill
+   * @private
+   * @param {number} now - Current timestamp
+   */
+  _refill(now) {
+    const elapsedSeconds = Math.max(0, now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.rate);
+    this.lastRefill = Math.max(this.lastRefill, now);
+  }
+
+  /**
+   * @private
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   */
+  _sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = RateLimiter;
@@ -37,6 +37,9 @@ class ResultFactory {
       cached: 0,
       fetched: 0,
       linked: 0,
+      skipped: 0,
+      queued: 0,
+      deferred: 0,
       failed: 0,
       errors: [],
     };
@@ -47,14 +50,34 @@ class ResultFactory {
    * @param {Object} results - Results object to mutate
    * @param {string} url - Failed URL
    * @param {string} errorMessage - Error message
+   * @param {string|null} [errorType=null] - ERROR_TYPES value, null if untyped
    */
-  static addBatchError(results, url, errorMessage) {
+  static addBatchError(results, url, errorMessage, errorType = null) {
     results.failed++;
     results.errors.push({
       url,
       error: errorMessage,
+      type: errorType,
     });
   }
+
+  /**
+   * Add one batch's results to running totals
+   * @param {Object} totals - Batch results to mutate
+   * @param {Object|null} batch - Batch results from processBatch (null adds nothing)
+   */
+  static mergeBatchResults(totals, batch) {
+    if (!batch) {
+      return;
+    }
+
+    for (const key of Object.keys(totals)) {
+      if (typeof totals[key] === 'number') {
+        totals[key] += batch[key] || 0;
+      }
+    }
+    totals.errors.push(...batch.errors);
+  }
 }
 
 module.exports = ResultFactory;
@@ -6,6 +6,7 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const UnavailableCache = require('./UnavailableCache');
 
 /**
  * Calculate all repository statistics
@@ -61,8 +62,13 @@ async function calculateStatisticsFromMetadata(metadata, storagePath) {
     return getZeroStatistics();
   }
 
-  const total = metadata.length;
-  const dates = metadata
+  const unavailable = summarizeUnavailable(metadata);
+
+  // Entries holding negative cache records only are not transcripts
+  const transcripts = metadata.filter((m) => UnavailableCache.holdsTranscripts(m));
+
+  const total = transcripts.length;
+  const dates = transcripts
     .map((m) => m.date)
     .filter((d) => d && typeof d === 'string' && d.trim() !== '')
     .sort();
@@ -72,7 +78,7 @@ async function calculateStatisticsFromMetadata(metadata, storagePath) {
   const size = await getFolderSize(storagePath);
 
   // Build entries array with metadata
-  const entries = metadata.map((m) => ({
+  const entries = transcripts.map((m) => ({
     videoId: m.id,
     channel: m.channel,
     title: m.title,
@@ -86,9 +92,29 @@ async function calculateStatisticsFromMetadata(metadata, storagePath) {
     oldest,
     newest,
     entries,
+    unavailable,
   };
 }
 
+/**
+ * Count active negative cache records by reason
+ * @param {Array} metadata - Registry metadata array
+ * @returns {{total: number, reasons: Object<string, number>}} Video/language pairs known unavailable
+ */
+function summarizeUnavailable(metadata) {
+  const summary = { total: 0, reasons: {} };
+  const now = new Date();
+
+  for (const m of metadata) {
+    for (const [, record] of UnavailableCache.activeRecords(m, now)) {
+      summary.total++;
+      summary.reasons[record.reason] = (summary.reasons[record.reason] || 0) + 1;
+    }
+  }
+
+  return summary;
+}
+
 /**
  * Get zero state for empty repository
  */
@@ -98,6 +124,7 @@ function getZeroStatistics() {
     size: 0,
     oldest: null,
     newest: null,
+    unavailable: { total: 0, reasons: {} },
   };
 }
 
@@ -0,0 +1,214 @@
+/**
+ * Subtitle Formatter Utility
+ * Converts timestamped transcript segments into SRT and WebVTT documents
+ *
+ * Line-length rules follow common broadcast guidance:
+ * - at most 42 characters per line, at most 2 lines per cue
+ * - longer segments are split into consecutive cues, timing shared by length
+ */
+class SubtitleFormatter {
+  static MAX_LINE_LENGTH = 42;
+  static MAX_LINES_PER_CUE = 2;
+  static MIN_CUE_DURATION_MS = 500;
+  static DEFAULT_CUE_DURATION_MS = 2000;
+  static FORMATS = ['srt', 'vtt'];
+
+  /**
+   * Render segments in the requested format
+   * @param {Array<{startMs: number, endMs: number, text: string}>} segments - Transcript segments
+   * @param {string} format - 'srt' or 'vtt'
+   * @returns {string} Subtitle document
+   * @throws {Error} If format unsupported or no usable segments
+   */
+  static render(segments, format) {
+    if (format === 'srt') {
+      return SubtitleFormatter.toSrt(segments);
+    }
+    if (format === 'vtt') {
+      return SubtitleFormatter.toVtt(segments);
+    }
+    throw new Error(`Unsupported subtitle format: ${format}`);
+  }
+
+  /**
+   * Render segments as SubRip (.srt)
+   * @param {Array<{startMs: number, endMs: number, text: string}>} segments - Transcript segments
+   * @returns {string} SRT document
+   */
+  static toSrt(segments) {
+    const cues = SubtitleFormatter.buildCues(segments);
+
+    return cues
+      .map((cue, index) =>
+        [
+          String(index + 1),
+          `${SubtitleFormatter.formatTimestamp(cue.startMs, ',')} --> ` +
+            SubtitleFormatter.formatTimestamp(cue.endMs, ','),
+          ...cue.lines,
+          '',
+        ].join('\n')
+      )
+      .join('\n');
+  }
+
+  /**
+   * Render segments as WebVTT (.vtt)
+   * @param {Array<{startMs: number, endMs: number, text: string}>} segments - Transcript segments
+   * @returns {string} WebVTT document
+   */
+  static toVtt(segments) {
+    const cues = SubtitleFormatter.buildCues(segments);
+
+    const body = cues
+      .map((cue) =>
+        [
+          `${SubtitleFormatter.formatTimestamp(cue.startMs, '.')} --> ` +
+            SubtitleFormatter.formatTimestamp(cue.endMs, '.'),
+          // "-->" inside cue text would terminate the cue early
+          ...cue.lines.map((line) => line.replace(/-->/g, '->')),
+          '',
+        ].join('\n')
+      )
+      .join('\n');
+
+    return `WEBVTT\n\n${body}`;
+  }
+
+  /**
+   * Build display cues from raw segments
+   * Fixes missing/overlapping end times and splits segments that exceed
+   * the line-length rules into consecutive cues
+   *
+   * @param {Array<{startMs: number, endMs: number, text: string}>} segments - Transcript segments
+   * @returns {Array<{startMs: number, endMs: number, lines: string[]}>} Cues in playback order
+   * @throws {Error} If no usable segments
+   */
+  static buildCues(segments) {
+    if (!Array.isArray(segments) || segments.length === 0) {
+      throw new Error('No timed segments to convert');
+    }
+
+    const ordered = segments
+      .filter((segment) => segment && typeof segment.text === 'string' && segment.text.trim())
+      .sort((a, b) => a.startMs - b.startMs);
+
+    if (ordered.length === 0) {
+      throw new Error('No timed segments to convert');
+    }
+
+    const cues = [];
+
+    ordered.forEach((segment, index) => {
+      const next = ordered[index + 1];
+      const endMs = SubtitleFormatter._resolveEndMs(segment, next);
+      const chunks = SubtitleFormatter.splitIntoCueLines(segment.text);
+      const totalChars = chunks.reduce((sum, lines) => sum + lines.join(' ').length, 0);
+
+      let cursor = segment.startMs;
+      chunks.forEach((lines, chunkIndex) => {
+        const isLast = chunkIndex === chunks.length - 1;
+        const share = Math.round(((endMs - segment.startMs) * lines.join(' ').length) / totalChars);
+        const chunkEnd = isLast ? endMs : cursor + share;
+
+        cues.push({ startMs: cursor, endMs: chunkEnd, lines });
+        cursor = chunkEnd;
+      });
+    });
+
+    return cues;
+  }
+
+  /**
+   * Wrap text into cue-sized groups of lines
+   * Words longer than a line are hard-split
+   *
+   * @param {string} text - Segment text
+   * @returns {string[][]} Groups of at most MAX_LINES_PER_CUE lines
+   */
+  static splitIntoCueLines(text) {
+    const lines = SubtitleFormatter.wrapText(text);
+    const groups = [];
+
+    for (let i = 0; i < lines.length; i += SubtitleFormatter.MAX_LINES_PER_CUE) {
+      groups.push(lines.slice(i, i + SubtitleFormatter.MAX_LINES_PER_CUE));
+    }
+
+    return groups;
+  }
+
+  /**
+   * Greedy word wrap at MAX_LINE_LENGTH
+   * @param {string} text - Text to wrap
+   * @returns {string[]} Wrapped lines
+   */
+  static wrapText(text) {
+    const max = SubtitleFormatter.MAX_LINE_LENGTH;
+    const words = text.replace(/\s+/g, ' ').trim().split(' ');
+    const lines = [];
+    let current = '';
+
+    for (let word of words) {
+      while (word.length > max) {
+        if (current) {
+          lines.push(current);
+          current = '';
+        }
+        lines.push(word.slice(0, max));
+        word = word.slice(max);
+      }
+
+      if (!current) {
+        current = word;
+      } else if (current.length + 1 + word.length <= max) {
+        current = `${current} ${word}`;
+      } else {
+        lines.push(current);
+        current = word;
+      }
+    }
+
+    if (current) {
+      lines.push(current);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Format milliseconds as HH:MM:SS{separator}mmm
+   * @param {number} ms - Offset in milliseconds
+   * @param {string} separator - ',' for SRT, '.' for WebVTT
+   * @returns {string} Timestamp
+   */
+  static formatTimestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+  }
+
+  /**
+   * Resolve cue end time
+   * Missing end times fall back to a default duration; overlaps with the
+   * next segment are trimmed so players never show two cues at once
+   * @private
+   */
+  static _resolveEndMs(segment, next) {
+    let endMs =
+      segment.endMs > segment.startMs
+        ? segment.endMs
+        : segment.startMs + SubtitleFormatter.DEFAULT_CUE_DURATION_MS;
+
+    if (next && next.startMs > segment.startMs && endMs > next.startMs) {
+      endMs = next.startMs;
+    }
+
+    return Math.max(endMs, segment.startMs + SubtitleFormatter.MIN_CUE_DURATION_MS);
+  }
+}
+
+module.exports = SubtitleFormatter;
@@ -0,0 +1,281 @@
+const URLValidator = require('./URLValidator');
+const validators = require('./validators');
+
+/**
+ * URLNormalizer - Canonical parser for every supported YouTube input form
+ *
+ * Single source of truth for turning a youtube.md line into a video reference.
+ * Used by the process command, URLParser and TranscriptService so that all
+ * three accept exactly the same inputs and agree on the extracted video ID.
+ *
+ * Supported forms:
+ * - youtube.com/watch?v=ID (www., m., music. hosts)
+ * - youtube.com/shorts/ID, /live/ID, /embed/ID, /v/ID, /e/ID
+ * - youtube-nocookie.com/embed/ID
+ * - youtu.be/ID
+ * - youtube.com/playlist?list=PL... (playlist only, no video)
+ * - bare 11-character video IDs (in youtube.md only when they do not read as a
+ *   word, see isWordLike)
+ * - start offsets via t= or start= (e.g. 90, 90s, 1m30s, 1h2m3s)
+ * - trailing line hints separated by whitespace: lang=fr
+ *
+ * @class URLNormalizer
+ */
+class URLNormalizer {
+  static HOSTS = [
+    'youtube.com',
+    'www.youtube.com',
+    'm.youtube.com',
+    'music.youtube.com',
+    'youtube-nocookie.com',
+    'www.youtube-nocookie.com',
+    'youtu.be',
+    'www.youtu.be',
+  ];
+
+  static SHORT_HOSTS = ['youtu.be', 'www.youtu.be'];
+
+  static VIDEO_PATH_PREFIXES = ['shorts', 'live', 'embed', 'v', 'e'];
+
+  static PLAYLIST_ID_PATTERN = /^[A-Za-z0-9_-]{2,64}$/;
+
+  static TIME_PATTERN = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/;
+
+  /**
+   * Normalize a single input line into a canonical video reference
+   *
+   * @param {string} line - Raw line (URL or bare video ID, optionally followed by hints)
+   * @returns {{videoId: string|null, startSeconds: number|null, playlistId: string|null, lang: string|null, sourceLine: string}|null}
+   *   Canonical record, or null if the line is not a supported YouTube reference.
+   *   videoId is null only for playlist URLs without a video.
+   *
+   * @example
+   * URLNormalizer.normalize('https://youtu.be/dQw4w9WgXcQ?t=42 lang=fr');
+   * // { videoId: 'dQw4w9WgXcQ', startSeconds: 42, playlistId: null, lang: 'fr', sourceLine: '...' }
+   */
+  static normalize(line) {
+    const split = URLNormalizer.splitHints(line);
+    if (!split) {
+      return null;
+    }
+
+    const { reference, lang, sourceLine } = split;
+
+    if (URLValidator.validateVideoId(reference)) {
+      return { videoId: reference, startSeconds: null, playlistId: null, lang, sourceLine };
+    }
+
+    const parsed = URLNormalizer._parseUrl(reference);
+    if (!parsed || !URLNormalizer.HOSTS.includes(parsed.hostname.toLowerCase())) {
+      return null;
+    }
+
+    const videoId = URLNormalizer._extractVideoId(parsed);
+    const playlistId = URLNormalizer._extractPlaylistId(parsed);
+
+    if (!videoId && !playlistId) {
+      return null;
+    }
+
+    return {
+      videoId,
+      startSeconds: videoId ? URLNormalizer._extractStartSeconds(parsed) : null,
+      playlistId,
+      lang,
+      sourceLine,
+    };
+  }
+
+  /**
+   * Check whether a line is a bare 11-character ID that reads as an ordinary word
+   * Video IDs almost always hold a digit, - or _, or a capital after the first
+   * letter; words such as "Conclusions" or "ENGINEERING" hold none of them, so
+   * in notes they are taken as text unless the input is explicitly a list of
+   * videos (`transcriptor add`, stdin)
+   *
+   * @param {string} line - Raw line (reference optionally followed by hints)
+   * @returns {boolean} True if the reference is a bare ID without an ID-like look
+   *
+   * @example
+   * URLNormalizer.isWordLike('Engineering'); // true
+   * URLNormalizer.isWordLike('dQw4w9WgXcQ'); // false
+   */
+  static isWordLike(line) {
+    const split = URLNormalizer.splitHints(line);
+    if (!split || !URLValidator.validateVideoId(split.reference)) {
+      return false;
+    }
+
+    const { reference } = split;
+    const mixedCase = /[a-z]/.test(reference) && /[A-Z]/.test(reference.slice(1));
+    return !/[0-9_-]/.test(reference) && !mixedCase;
+  }
+
+  /**
+   * Split a line into its YouTube reference and trailing hints
+   * Unknown or malformed hints reject the whole line, so typos are reported
+   * instead of silently ignored
+   *
+   * @param {string} line - Raw line
+   * @returns {{reference: string, lang: string|null, sourceLine: string}|null} Parts or null
+   */
+  static splitHints(line) {
+    if (typeof line !== 'string') {
+      return null;
+    }
+
+    const sourceLine = line.trim();
+    if (sourceLine === '' || sourceLine.length > URLValidator.MAX_URL_LENGTH) {
+      return null;
+    }
+
+    const [reference, ...hints] = sourceLine.split(/\s+/);
+    let lang = null;
+
+    for (const hint of hints) {
+      const match = /^lang=(.+)$/.exec(hint);
+      if (!match || !validators.isValidLanguageCode(match[1])) {
+        return null;
+      }
+      lang = match[1];
+    }
+
+    return { reference, lang, sourceLine };
+  }
+
+  /**
+   * Append line hints to a reference (inverse of splitHints)
+   * @param {string} reference - URL or video ID
+   * @param {{lang?: string|null}} hints - Hints to append
+   * @returns {string} Line with hints
+   */
+  static withHints(reference, { lang = null } = {}) {
+    return lang ? `${reference} lang=${lang}` : reference;
+  }
+
+  /**
+   * Extract video ID from any supported input form
+   * @param {string} line - Raw line (URL or bare video ID)
+   * @returns {string|null} Video ID or null if the line holds no video
+   */
+  static extractVideoId(line) {
+    const record = URLNormalizer.normalize(line);
+    return record ? record.videoId : null;
+  }
+
+  /**
+   * Check if line is a playlist URL without a specific video
+   * @param {string} line - Raw line
+   * @returns {boolean} True if playlist-only URL
+   */
+  static isPlaylistOnly(line) {
+    const record = URLNormalizer.normalize(line);
+    return Boolean(record && !record.videoId && record.playlistId);
+  }
+
+  /**
+   * Build canonical watch URL for a video ID
+   * @param {string} videoId - YouTube video ID
+   * @returns {string} Watch URL accepted by the API client
+   */
+  static buildVideoUrl(videoId) {
+    return `https://www.youtube.com/watch?v=${videoId}`;
+  }
+
+  /**
+   * Parse line as URL, adding a scheme when missing
+   * Non-http(s) schemes are rejected
+   * @private
+   * @param {string} line - Trimmed line
+   * @returns {URL|null} Parsed URL or null
+   */
+  static _parseUrl(line) {
+    let candidate = line;
+
+    if (candidate.startsWith('//')) {
+      candidate = `https:${candidate}`;
+    } else if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(candidate)) {
+      candidate = `https://${candidate}`;
+    }
+
+    try {
+      const parsed = new URL(candidate);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return null;
+      }
+      return parsed;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Extract video ID from parsed URL
+   * @private
+   * @param {URL} parsed - Parsed URL on a YouTube host
+   * @returns {string|null} Valid video ID or null
+   */
+  static _extractVideoId(parsed) {
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    let candidate = null;
+
+    if (URLNormalizer.SHORT_HOSTS.includes(parsed.hostname.toLowerCase())) {
+      candidate = segments[0] || null;
+    } else if (segments[0] === 'watch') {
+      candidate = parsed.searchParams.get('v');
+    } else if (URLNormalizer.VIDEO_PATH_PREFIXES.includes(segments[0])) {
+      candidate = segments[1] || null;
+    }
+
+    return URLValidator.validateVideoId(candidate) ? candidate : null;
+  }
+
+  /**
+   * Extract playlist ID from list= parameter
+   * @private
+   * @param {URL} parsed - Parsed URL on a YouTube host
+   * @returns {string|null} Playlist ID or null
+   */
+  static _extractPlaylistId(parsed) {
+    const list = parsed.searchParams.get('list');
+    return list && URLNormalizer.PLAYLIST_ID_PATTERN.test(list) ? list : null;
+  }
+
+  /**
+   * Extract start offset from t= or start= (query string or fragment)
+   * @private
+   * @param {URL} parsed - Parsed URL on a YouTube host
+   * @returns {number|null} Start offset in seconds or null
+   */
+  static _extractStartSeconds(parsed) {
+    const fragment = new URLSearchParams(parsed.hash.replace(/^#/, ''));
+    const value =
+      parsed.searchParams.get('t') ||
+      parsed.searchParams.get('start') ||
+      fragment.get('t') ||
+      fragment.get('start');
+
+    return URLNormalizer.parseTimestamp(value);
+  }
+
+  /**
+   * Parse YouTube timestamp notation into seconds
+   * @param {string|null} value - Timestamp (90, 90s, 1m30s, 1h2m3s)
+   * @returns {number|null} Seconds or null if absent or malformed
+   */
+  static parseTimestamp(value) {
+    if (!value) {
+      return null;
+    }
+
+    const match = String(value).trim().toLowerCase().match(URLNormalizer.TIME_PATTERN);
+    if (!match || (!match[1] && !match[2] && !match[3])) {
+      return null;
+    }
+
+    const [hours, minutes, seconds] = match.slice(1).map((part) => parseInt(part || '0', 10));
+    return hours * 3600 + minutes * 60 + seconds;
+  }
+}
+
+module.exports = URLNormalizer;
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const URLValidator = require('./URLValidator');
+const URLNormalizer = require('./URLNormalizer');
 const ValidationHelpers = require('./ValidationHelpers');
 
 /**
@@ -12,6 +13,7 @@ const ValidationHelpers = require('./ValidationHelpers');
  */
 class URLParser {
   static DEFAULT_INPUT_FILE = 'youtube.md';
+  static STDIN = '-'; // Input "file" that reads stdin (transcriptor --input -)
   static MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit (TR-Performance)
   static MAX_LINE_LENGTH = 10 * 1024; // 10KB per line (DoS prevention)
   static MAX_URL_COUNT = 1000; // TR-Performance limit
@@ -19,7 +21,7 @@ class URLParser {
 
   /**
    * Creates URLParser instance
-   * @param {string} [inputFile='youtube.md'] - Input filename to parse
+   * @param {string} [inputFile='youtube.md'] - Input filename to parse ('-' for stdin)
    */
   constructor(inputFile = URLParser.DEFAULT_INPUT_FILE) {
     this.inputFile = inputFile;
@@ -58,36 +60,105 @@ class URLParser {
       this.validateFileContent(content);
       return this.parseContent(content);
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        throw new Error(
-          `YouTube URL file not found: ${filePath}\n` +
-            `Please create ${this.inputFile} with one YouTube URL per line`
-        );
-      }
+      throw this.describeReadError(error, filePath);
+    }
+  }
 
-      if (error.code === 'EACCES') {
-        throw new Error(
-          `Permission denied reading ${filePath}\n` + `Check file permissions and try again`
-        );
+  /**
+   * Read raw input content (used by the process command, which parses it itself)
+   *
+   * Unlike parseFile, the input file may live anywhere: relative paths are
+   * resolved against workingDir. '-' reads stdin. The same limits apply:
+   * MAX_FILE_SIZE and text-only content.
+   *
+   * @param {string} [workingDir=process.cwd()] - Directory relative paths are resolved against
+   * @returns {Promise<string>} Input content
+   * @throws {Error} If file not found, unreadable, too large or binary
+   */
+  async readContent(workingDir = process.cwd()) {
+    let content;
+
+    if (this.inputFile === URLParser.STDIN) {
+      content = await this.readStdin();
+    } else {
+      const filePath = path.resolve(workingDir, this.inputFile);
+      try {
+        await this.validateFileSize(filePath);
+        content = await this.readFile(filePath);
+      } catch (error) {
+        throw this.describeReadError(error, filePath);
       }
+    }
 
-      if (error.code === 'EISDIR') {
+    this.validateFileContent(content);
+    return content;
+  }
+
+  /**
+   * Read piped input until end of stream, enforcing MAX_FILE_SIZE
+   * @param {stream.Readable} [stream=process.stdin] - Input stream
+   * @returns {Promise<string>} Content
+   * @throws {Error} If stdin is a terminal (nothing piped) or input too large
+   */
+  async readStdin(stream = process.stdin) {
+    if (stream.isTTY) {
+      throw new Error('No input on stdin: pipe URLs in, e.g. cat list.md | transcriptor --input -');
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of stream) {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      size += buffer.length;
+      if (size > URLParser.MAX_FILE_SIZE) {
         throw new Error(
-          `Path is a directory, not a file: ${filePath}\n` +
-            `Expected a text file named ${this.inputFile}`
+          `File too large: stdin exceeds ${URLParser.MAX_FILE_SIZE / 1024 / 1024}MB limit`
         );
       }
+      chunks.push(buffer);
+    }
 
-      if (
-        error.message.includes('File too large') ||
-        error.message.includes('Invalid file format') ||
-        error.message.includes('Security validation')
-      ) {
-        throw error;
-      }
+    return Buffer.concat(chunks).toString('utf-8');
+  }
+
+  /**
+   * Turn a file system error into a user-facing message
+   * Validation errors (size, format, security) are passed through unchanged
+   * @param {Error} error - Error raised while reading
+   * @param {string} filePath - Absolute path being read
+   * @returns {Error} Error to throw
+   */
+  describeReadError(error, filePath) {
+    if (error.code === 'ENOENT') {
+      return new Error(
+        `YouTube URL file not found: ${filePath}\n` +
+          `Please create ${this.inputFile} with one YouTube URL per line`
+      );
+    }
 
-      throw new Error(`Failed to read ${filePath}: ${error.message}`);
+    if (error.code === 'EACCES') {
+      return new Error(
+        `Permission denied reading ${filePath}\n` + `Check file permissions and try again`
+      );
     }
+
+    if (error.code === 'EISDIR') {
+      return new Error(
+        `Path is a directory, not a file: ${filePath}\n` +
+          `Expected a text file named ${this.inputFile}`
+      );
+    }
+
+    if (
+      error.message.includes('File too large') ||
+      error.message.includes('Invalid file format') ||
+      error.message.includes('Security validation')
+    ) {
+      return error;
+    }
+
+    return new Error(`Failed to read ${filePath}: ${error.message}`);
   }
 
   /**
@@ -131,7 +202,8 @@ class URLParser {
    */
   validateFileContent(content) {
     if (this.detectBinaryContent(content.slice(0, 8000))) {
-      throw new Error('Invalid file format: youtube.md must be a text file');
+      const source = this.inputFile === URLParser.STDIN ? 'stdin' : this.inputFile;
+      throw new Error(`Invalid file format: ${source} must be a text file`);
     }
   }
 
@@ -281,50 +353,21 @@ class URLParser {
 
   /**
    * Match YouTube pattern and extract video ID
+   * Delegates to URLNormalizer, the parser shared with the process command
    * @param {string} sanitizedUrl - Sanitized URL
    * @returns {string|null} Video ID or null
    */
   matchYoutubePattern(sanitizedUrl) {
-    for (const pattern of URLValidator.YOUTUBE_URL_PATTERNS) {
-      const videoId = this.attemptPatternMatch(pattern, sanitizedUrl);
+    const videoId = URLNormalizer.extractVideoId(sanitizedUrl);
 
-      if (videoId) {
-        return videoId;
-      }
+    if (videoId) {
+      return videoId;
     }
 
     console.warn(`[URLParser] Skipping invalid YouTube URL: ${sanitizedUrl.substring(0, 100)}`);
     return null;
   }
 
-  /**
-   * Attempt to match pattern and validate extracted ID
-   * @param {RegExp} pattern - Pattern to match
-   * @param {string} url - URL to test
-   * @returns {string|null} Valid video ID or null
-   */
-  attemptPatternMatch(pattern, url) {
-    try {
-      const match = url.match(pattern);
-
-      if (!match || !match[1]) {
-        return null;
-      }
-
-      const videoId = match[1];
-
-      if (URLValidator.validateVideoId(videoId)) {
-        return videoId;
-      }
-
-      console.warn(`[URLParser] Extracted ID failed validation: ${videoId}`);
-      return null;
-    } catch (error) {
-      console.warn(`[URLParser] Regex error on line: ${error.message}`);
-      return null;
-    }
-  }
-
   /**
    * Validates URL scheme
    * @param {string} url - URL to validate
@@ -9,13 +9,6 @@ class URLValidator {
   static VIDEO_ID_LENGTH = 11;
   static VIDEO_ID_PATTERN = /^[a-zA-Z0-9_-]{11}$/;
 
-  static YOUTUBE_URL_PATTERNS = [
-    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/watch\?v=([a-zA-Z0-9_-]{11})/,
-    /(?:https?:\/\/)?(?:www\.)?youtu\.be\/([a-zA-Z0-9_-]{11})/,
-    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/embed\/([a-zA-Z0-9_-]{11})/,
-    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/v\/([a-zA-Z0-9_-]{11})/,
-  ];
-
   /**
    * Validate YouTube URL format
    * @param {string} url - URL to validate
@@ -39,19 +32,14 @@ class URLValidator {
 
   /**
    * Extract video ID from YouTube URL
+   * Delegates to URLNormalizer so every supported URL form is recognised
    * @param {string} url - YouTube URL
-   * @returns {string} Video ID (may be partial if not found in patterns)
+   * @returns {string} Video ID (input returned unchanged if no video ID found)
    */
   static extractVideoId(url) {
-    for (const pattern of this.YOUTUBE_URL_PATTERNS) {
-      const match = url.match(pattern);
-
-      if (match && match[1]) {
-        return match[1];
-      }
-    }
-
-    return url;
+    // Lazy require: URLNormalizer depends on URLValidator for ID validation
+    const URLNormalizer = require('./URLNormalizer');
+    return URLNormalizer.extractVideoId(url) || url;
   }
 
   /**
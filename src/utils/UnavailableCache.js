@@ -0,0 +1,142 @@
+const ErrorHandler = require('./ErrorHandler');
+const { ERROR_TYPES } = require('../constants/APIClientConstants');
+
+/**
+ * Unavailable Cache
+ *
+ * Negative cache records kept in registry entries, so videos the provider
+ * reported as having no transcript are not fetched (and paid for) again on
+ * every run. Records live under the entry's "unavailable" key, one per
+ * language key, and expire after TRANSCRIPTOR_UNAVAILABLE_TTL_DAYS days:
+ *
+ *   "unavailable": {
+ *     "default": { "reason": "NO_TRANSCRIPT", "message": "...", "checked_at": ISO timestamp }
+ *   }
+ *
+ * An entry may hold only negative records; it then has "languages": [].
+ * Expiry is computed from checked_at when read, so a TTL change applies to
+ * existing records immediately. A TTL of 0 disables negative caching.
+ *
+ * @class UnavailableCache
+ */
+class UnavailableCache {
+  static TTL_ENV = 'TRANSCRIPTOR_UNAVAILABLE_TTL_DAYS';
+  static DEFAULT_TTL_DAYS = 7;
+  static MAX_MESSAGE_LENGTH = 500;
+  static REASON_LABELS = {
+    [ERROR_TYPES.NO_TRANSCRIPT]: 'no transcript (captions disabled or empty)',
+    [ERROR_TYPES.INVALID_REQUEST]: 'video unavailable (private, deleted or invalid)',
+  };
+
+  /**
+   * Configured TTL in days
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {number} TTL in days (default when unset or not a non-negative number)
+   */
+  static getTtlDays(env = process.env) {
+    const configured = env[UnavailableCache.TTL_ENV];
+    if (configured === undefined || configured.trim() === '') {
+      return UnavailableCache.DEFAULT_TTL_DAYS;
+    }
+
+    const days = Number(configured);
+    return Number.isFinite(days) && days >= 0 ? days : UnavailableCache.DEFAULT_TTL_DAYS;
+  }
+
+  /**
+   * Check if negative caching is enabled
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {boolean} False when TTL is 0
+   */
+  static isEnabled(env = process.env) {
+    return UnavailableCache.getTtlDays(env) > 0;
+  }
+
+  /**
+   * Check if an error should create a negative cache record
+   * @param {Error} error - Processing failure
+   * @returns {boolean} True for permanent failures (no transcript, unavailable)
+   */
+  static shouldRecord(error) {
+    return ErrorHandler.isPermanentError(error);
+  }
+
+  /**
+   * Build a negative cache record
+   * @param {Error} error - Permanent failure
+   * @param {Date} [now=new Date()] - Check time
+   * @returns {{reason: string, message: string, checked_at: string}} Record
+   */
+  static createRecord(error, now = new Date()) {
+    return {
+      reason: error.type,
+      message: String(error.message || '').substring(0, UnavailableCache.MAX_MESSAGE_LENGTH),
+      checked_at: now.toISOString(),
+    };
+  }
+
+  /**
+   * Check if a record has not expired
+   * @param {Object} record - Negative cache record
+   * @param {Date} [now=new Date()] - Reference time
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {boolean} True if record still applies
+   */
+  static isActive(record, now = new Date(), env = process.env) {
+    const checkedAt = new Date(record && record.checked_at).getTime();
+    if (isNaN(checkedAt)) {
+      return false;
+    }
+
+    const ttlMs = UnavailableCache.getTtlDays(env) * 24 * 60 * 60 * 1000;
+    return now.getTime() < checkedAt + ttlMs;
+  }
+
+  /**
+   * Active record for a language of a registry entry
+   * @param {Object|undefined} entry - Registry entry
+   * @param {string} languageKey - Registry language key ('default' or language code)
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Object|null} Record, or null if none or expired
+   */
+  static activeRecord(entry, languageKey, now = new Date()) {
+    const record = entry && entry.unavailable ? entry.unavailable[languageKey] : undefined;
+    return record && UnavailableCache.isActive(record, now) ? record : null;
+  }
+
+  /**
+   * Active records of a registry entry
+   * @param {Object} entry - Registry entry
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Array<[string, Object]>} [languageKey, record] pairs
+   */
+  static activeRecords(entry, now = new Date()) {
+    if (!entry || !entry.unavailable) {
+      return [];
+    }
+    return Object.entries(entry.unavailable).filter(([, record]) =>
+      UnavailableCache.isActive(record, now)
+    );
+  }
+
+  /**
+   * Check if a registry entry holds any transcript
+   * Entries without a languages list are legacy entries holding the default track
+   * @param {Object} entry - Registry entry
+   * @returns {boolean} False for negative-cache-only entries
+   */
+  static holdsTranscripts(entry) {
+    return !Array.isArray(entry.languages) || entry.languages.length > 0;
+  }
+
+  /**
+   * Human-readable reason
+   * @param {string} reason - ERROR_TYPES value stored in a record
+   * @returns {string} Label
+   */
+  static describe(reason) {
+    return UnavailableCache.REASON_LABELS[reason] || reason;
+  }
+}
+
+module.exports = UnavailableCache;
@@ -0,0 +1,74 @@
+/**
+ * Worker Pool
+ *
+ * Runs an async worker over a list with bounded concurrency. Each worker slot
+ * picks the next unprocessed item as soon as it is free, and results are
+ * returned in input order regardless of completion order.
+ *
+ * Workers are expected to handle their own per-item errors. If a worker
+ * throws anyway, no further items are started and map() rejects with the
+ * first error once in-flight items settle.
+ *
+ * @class WorkerPool
+ */
+class WorkerPool {
+  static DEFAULT_CONCURRENCY = 1;
+  static MAX_CONCURRENCY = 16;
+
+  /**
+   * @param {number} [concurrency=1] - Maximum number of items processed at once
+   * @throws {Error} If concurrency not an integer between 1 and MAX_CONCURRENCY
+   */
+  constructor(concurrency = WorkerPool.DEFAULT_CONCURRENCY) {
+    if (!WorkerPool.isValidConcurrency(concurrency)) {
+      throw new Error(
+        `Concurrency must be an integer between 1 and ${WorkerPool.MAX_CONCURRENCY}, got ${concurrency}`
+      );
+    }
+
+    this.concurrency = concurrency;
+  }
+
+  /**
+   * Check concurrency value
+   * @param {*} value - Candidate concurrency
+   * @returns {boolean} True if integer within 1..MAX_CONCURRENCY
+   */
+  static isValidConcurrency(value) {
+    return Number.isInteger(value) && value >= 1 && value <= WorkerPool.MAX_CONCURRENCY;
+  }
+
+  /**
+   * Process items with bounded concurrency
+   * @param {Array} items - Items to process
+   * @param {Function} worker - async (item, index) => result
+   * @returns {Promise<Array>} Results in input order
+   */
+  async map(items, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failure = null;
+
+    const runSlot = async () => {
+      while (nextIndex < items.length && !failure) {
+        const index = nextIndex++;
+        try {
+          results[index] = await worker(items[index], index);
+        } catch (error) {
+          failure = failure || error;
+        }
+      }
+    };
+
+    const slots = Math.min(this.concurrency, items.length);
+    await Promise.all(Array.from({ length: slots }, runSlot));
+
+    if (failure) {
+      throw failure;
+    }
+
+    return results;
+  }
+}
+
+module.exports = WorkerPool;
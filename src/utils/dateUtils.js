@@ -159,8 +159,55 @@ function migrateDate(oldDate) {
   return `${yy}${mm}${dd}T0000`;
 }
 
+/**
+ * Format a date for display in local time
+ *
+ * @param {Date|string} date - Date or ISO timestamp
+ * @returns {string} "YYYY-MM-DD HH:MM", or "unknown" if invalid
+ *
+ * @example
+ * formatLocalDateTime('2025-11-22T14:30:00') // "2025-11-22 14:30"
+ */
+function formatLocalDateTime(date) {
+  const value = date instanceof Date ? date : new Date(date);
+  if (isNaN(value.getTime())) {
+    return 'unknown';
+  }
+
+  const pad = (n) => String(n).padStart(2, '0');
+  return (
+    `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ` +
+    `${pad(value.getHours())}:${pad(value.getMinutes())}`
+  );
+}
+
+/**
+ * Convert a registry date_added value to YYYY-MM-DD
+ *
+ * @param {string} dateAdded - YYMMDDTHHMM timestamp or legacy YYYY-MM-DD date
+ * @returns {string|null} Date in YYYY-MM-DD format, or null if not a known format
+ *
+ * @example
+ * toIsoDate('251122T1430') // "2025-11-22"
+ * toIsoDate('2024-01-15') // "2024-01-15"
+ */
+function toIsoDate(dateAdded) {
+  if (typeof dateAdded !== 'string') {
+    return null;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(dateAdded)) {
+    return dateAdded;
+  }
+  if (!isValidTimestamp(dateAdded)) {
+    return null;
+  }
+  return `20${dateAdded.substring(0, 2)}-${dateAdded.substring(2, 4)}-${dateAdded.substring(4, 6)}`;
+}
+
 module.exports = {
   generateDateAdded,
+  formatLocalDateTime,
+  toIsoDate,
   isValidTimestamp,
   convertDateToPrefix,
   extractDatePrefix,
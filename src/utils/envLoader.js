@@ -7,6 +7,7 @@
 const dotenv = require('dotenv');
 const fs = require('fs');
 const path = require('path');
+const ProviderFactory = require('../providers/ProviderFactory');
 
 /**
  * Load environment variables from .env file
@@ -20,6 +21,12 @@ function load() {
   // Navigate from src/utils/ up to package root
   const envPath = path.resolve(__dirname, '../../.env');
 
+  // Providers without credentials (e.g. TRANSCRIPTOR_PROVIDER=directory), --offline runs,
+  // dry runs and local commands (doctor, links, export, ...) work without .env
+  if (!fs.existsSync(envPath) && !ProviderFactory.requiresApiKey()) {
+    return;
+  }
+
   if (!fs.existsSync(envPath)) {
     console.error('Error: .env file not found');
     console.error('');
@@ -53,7 +60,7 @@ function load() {
  * @returns {void}
  */
 function validate() {
-  const requiredKeys = ['SCRAPE_CREATORS_API_KEY'];
+  const requiredKeys = ProviderFactory.requiresApiKey() ? ['SCRAPE_CREATORS_API_KEY'] : [];
   const missing = requiredKeys.filter((key) => !process.env[key]);
 
   if (missing.length > 0) {
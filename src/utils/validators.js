@@ -73,6 +73,21 @@ function isValidDate(dateString) {
   return false;
 }
 
+/**
+ * Validate transcript language code
+ * BCP 47 style primary tag with optional region/script subtag (en, fr, pt-BR, zh-Hans)
+ * Codes end up in filenames, so anything else is rejected
+ *
+ * @param {string} code - Language code to validate
+ * @returns {boolean} True if valid format, false otherwise
+ */
+function isValidLanguageCode(code) {
+  if (typeof code !== 'string') {
+    return false;
+  }
+  return /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})?$/.test(code);
+}
+
 /**
  * Sanitize video ID removing unsafe characters
  * Used before file operations to prevent path traversal
@@ -132,6 +147,7 @@ function assertValidDate(dateString, context = 'date') {
 module.exports = {
   isValidVideoId,
   isValidDate,
+  isValidLanguageCode,
   sanitizeVideoId,
   assertValidVideoId,
   assertValidDate,